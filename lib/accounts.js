@@ -0,0 +1,331 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Teams, users, API keys and login sessions. Passwords are scrypt hashes;
+// API keys and session ids are random secrets of which only a SHA-256 hash
+// is stored, so a copy of the database can't be used to sign in.
+// Users are either "admin" (manage every account) or "member".
+
+const ROLES = ['admin', 'member'];
+const MIN_PASSWORD_LENGTH = 10;
+const API_KEY_PREFIX = 'nbk_';
+const SCRYPT_KEY_LENGTH = 64;
+
+let db = null;
+
+function getStorePath() {
+    // Vercel only allows writes under tmp, so accounts there last for the instance's lifetime
+    const baseDir = process.env.VERCEL ? os.tmpdir() : path.resolve('.');
+    return process.env.ACCOUNT_STORE_PATH || path.join(baseDir, 'data', 'accounts.sqlite');
+}
+
+function getDb() {
+    if (db) return db;
+
+    const storePath = getStorePath();
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    db = new Database(storePath);
+    db.pragma('journal_mode = WAL');
+    db.pragma('foreign_keys = ON');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS teams (
+            id TEXT PRIMARY KEY,
+            name TEXT NOT NULL UNIQUE,
+            created_at TEXT NOT NULL
+        );
+        CREATE TABLE IF NOT EXISTS users (
+            id TEXT PRIMARY KEY,
+            team_id TEXT NOT NULL REFERENCES teams (id),
+            email TEXT NOT NULL UNIQUE,
+            name TEXT NOT NULL,
+            role TEXT NOT NULL,
+            password_hash TEXT,
+            created_at TEXT NOT NULL,
+            revoked_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS api_keys (
+            id TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL REFERENCES users (id),
+            name TEXT NOT NULL,
+            key_hash TEXT NOT NULL UNIQUE,
+            hint TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            last_used_at TEXT,
+            revoked_at TEXT
+        );
+        CREATE TABLE IF NOT EXISTS sessions (
+            id_hash TEXT PRIMARY KEY,
+            user_id TEXT NOT NULL REFERENCES users (id),
+            created_at TEXT NOT NULL,
+            expires_at TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS api_keys_user_id ON api_keys (user_id);
+        CREATE INDEX IF NOT EXISTS sessions_user_id ON sessions (user_id);
+    `);
+    return db;
+}
+
+function generateId(prefix) {
+    return `${prefix}_${crypto.randomBytes(9).toString('base64url')}`;
+}
+
+function hashSecret(secret) {
+    return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+    return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, saltB64, hashB64] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !saltB64 || !hashB64) return false;
+    const expected = Buffer.from(hashB64, 'base64');
+    const actual = crypto.scryptSync(password, Buffer.from(saltB64, 'base64'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+let dummyHash = null;
+
+function getDummyHash() {
+    if (!dummyHash) {
+        dummyHash = hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+    return dummyHash;
+}
+
+function getSessionTtlMs() {
+    const hours = parseFloat(process.env.SESSION_TTL_HOURS);
+    return (Number.isFinite(hours) && hours > 0 ? hours : 7 * 24) * 60 * 60 * 1000;
+}
+
+function toUser(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        teamId: row.team_id,
+        teamName: row.team_name,
+        email: row.email,
+        name: row.name,
+        role: row.role,
+        createdAt: row.created_at,
+        revokedAt: row.revoked_at || null
+    };
+}
+
+function toApiKey(row) {
+    return {
+        id: row.id,
+        userId: row.user_id,
+        name: row.name,
+        hint: row.hint,
+        createdAt: row.created_at,
+        lastUsedAt: row.last_used_at || null,
+        revokedAt: row.revoked_at || null
+    };
+}
+
+const USER_COLUMNS = 'users.*, teams.name AS team_name';
+
+function getUser(id) {
+    return toUser(getDb().prepare(`SELECT ${USER_COLUMNS} FROM users JOIN teams ON teams.id = users.team_id WHERE users.id = ?`).get(id));
+}
+
+function listUsers({ teamId } = {}) {
+    const rows = teamId
+        ? getDb().prepare(`SELECT ${USER_COLUMNS} FROM users JOIN teams ON teams.id = users.team_id WHERE users.team_id = ? ORDER BY users.created_at`).all(teamId)
+        : getDb().prepare(`SELECT ${USER_COLUMNS} FROM users JOIN teams ON teams.id = users.team_id ORDER BY users.created_at`).all();
+    return rows.map(toUser);
+}
+
+function countUsers() {
+    return getDb().prepare('SELECT COUNT(*) AS count FROM users').get().count;
+}
+
+function listTeams() {
+    return getDb().prepare('SELECT id, name, created_at AS createdAt FROM teams ORDER BY created_at').all();
+}
+
+function createTeam({ name } = {}) {
+    if (typeof name !== 'string' || !name.trim()) {
+        throw new Error('Team name is required');
+    }
+    const database = getDb();
+    if (database.prepare('SELECT 1 FROM teams WHERE name = ?').get(name.trim())) {
+        throw new Error(`Team "${name.trim()}" already exists`);
+    }
+    const team = { id: generateId('team'), name: name.trim(), createdAt: new Date().toISOString() };
+    database.prepare('INSERT INTO teams (id, name, created_at) VALUES (?, ?, ?)').run(team.id, team.name, team.createdAt);
+    return team;
+}
+
+// A user joins an existing team (teamId) or a team looked up / created by name (teamName)
+function createUser({ email, name, password, role = 'member', teamId, teamName } = {}) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    if (!/^[^\s@]+@[^\s@]+$/.test(normalizedEmail)) {
+        throw new Error('A valid email is required');
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+    }
+    if (password !== undefined && password !== null && (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH)) {
+        throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+
+    const database = getDb();
+    if (database.prepare('SELECT 1 FROM users WHERE email = ?').get(normalizedEmail)) {
+        throw new Error(`A user with email ${normalizedEmail} already exists`);
+    }
+
+    let team;
+    if (teamId) {
+        team = database.prepare('SELECT id FROM teams WHERE id = ?').get(teamId);
+        if (!team) {
+            throw new Error(`Unknown team "${teamId}"`);
+        }
+    } else if (typeof teamName === 'string' && teamName.trim()) {
+        team = database.prepare('SELECT id FROM teams WHERE name = ?').get(teamName.trim()) || createTeam({ name: teamName });
+    } else {
+        throw new Error('teamId or teamName is required');
+    }
+
+    const id = generateId('user');
+    database.prepare(`
+        INSERT INTO users (id, team_id, email, name, role, password_hash, created_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        id,
+        team.id,
+        normalizedEmail,
+        (typeof name === 'string' && name.trim()) || normalizedEmail,
+        role,
+        password ? hashPassword(password) : null,
+        new Date().toISOString()
+    );
+    return getUser(id);
+}
+
+// Revoking a user also ends their sessions and revokes their API keys
+function revokeUser(id) {
+    const database = getDb();
+    const now = new Date().toISOString();
+    const revoke = database.transaction(() => {
+        const result = database.prepare('UPDATE users SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(now, id);
+        database.prepare('UPDATE api_keys SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL').run(now, id);
+        database.prepare('DELETE FROM sessions WHERE user_id = ?').run(id);
+        return result.changes > 0;
+    });
+    return revoke() ? getUser(id) : null;
+}
+
+// Returns { apiKey, key }; the key itself is only ever shown here
+function createApiKey(userId, { name } = {}) {
+    const user = getUser(userId);
+    if (!user || user.revokedAt) {
+        throw new Error('Unknown or revoked user');
+    }
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+    const id = generateId('key');
+    const createdAt = new Date().toISOString();
+    getDb().prepare(`
+        INSERT INTO api_keys (id, user_id, name, key_hash, hint, created_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(id, userId, (typeof name === 'string' && name.trim()) || 'API key', hashSecret(key), key.slice(-4), createdAt);
+    return { apiKey: toApiKey(getDb().prepare('SELECT * FROM api_keys WHERE id = ?').get(id)), key };
+}
+
+function listApiKeys(userId) {
+    return getDb().prepare('SELECT * FROM api_keys WHERE user_id = ? ORDER BY created_at').all(userId).map(toApiKey);
+}
+
+function getApiKey(id) {
+    const row = getDb().prepare('SELECT * FROM api_keys WHERE id = ?').get(id);
+    return row ? toApiKey(row) : null;
+}
+
+function revokeApiKey(id) {
+    const result = getDb().prepare('UPDATE api_keys SET revoked_at = ? WHERE id = ? AND revoked_at IS NULL').run(new Date().toISOString(), id);
+    return result.changes > 0 ? getApiKey(id) : null;
+}
+
+function authenticateApiKey(key) {
+    if (typeof key !== 'string' || !key.startsWith(API_KEY_PREFIX)) return null;
+    const database = getDb();
+    const row = database.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL').get(hashSecret(key));
+    if (!row) return null;
+    const user = getUser(row.user_id);
+    if (!user || user.revokedAt) return null;
+    database.prepare('UPDATE api_keys SET last_used_at = ? WHERE id = ?').run(new Date().toISOString(), row.id);
+    return user;
+}
+
+// Returns { user, sessionId, expiresAt } or null for a wrong email/password
+function login(email, password) {
+    const normalizedEmail = typeof email === 'string' ? email.trim().toLowerCase() : '';
+    const row = getDb().prepare('SELECT id, password_hash, revoked_at FROM users WHERE email = ?').get(normalizedEmail);
+    // Hash even for unknown users so response times don't reveal which emails exist
+    const passwordMatches = verifyPassword(typeof password === 'string' ? password : '', row?.password_hash || getDummyHash());
+    if (!row || row.revoked_at || !row.password_hash || !passwordMatches) {
+        return null;
+    }
+
+    const database = getDb();
+    const now = Date.now();
+    database.prepare('DELETE FROM sessions WHERE expires_at < ?').run(new Date(now).toISOString());
+    const sessionId = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = new Date(now + getSessionTtlMs()).toISOString();
+    database.prepare('INSERT INTO sessions (id_hash, user_id, created_at, expires_at) VALUES (?, ?, ?, ?)')
+        .run(hashSecret(sessionId), row.id, new Date(now).toISOString(), expiresAt);
+    return { user: getUser(row.id), sessionId, expiresAt };
+}
+
+function authenticateSession(sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId) return null;
+    const row = getDb().prepare('SELECT user_id, expires_at FROM sessions WHERE id_hash = ?').get(hashSecret(sessionId));
+    if (!row || new Date(row.expires_at).getTime() <= Date.now()) return null;
+    const user = getUser(row.user_id);
+    return user && !user.revokedAt ? user : null;
+}
+
+function logout(sessionId) {
+    if (typeof sessionId !== 'string' || !sessionId) return;
+    getDb().prepare('DELETE FROM sessions WHERE id_hash = ?').run(hashSecret(sessionId));
+}
+
+// First start: ADMIN_EMAIL / ADMIN_PASSWORD create the initial admin (in ADMIN_TEAM)
+function bootstrapAdmin() {
+    if (countUsers() > 0) return null;
+    const email = process.env.ADMIN_EMAIL;
+    const password = process.env.ADMIN_PASSWORD;
+    if (!email || !password) {
+        console.warn('[Accounts] No users yet. Set ADMIN_EMAIL and ADMIN_PASSWORD to create the first admin.');
+        return null;
+    }
+    const admin = createUser({ email, password, role: 'admin', name: 'Administrator', teamName: process.env.ADMIN_TEAM || 'Admins' });
+    console.log(`[Accounts] Created initial admin ${admin.email}`);
+    return admin;
+}
+
+module.exports = {
+    ROLES,
+    getUser,
+    listUsers,
+    listTeams,
+    createTeam,
+    createUser,
+    revokeUser,
+    createApiKey,
+    listApiKeys,
+    getApiKey,
+    revokeApiKey,
+    authenticateApiKey,
+    login,
+    authenticateSession,
+    logout,
+    bootstrapAdmin
+};
@@ -0,0 +1,95 @@
+const sharp = require('sharp');
+
+// Offline background removal for designs generated on a white background.
+// Near-white pixels are only keyed out when they are connected to the image
+// border, so whites inside the design (eyes, highlights, lettering) survive.
+
+function isNearWhite(data, offset, tolerance) {
+    if (data[offset + 3] === 0) return true;
+    return (255 - data[offset]) <= tolerance
+        && (255 - data[offset + 1]) <= tolerance
+        && (255 - data[offset + 2]) <= tolerance;
+}
+
+function floodFillBackground(data, width, height, tolerance) {
+    const background = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0;
+    let tail = 0;
+
+    const seed = (x, y) => {
+        const index = y * width + x;
+        if (!background[index] && isNearWhite(data, index * 4, tolerance)) {
+            background[index] = 1;
+            queue[tail++] = index;
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        seed(x, 0);
+        seed(x, height - 1);
+    }
+    for (let y = 0; y < height; y++) {
+        seed(0, y);
+        seed(width - 1, y);
+    }
+
+    // 4-connected breadth-first fill
+    while (head < tail) {
+        const index = queue[head++];
+        const x = index % width;
+        const y = (index - x) / width;
+        if (x > 0) seed(x - 1, y);
+        if (x < width - 1) seed(x + 1, y);
+        if (y > 0) seed(x, y - 1);
+        if (y < height - 1) seed(x, y + 1);
+    }
+
+    return background;
+}
+
+async function removeWhiteBackground(imageBuffer, { tolerance = 24, feather = 1 } = {}) {
+    const { data, info } = await sharp(imageBuffer)
+        .ensureAlpha()
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+
+    const background = floodFillBackground(data, width, height, tolerance);
+    let mask = Buffer.alloc(width * height);
+    for (let i = 0; i < mask.length; i++) {
+        mask[i] = background[i] ? 0 : data[i * 4 + 3];
+    }
+
+    if (feather > 0) {
+        mask = await sharp(mask, { raw: { width, height, channels: 1 } })
+            .blur(Math.max(0.3, feather))
+            .extractChannel(0)
+            .raw()
+            .toBuffer();
+    }
+
+    for (let i = 0; i < mask.length; i++) {
+        const offset = i * 4;
+        // Feathering only softens the inside of the edge; keyed-out background stays clear
+        const alpha = background[i] ? 0 : Math.min(mask[i], data[offset + 3]);
+        data[offset + 3] = alpha;
+
+        // Un-blend partially transparent edge pixels from white so they don't leave a pale halo
+        if (alpha > 12 && alpha < 255) {
+            const a = alpha / 255;
+            for (let c = 0; c < 3; c++) {
+                const value = (data[offset + c] - 255 * (1 - a)) / a;
+                data[offset + c] = Math.max(0, Math.min(255, Math.round(value)));
+            }
+        }
+    }
+
+    return sharp(data, { raw: { width, height, channels: 4 } })
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+}
+
+module.exports = {
+    removeWhiteBackground
+};
@@ -0,0 +1,38 @@
+const sharp = require('sharp');
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+// Scale a design to fit inside a width x height canvas (minus a fractional
+// padding on every side) and centre it on a transparent background
+async function placeOnCanvas(imageBuffer, { width, height, padding = 0 }) {
+    const innerWidth = Math.max(1, Math.round(width * (1 - padding * 2)));
+    const innerHeight = Math.max(1, Math.round(height * (1 - padding * 2)));
+
+    const design = await sharp(imageBuffer)
+        .ensureAlpha()
+        .resize(innerWidth, innerHeight, { fit: 'contain', background: TRANSPARENT, kernel: sharp.kernel.lanczos3 })
+        .toBuffer();
+
+    return sharp({
+        create: { width, height, channels: 4, background: TRANSPARENT }
+    })
+        .composite([{ input: design, gravity: 'centre' }])
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+}
+
+// Remove uniform margins (transparent or white) so the design fills the canvas.
+// sharp refuses to trim an image that is entirely one colour; keep it as-is then.
+async function trimMargins(imageBuffer, threshold = 10) {
+    try {
+        return await sharp(imageBuffer).trim({ threshold }).png().toBuffer();
+    } catch (trimError) {
+        return imageBuffer;
+    }
+}
+
+module.exports = {
+    TRANSPARENT,
+    placeOnCanvas,
+    trimMargins
+};
@@ -0,0 +1,76 @@
+const crypto = require('crypto');
+
+// Signed download tokens: base64url(JSON payload) + '.' + HMAC-SHA256 of it.
+// Payloads carry an expiry (exp, unix seconds); what else they scope the
+// token to (job, variant, owner, revocation version) is checked by the caller.
+
+const DEV_SECRET = 'local-dev-secret';
+const DEFAULT_TTL_SECONDS = 24 * 60 * 60;
+
+// Production must not sign with the well-known development secret
+function getSecret() {
+    const secret = process.env.DOWNLOAD_TOKEN_SECRET;
+    if (secret && secret.trim()) {
+        return secret;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('DOWNLOAD_TOKEN_SECRET must be set when NODE_ENV is production');
+    }
+    console.warn('[Tokens] DOWNLOAD_TOKEN_SECRET is not set; signing download tokens with the development secret');
+    return DEV_SECRET;
+}
+
+function getTtlSeconds() {
+    const ttl = parseInt(process.env.DOWNLOAD_TOKEN_TTL_SECONDS, 10);
+    return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_TTL_SECONDS;
+}
+
+function createInvalidTokenError(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_TOKEN';
+    return error;
+}
+
+function sign(secret, payloadJson) {
+    return crypto.createHmac('sha256', secret).update(payloadJson).digest('base64url');
+}
+
+function createToken(secret, payload, ttlSeconds = getTtlSeconds()) {
+    const payloadJson = JSON.stringify({ ...payload, exp: Math.floor(Date.now() / 1000) + ttlSeconds });
+    return `${Buffer.from(payloadJson).toString('base64url')}.${sign(secret, payloadJson)}`;
+}
+
+// -> payload; throws an INVALID_TOKEN error for a bad signature or an expired token
+function verifyToken(secret, token) {
+    const parts = String(token).split('.');
+    if (parts.length !== 2) {
+        throw createInvalidTokenError('Malformed token');
+    }
+
+    const [payloadB64, signature] = parts;
+    const payloadJson = Buffer.from(payloadB64, 'base64url').toString('utf8');
+    const expected = Buffer.from(sign(secret, payloadJson));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        throw createInvalidTokenError('Invalid token signature');
+    }
+
+    let payload;
+    try {
+        payload = JSON.parse(payloadJson);
+    } catch (parseError) {
+        throw createInvalidTokenError('Malformed token');
+    }
+    if (!Number.isFinite(payload.exp) || payload.exp * 1000 <= Date.now()) {
+        throw createInvalidTokenError('Token has expired');
+    }
+    return payload;
+}
+
+module.exports = {
+    getSecret,
+    getTtlSeconds,
+    createInvalidTokenError,
+    createToken,
+    verifyToken
+};
@@ -0,0 +1,47 @@
+const sharp = require('sharp');
+const { placeOnCanvas, trimMargins } = require('./canvas');
+
+// Print-on-demand canvases. Sizes are at 300 DPI; padding is the fraction of
+// the canvas kept clear on every side.
+const EXPORT_PRESETS = [
+    { id: 'printful-tee', label: 'Printful tee (4500×5400)', width: 4500, height: 5400, padding: 0.02, dpi: 300 },
+    { id: 'printify-hoodie', label: 'Printify hoodie front (4200×4800)', width: 4200, height: 4800, padding: 0.03, dpi: 300 },
+    { id: 'sticker-3in', label: 'Sticker 3×3in (900×900)', width: 900, height: 900, padding: 0.04, dpi: 300 },
+    { id: 'poster-18x24', label: 'Poster 18×24in (5400×7200)', width: 5400, height: 7200, padding: 0.05, dpi: 300 }
+];
+
+function listExportPresets() {
+    return EXPORT_PRESETS.map(preset => ({
+        ...preset,
+        inches: {
+            width: +(preset.width / preset.dpi).toFixed(2),
+            height: +(preset.height / preset.dpi).toFixed(2)
+        }
+    }));
+}
+
+function getExportPreset(id) {
+    const preset = EXPORT_PRESETS.find(candidate => candidate.id === id);
+    if (!preset) {
+        throw new Error(`Unknown export preset "${id}"`);
+    }
+    return preset;
+}
+
+// Trim, scale and centre the design on the preset canvas; the PNG carries
+// the preset DPI and an sRGB ICC profile
+async function applyExportPreset(imageBuffer, preset) {
+    const trimmed = await trimMargins(imageBuffer);
+    const placed = await placeOnCanvas(trimmed, preset);
+    return sharp(placed)
+        .withMetadata({ density: preset.dpi })
+        .withIccProfile('srgb')
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+}
+
+module.exports = {
+    listExportPresets,
+    getExportPreset,
+    applyExportPreset
+};
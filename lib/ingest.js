@@ -0,0 +1,202 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const bmp = require('bmp-js');
+const decodeHeic = require('heic-decode');
+
+// Ingest stage for uploads: the real format is taken from the file's bytes
+// (never from its name or the browser's MIME type), the image is fully
+// decoded so corrupt files fail here rather than at the provider, EXIF
+// orientation is applied, metadata is dropped and the long edge is capped.
+// The result is a PNG (transparency or a lossless source) or a JPEG and
+// replaces the upload. HEIC and BMP aren't decoded by the prebuilt sharp
+// binaries, so they go through heic-decode (libheif as wasm) and bmp-js.
+
+const DEFAULT_MAX_EDGE = 2048;
+const DEFAULT_MAX_PIXELS = 50 * 1000 * 1000;
+const SHARP_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'tiff', 'heif'];
+// Sources that stay lossless; photos (JPEG, HEIC, AVIF, WebP) become JPEGs
+const LOSSLESS_FORMATS = ['png', 'gif', 'tiff', 'bmp'];
+// ISO-BMFF brands (bytes 8-12) of HEVC-coded HEIF files; AVIF (also HEIF) is left to sharp
+const HEIC_BRANDS = ['heic', 'heix', 'hevc', 'hevx', 'heim', 'heis'];
+
+function getMaxEdge() {
+    const maxEdge = parseInt(process.env.INGEST_MAX_EDGE, 10);
+    return maxEdge > 0 ? maxEdge : DEFAULT_MAX_EDGE;
+}
+
+function getMaxPixels() {
+    const megapixels = parseFloat(process.env.INGEST_MAX_MEGAPIXELS);
+    return megapixels > 0 ? Math.round(megapixels * 1000 * 1000) : DEFAULT_MAX_PIXELS;
+}
+
+// code: UNSUPPORTED_FORMAT (not an image we can read) or INVALID_IMAGE
+// (corrupt, animated, too large); both are the uploader's to fix
+function createIngestError(message, code = 'INVALID_IMAGE') {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isIngestError(error) {
+    return !!error && (error.code === 'UNSUPPORTED_FORMAT' || error.code === 'INVALID_IMAGE');
+}
+
+// Formats sharp can't identify on its own, by their magic bytes
+function sniffFormat(buffer) {
+    if (buffer.length >= 2 && buffer.toString('ascii', 0, 2) === 'BM') {
+        return 'bmp';
+    }
+    if (buffer.length >= 12 && buffer.toString('ascii', 4, 8) === 'ftyp'
+        && HEIC_BRANDS.includes(buffer.toString('ascii', 8, 12))) {
+        return 'heic';
+    }
+    return null;
+}
+
+function assertDimensions(width, height) {
+    if (!width || !height) {
+        throw createIngestError('Image has no readable dimensions');
+    }
+    const maxPixels = getMaxPixels();
+    if (width * height > maxPixels) {
+        throw createIngestError(`Image is ${width}×${height} (${(width * height / 1e6).toFixed(1)} MP); the limit is ${(maxPixels / 1e6).toFixed(0)} MP`);
+    }
+}
+
+// bmp-js hands out ABGR pixels; BMPs without an alpha channel leave it at 0
+function decodeBmp(buffer) {
+    let decoded;
+    try {
+        decoded = bmp.decode(buffer);
+    } catch (error) {
+        throw createIngestError(`BMP file is corrupt or uses an unsupported variant: ${error.message}`);
+    }
+    assertDimensions(decoded.width, decoded.height);
+
+    const rgba = Buffer.alloc(decoded.width * decoded.height * 4);
+    for (let offset = 0; offset < rgba.length; offset += 4) {
+        rgba[offset] = decoded.data[offset + 3];
+        rgba[offset + 1] = decoded.data[offset + 2];
+        rgba[offset + 2] = decoded.data[offset + 1];
+        rgba[offset + 3] = decoded.is_with_alpha ? decoded.data[offset] : 255;
+    }
+    return {
+        image: sharp(rgba, { raw: { width: decoded.width, height: decoded.height, channels: 4 } }),
+        width: decoded.width,
+        height: decoded.height,
+        format: 'bmp',
+        orientation: 1
+    };
+}
+
+// libheif applies the container's rotation and mirroring while decoding;
+// of a burst or live photo only the primary image is used
+async function decodeHeicImage(buffer) {
+    let decoded;
+    try {
+        decoded = await decodeHeic({ buffer });
+    } catch (error) {
+        throw createIngestError(`HEIC file could not be decoded: ${error.message}`);
+    }
+    assertDimensions(decoded.width, decoded.height);
+    const rgba = Buffer.from(decoded.data.buffer, decoded.data.byteOffset, decoded.data.byteLength);
+    return {
+        image: sharp(rgba, { raw: { width: decoded.width, height: decoded.height, channels: 4 } }),
+        width: decoded.width,
+        height: decoded.height,
+        format: 'heic',
+        orientation: 1
+    };
+}
+
+async function openWithSharp(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw createIngestError('File is not an image in a supported format (JPEG, PNG, WebP, GIF, TIFF, AVIF, HEIC or BMP)', 'UNSUPPORTED_FORMAT');
+    }
+    // HEIC branded as plain "mif1" only shows itself by its compression
+    if (metadata.format === 'heif' && metadata.compression === 'hevc') {
+        return decodeHeicImage(buffer);
+    }
+    if (!SHARP_FORMATS.includes(metadata.format)) {
+        throw createIngestError(`Unsupported image format "${metadata.format}"`, 'UNSUPPORTED_FORMAT');
+    }
+    if ((metadata.format === 'gif' || metadata.format === 'webp') && metadata.pages > 1) {
+        throw createIngestError(`Animated ${metadata.format.toUpperCase()} images are not supported; upload a single frame`);
+    }
+    assertDimensions(metadata.width, metadata.height);
+
+    // Width and height are as stored; EXIF orientations 5-8 swap them on display
+    const swapped = metadata.orientation >= 5;
+    return {
+        // Multi-page TIFFs are read from their first page
+        image: sharp(buffer, { failOn: 'error', limitInputPixels: getMaxPixels() }).rotate(),
+        width: swapped ? metadata.height : metadata.width,
+        height: swapped ? metadata.width : metadata.height,
+        format: metadata.format === 'heif' ? (metadata.compression || 'heif') : metadata.format,
+        orientation: metadata.orientation || 1
+    };
+}
+
+// Replaces the upload at filePath with its normalized version and returns
+// { path, mimeType, ingest } where ingest describes what was done to it.
+async function normalizeUpload(filePath) {
+    const buffer = fs.readFileSync(filePath);
+    const sniffed = sniffFormat(buffer);
+    const opened = sniffed === 'bmp' ? decodeBmp(buffer)
+        : sniffed === 'heic' ? await decodeHeicImage(buffer)
+            : await openWithSharp(buffer);
+
+    const maxEdge = getMaxEdge();
+    const downscale = Math.max(opened.width, opened.height) > maxEdge;
+    let pipeline = opened.image;
+    if (downscale) {
+        pipeline = pipeline.resize({ width: maxEdge, height: maxEdge, fit: 'inside', withoutEnlargement: true });
+    }
+
+    // Decoding the whole image is what surfaces truncated and corrupt files
+    let decoded;
+    try {
+        decoded = await pipeline.toColourspace('srgb').raw().toBuffer({ resolveWithObject: true });
+    } catch (error) {
+        throw createIngestError(`Image data is corrupt or truncated: ${error.message}`);
+    }
+    const { info } = decoded;
+    const fromRaw = () => sharp(decoded.data, { raw: { width: info.width, height: info.height, channels: info.channels } });
+    // Decoders hand out an alpha channel even where every pixel is opaque
+    const hasAlpha = info.channels === 4 && !(await fromRaw().stats()).isOpaque;
+    const asPng = hasAlpha || LOSSLESS_FORMATS.includes(opened.format);
+
+    const outputBuffer = asPng
+        ? await (hasAlpha ? fromRaw() : fromRaw().removeAlpha()).png({ compressionLevel: 9 }).toBuffer()
+        : await fromRaw().removeAlpha().jpeg({ quality: 92, chromaSubsampling: '4:4:4' }).toBuffer();
+    const extension = asPng ? '.png' : '.jpg';
+    const outputPath = path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}${extension}`);
+    fs.writeFileSync(outputPath, outputBuffer);
+    if (outputPath !== filePath) {
+        fs.unlinkSync(filePath);
+    }
+
+    return {
+        path: outputPath,
+        mimeType: asPng ? 'image/png' : 'image/jpeg',
+        ingest: {
+            format: opened.format,
+            orientation: opened.orientation,
+            originalWidth: opened.width,
+            originalHeight: opened.height,
+            width: info.width,
+            height: info.height,
+            downscaled: downscale,
+            bytes: outputBuffer.length
+        }
+    };
+}
+
+module.exports = {
+    isIngestError,
+    normalizeUpload
+};
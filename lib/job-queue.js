@@ -0,0 +1,134 @@
+const { parseServiceMap } = require('./service-config');
+
+// FIFO work queue for jobs plus per-resource concurrency limits.
+//
+// enqueue() runs at most QUEUE_CONCURRENCY jobs at a time, in arrival order.
+// withResource() caps concurrent calls to one upstream service (an image
+// provider, Picsart, ...) across every running job, because each service
+// has its own rate limits.
+
+const DEFAULT_RESOURCE_LIMITS = 'gemini:3,openai:2,stability:2,comfyui:1,picsart:2';
+
+const waiting = [];
+const running = new Set();
+const resources = new Map();
+
+function getConcurrency() {
+    return parseInt(process.env.QUEUE_CONCURRENCY, 10) || 2;
+}
+
+// Services not listed are unlimited
+function getResourceLimits() {
+    return parseServiceMap(process.env.RESOURCE_CONCURRENCY || DEFAULT_RESOURCE_LIMITS);
+}
+
+function drain() {
+    while (running.size < getConcurrency() && waiting.length > 0) {
+        const task = waiting.shift();
+        running.add(task.jobId);
+        Promise.resolve()
+            .then(task.work)
+            .then(task.resolve, task.reject)
+            .finally(() => {
+                running.delete(task.jobId);
+                drain();
+            });
+    }
+}
+
+// Resolves/rejects with the result of work() once it has had its turn
+function enqueue(jobId, work) {
+    return new Promise((resolve, reject) => {
+        waiting.push({ jobId, work, resolve, reject });
+        drain();
+    });
+}
+
+// Drops a job that hasn't started yet; its enqueue() promise rejects with reason
+function cancel(jobId, reason) {
+    const index = waiting.findIndex(task => task.jobId === jobId);
+    if (index === -1) return false;
+    const [task] = waiting.splice(index, 1);
+    task.reject(reason);
+    return true;
+}
+
+// 1-based position among waiting jobs; null once running (or unknown)
+function getPosition(jobId) {
+    const index = waiting.findIndex(task => task.jobId === jobId);
+    return index === -1 ? null : index + 1;
+}
+
+function getResource(name) {
+    if (!resources.has(name)) {
+        resources.set(name, { active: 0, waiting: [] });
+    }
+    return resources.get(name);
+}
+
+// Waits for a slot on the service, then runs work(). An abort while waiting
+// leaves the line and rejects with signal.reason, so a cancelled or timed-out
+// job never takes a slot away from a live one.
+async function withResource(name, work, signal) {
+    const limit = getResourceLimits()[name] || Infinity;
+    const resource = getResource(name);
+
+    if (signal && signal.aborted) throw signal.reason;
+
+    if (resource.active < limit) {
+        resource.active += 1;
+    } else {
+        // The releasing caller hands its slot straight to us
+        await new Promise((resolve, reject) => {
+            const onAbort = () => {
+                const index = resource.waiting.indexOf(grant);
+                if (index !== -1) resource.waiting.splice(index, 1);
+                reject(signal.reason);
+            };
+            const grant = () => {
+                if (signal) signal.removeEventListener('abort', onAbort);
+                resolve();
+            };
+            resource.waiting.push(grant);
+            if (signal) signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    try {
+        return await work();
+    } finally {
+        const next = resource.waiting.shift();
+        if (next) {
+            next();
+        } else {
+            resource.active -= 1;
+        }
+    }
+}
+
+function getStats() {
+    const limits = getResourceLimits();
+    const resourceStats = {};
+    for (const name of new Set([...Object.keys(limits), ...resources.keys()])) {
+        const resource = getResource(name);
+        resourceStats[name] = {
+            limit: limits[name] || null,
+            active: resource.active,
+            waiting: resource.waiting.length
+        };
+    }
+    return {
+        concurrency: getConcurrency(),
+        running: running.size,
+        waiting: waiting.length,
+        resources: resourceStats
+    };
+}
+
+module.exports = {
+    enqueue,
+    cancel,
+    getPosition,
+    withResource,
+    getStats
+};
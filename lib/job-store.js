@@ -0,0 +1,167 @@
+const EventEmitter = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Persistent job records. Each row keeps the full job object as JSON plus a
+// few indexed columns; image data never goes in the record, only file paths.
+// Every status a job passes through is stamped in job.stageTimestamps.
+// Saves are announced to subscribe() listeners (used for live progress).
+// job.tokenVersion lives in its own column: only revokeTokens() changes it,
+// so a full save from a runner holding an older copy can't undo a revocation.
+
+let db = null;
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+function getStorePath() {
+    // Vercel only allows writes under tmp, so records there last for the instance's lifetime
+    const baseDir = process.env.VERCEL ? os.tmpdir() : path.resolve('.');
+    return process.env.JOB_STORE_PATH || path.join(baseDir, 'data', 'jobs.sqlite');
+}
+
+function getDb() {
+    if (db) return db;
+
+    const storePath = getStorePath();
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    db = new Database(storePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS jobs (
+            job_id TEXT PRIMARY KEY,
+            batch_id TEXT,
+            status TEXT NOT NULL,
+            created_at TEXT NOT NULL,
+            updated_at TEXT NOT NULL,
+            token_version INTEGER NOT NULL DEFAULT 0,
+            data TEXT NOT NULL
+        );
+        CREATE INDEX IF NOT EXISTS jobs_created_at ON jobs (created_at);
+        CREATE INDEX IF NOT EXISTS jobs_status ON jobs (status);
+    `);
+    migrate(db);
+    return db;
+}
+
+// Columns added after the first release; older store files get them on open
+function migrate(database) {
+    const columns = database.prepare('PRAGMA table_info(jobs)').all().map(column => column.name);
+    if (!columns.includes('batch_id')) {
+        database.exec('ALTER TABLE jobs ADD COLUMN batch_id TEXT');
+    }
+    database.exec('CREATE INDEX IF NOT EXISTS jobs_batch_id ON jobs (batch_id)');
+    if (!columns.includes('token_version')) {
+        database.exec('ALTER TABLE jobs ADD COLUMN token_version INTEGER NOT NULL DEFAULT 0');
+        database.exec("UPDATE jobs SET token_version = COALESCE(json_extract(data, '$.tokenVersion'), 0)");
+    }
+}
+
+// Buffers are dropped defensively; they belong on disk next to their path
+function serialize(job) {
+    return JSON.stringify(job, function (key, value) {
+        return Buffer.isBuffer(this[key]) ? undefined : value;
+    });
+}
+
+function toIso(value) {
+    if (!value) return new Date().toISOString();
+    return value instanceof Date ? value.toISOString() : new Date(value).toISOString();
+}
+
+function parseRow(row) {
+    return { ...JSON.parse(row.data), tokenVersion: row.token_version };
+}
+
+function getJob(jobId) {
+    const row = getDb().prepare('SELECT data, token_version FROM jobs WHERE job_id = ?').get(jobId);
+    return row ? parseRow(row) : null;
+}
+
+// Insert or update a job. A status that differs from the stored one is
+// stamped in stageTimestamps (on the passed object too, so callers see it).
+// The stored token version wins over the passed object's and is copied onto it.
+function saveJob(job) {
+    const now = new Date().toISOString();
+    const previous = getDb().prepare('SELECT status, token_version FROM jobs WHERE job_id = ?').get(job.jobId);
+    if (!previous || previous.status !== job.status) {
+        job.stageTimestamps = { ...(job.stageTimestamps || {}), [job.status]: now };
+    }
+    job.tokenVersion = previous ? previous.token_version : (job.tokenVersion || 0);
+
+    getDb().prepare(`
+        INSERT INTO jobs (job_id, batch_id, status, created_at, updated_at, token_version, data)
+        VALUES (@jobId, @batchId, @status, @createdAt, @updatedAt, @tokenVersion, @data)
+        ON CONFLICT (job_id) DO UPDATE SET
+            status = excluded.status,
+            updated_at = excluded.updated_at,
+            data = excluded.data
+    `).run({
+        jobId: job.jobId,
+        batchId: job.batchId || null,
+        status: job.status,
+        createdAt: toIso(job.createdAt),
+        updatedAt: now,
+        tokenVersion: job.tokenVersion,
+        data: serialize(job)
+    });
+    events.emit('saved', job);
+    return job;
+}
+
+// Bumps the job's token version, invalidating every token signed so far;
+// returns the updated job, or null if there is none
+function revokeTokens(jobId) {
+    const result = getDb()
+        .prepare('UPDATE jobs SET token_version = token_version + 1, updated_at = ? WHERE job_id = ?')
+        .run(new Date().toISOString(), jobId);
+    if (result.changes === 0) return null;
+    const job = getJob(jobId);
+    events.emit('saved', job);
+    return job;
+}
+
+// Calls listener(job) after every save in this process; returns an unsubscribe function
+function subscribe(listener) {
+    events.on('saved', listener);
+    return () => events.off('saved', listener);
+}
+
+function listJobsByStatus(statuses) {
+    if (statuses.length === 0) return [];
+    const placeholders = statuses.map(() => '?').join(', ');
+    return getDb()
+        .prepare(`SELECT data, token_version FROM jobs WHERE status IN (${placeholders}) ORDER BY created_at`)
+        .all(...statuses)
+        .map(parseRow);
+}
+
+function listJobsByBatch(batchId) {
+    return getDb()
+        .prepare('SELECT data, token_version FROM jobs WHERE batch_id = ? ORDER BY created_at, rowid')
+        .all(batchId)
+        .map(parseRow);
+}
+
+// Removes and returns every job created before the cutoff
+function deleteJobsCreatedBefore(cutoff) {
+    const cutoffIso = toIso(cutoff);
+    const database = getDb();
+    const removeOld = database.transaction(() => {
+        const rows = database.prepare('SELECT data FROM jobs WHERE created_at < ?').all(cutoffIso);
+        database.prepare('DELETE FROM jobs WHERE created_at < ?').run(cutoffIso);
+        return rows.map(row => JSON.parse(row.data));
+    });
+    return removeOld();
+}
+
+module.exports = {
+    getJob,
+    saveJob,
+    revokeTokens,
+    listJobsByStatus,
+    listJobsByBatch,
+    deleteJobsCreatedBefore,
+    subscribe
+};
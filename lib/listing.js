@@ -0,0 +1,160 @@
+// Etsy listing copy (title, tags, description, category) for a finished design.
+// The text model drafts it; the constraints Etsy enforces are checked here, so
+// a generated or hand-edited listing is only stored when Etsy would accept it.
+
+const TITLE_MAX_LENGTH = 140;
+const TAG_COUNT = 13;
+const TAG_MAX_LENGTH = 20;
+const DESCRIPTION_MAX_LENGTH = 10000;
+const CATEGORY_MAX_LENGTH = 200;
+// Etsy allows each of these only once in a title
+const TITLE_SINGLE_USE_CHARACTERS = ['%', ':', '&', '+'];
+// Letters (any script), digits, spaces, hyphens and apostrophes
+const TAG_PATTERN = /^[\p{L}\p{N}' -]+$/u;
+
+function collapseWhitespace(value) {
+    return value.replace(/\s+/g, ' ').trim();
+}
+
+// Tags arrive as an array or a comma-separated string; they're lowercased and
+// deduplicated (case-insensitively) before validation
+function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    const seen = new Set();
+    const normalized = [];
+    for (const tag of list) {
+        if (typeof tag !== 'string') continue;
+        const value = collapseWhitespace(tag).toLowerCase();
+        if (!value || seen.has(value)) continue;
+        seen.add(value);
+        normalized.push(value);
+    }
+    return normalized;
+}
+
+function normalizeListing({ title, tags, description, category } = {}) {
+    return {
+        title: typeof title === 'string' ? collapseWhitespace(title) : '',
+        tags: normalizeTags(tags),
+        description: typeof description === 'string' ? description.replace(/\r\n/g, '\n').trim() : '',
+        category: typeof category === 'string' ? collapseWhitespace(category) : ''
+    };
+}
+
+// Every rule the listing breaks, as user-facing messages (empty when valid)
+function validateListing(listing) {
+    const errors = [];
+
+    if (!listing.title) {
+        errors.push('Title is required');
+    } else if (listing.title.length > TITLE_MAX_LENGTH) {
+        errors.push(`Title must be at most ${TITLE_MAX_LENGTH} characters (has ${listing.title.length})`);
+    }
+    for (const character of TITLE_SINGLE_USE_CHARACTERS) {
+        if (listing.title.split(character).length > 2) {
+            errors.push(`Title may use "${character}" only once`);
+        }
+    }
+
+    if (listing.tags.length !== TAG_COUNT) {
+        errors.push(`Exactly ${TAG_COUNT} distinct tags are required (has ${listing.tags.length})`);
+    }
+    for (const tag of listing.tags) {
+        if (tag.length > TAG_MAX_LENGTH) {
+            errors.push(`Tag "${tag}" is longer than ${TAG_MAX_LENGTH} characters`);
+        } else if (!TAG_PATTERN.test(tag)) {
+            errors.push(`Tag "${tag}" may only contain letters, numbers, spaces, hyphens and apostrophes`);
+        }
+    }
+
+    if (!listing.description) {
+        errors.push('Description is required');
+    } else if (listing.description.length > DESCRIPTION_MAX_LENGTH) {
+        errors.push(`Description must be at most ${DESCRIPTION_MAX_LENGTH} characters`);
+    }
+
+    if (!listing.category) {
+        errors.push('Category is required');
+    } else if (listing.category.length > CATEGORY_MAX_LENGTH) {
+        errors.push(`Category must be at most ${CATEGORY_MAX_LENGTH} characters`);
+    }
+
+    return errors;
+}
+
+function buildListingPrompt({ referenceText, previousErrors }) {
+    const lines = [
+        'You write Etsy listings for print-on-demand apparel (t-shirts, hoodies, sweatshirts).',
+        'Look at the attached design and write a listing for a shirt printed with it.',
+        '',
+        'Respond with a JSON object only, with these keys:',
+        `- "title": at most ${TITLE_MAX_LENGTH} characters. Lead with what the design shows and the product type. Use each of ${TITLE_SINGLE_USE_CHARACTERS.join(' ')} at most once. No all-caps words, no emojis.`,
+        `- "tags": an array of exactly ${TAG_COUNT} distinct lowercase search phrases, each at most ${TAG_MAX_LENGTH} characters, using only letters, numbers, spaces, hyphens and apostrophes.`,
+        '- "description": 2-4 short paragraphs describing the design, who it suits and what occasions it fits. Do not invent fabric, sizing or care details.',
+        '- "category": the best-fitting Etsy category path, e.g. "Clothing > Gender-Neutral Adult Clothing > Tops & Tees > T-shirts".',
+        '',
+        'Do not mention brands, trademarks or the words "Etsy", "AI" or "generated".'
+    ];
+    if (referenceText) {
+        lines.push(`The design includes the text "${referenceText}".`);
+    }
+    if (previousErrors && previousErrors.length > 0) {
+        lines.push('', 'Your previous answer was rejected for these reasons; fix all of them:');
+        lines.push(...previousErrors.map(error => `- ${error}`));
+    }
+    return lines.join('\n');
+}
+
+// Models sometimes wrap the JSON in a code fence or add a sentence around it
+function parseModelResponse(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('Text model did not return a JSON object');
+    }
+    try {
+        return JSON.parse(text.slice(start, end + 1));
+    } catch (error) {
+        throw new Error(`Text model returned invalid JSON: ${error.message}`);
+    }
+}
+
+// Draft a listing for imageBuffer; a draft that breaks the rules is sent back
+// once with the reasons before giving up
+async function generateListing({ provider, imageBuffer, mimeType, referenceText, timeoutMs, jobId, calls }) {
+    let errors = [];
+    for (let attempt = 1; attempt <= 2; attempt++) {
+        const text = await provider.generateText({
+            prompt: buildListingPrompt({ referenceText, previousErrors: errors }),
+            imageBuffer,
+            mimeType,
+            json: true,
+            temperature: 0.7,
+            timeoutMs,
+            jobId,
+            calls
+        });
+
+        let listing;
+        try {
+            listing = normalizeListing(parseModelResponse(text));
+            errors = validateListing(listing);
+        } catch (parseError) {
+            errors = [parseError.message];
+        }
+        if (errors.length === 0) {
+            return listing;
+        }
+        console.log(`[${jobId}] Listing draft ${attempt} rejected: ${errors.join('; ')}`);
+    }
+    throw new Error(`Could not generate a valid listing: ${errors.join('; ')}`);
+}
+
+module.exports = {
+    TITLE_MAX_LENGTH,
+    TAG_COUNT,
+    TAG_MAX_LENGTH,
+    normalizeListing,
+    validateListing,
+    generateListing
+};
@@ -0,0 +1,155 @@
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+const { placeOnCanvas, trimMargins } = require('../canvas');
+
+// Listing photos built locally: the final design is composited flat (no
+// perspective or warp) into a product template's print area. Templates are
+// SVGs in ./templates holding only the product's shading in light grey on a
+// transparent background; the product colour is a flat fill that the shading
+// is multiplied over, together with the design, so folds and fabric grain
+// carry into the print.
+
+const TEMPLATE_DIR = path.join(__dirname, 'templates');
+// Template SVGs are drawn on a 1200 unit square and rendered at SIZE pixels
+const VIEWBOX_SIZE = 1200;
+const SIZE = 2000;
+const BACKGROUND = '#e8e6e1';
+
+const GARMENT_COLORS = {
+    white: '#f7f7f5',
+    black: '#262626',
+    heather: '#b9b8b4',
+    navy: '#24304d',
+    red: '#b0292f',
+    sand: '#d9c8a6'
+};
+
+// printArea is in template (viewBox) units
+const TEMPLATES = [
+    {
+        id: 'tee',
+        label: 'T-shirt',
+        file: 'tee.svg',
+        printArea: { left: 400, top: 300, width: 400, height: 500 },
+        colors: GARMENT_COLORS,
+        defaultColor: 'white'
+    },
+    {
+        id: 'hoodie',
+        label: 'Hoodie',
+        file: 'hoodie.svg',
+        printArea: { left: 420, top: 380, width: 360, height: 420 },
+        colors: GARMENT_COLORS,
+        defaultColor: 'heather'
+    },
+    {
+        id: 'mug',
+        label: 'Mug',
+        file: 'mug.svg',
+        printArea: { left: 350, top: 420, width: 440, height: 440 },
+        colors: { white: '#ffffff', black: '#2a2a2a' },
+        defaultColor: 'white'
+    },
+    {
+        id: 'tote',
+        label: 'Tote bag',
+        file: 'tote.svg',
+        printArea: { left: 370, top: 500, width: 460, height: 520 },
+        colors: { natural: '#efe6d2', black: '#262626' },
+        defaultColor: 'natural'
+    }
+];
+
+// Rendered shading layers, by template id
+const shadingCache = new Map();
+
+function listTemplates() {
+    return TEMPLATES.map(template => ({
+        id: template.id,
+        label: template.label,
+        printArea: scaleArea(template.printArea),
+        colors: Object.keys(template.colors),
+        defaultColor: template.defaultColor,
+        size: { width: SIZE, height: SIZE }
+    }));
+}
+
+function getTemplate(id) {
+    const template = TEMPLATES.find(candidate => candidate.id === id);
+    if (!template) {
+        throw new Error(`Unknown mockup template "${id}"`);
+    }
+    return template;
+}
+
+function resolveColor(template, color) {
+    const name = color || template.defaultColor;
+    if (!template.colors[name]) {
+        throw new Error(`Mockup template "${template.id}" has no colour "${name}" (available: ${Object.keys(template.colors).join(', ')})`);
+    }
+    return name;
+}
+
+function scaleArea(area) {
+    const scale = SIZE / VIEWBOX_SIZE;
+    return {
+        left: Math.round(area.left * scale),
+        top: Math.round(area.top * scale),
+        width: Math.round(area.width * scale),
+        height: Math.round(area.height * scale)
+    };
+}
+
+async function getShading(template) {
+    if (!shadingCache.has(template.id)) {
+        const svg = fs.readFileSync(path.join(TEMPLATE_DIR, template.file));
+        shadingCache.set(template.id, await sharp(svg).resize(SIZE, SIZE).png().toBuffer());
+    }
+    return shadingCache.get(template.id);
+}
+
+// A design with real transparency goes on as-is; an opaque one (background
+// removal skipped) is multiplied so its white background drops out, which
+// only reads on light products
+async function hasTransparency(imageBuffer) {
+    const { isOpaque } = await sharp(imageBuffer).stats();
+    return !isOpaque;
+}
+
+// -> PNG buffer of the design on the template in the given colour
+async function renderMockup(designBuffer, { template: templateId, color } = {}) {
+    const template = getTemplate(templateId);
+    const colorName = resolveColor(template, color);
+    const area = scaleArea(template.printArea);
+
+    const shading = await getShading(template);
+    const design = await placeOnCanvas(await trimMargins(designBuffer), { width: area.width, height: area.height });
+    const designBlend = await hasTransparency(designBuffer) ? 'over' : 'multiply';
+
+    // Product colour + design, multiplied by the shading and cut to its shape
+    const product = await sharp({
+        create: { width: SIZE, height: SIZE, channels: 4, background: template.colors[colorName] }
+    })
+        .composite([
+            { input: design, left: area.left, top: area.top, blend: designBlend },
+            { input: shading, blend: 'multiply' },
+            { input: shading, blend: 'dest-in' }
+        ])
+        .png()
+        .toBuffer();
+
+    return sharp({
+        create: { width: SIZE, height: SIZE, channels: 3, background: BACKGROUND }
+    })
+        .composite([{ input: product }])
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+}
+
+module.exports = {
+    listTemplates,
+    getTemplate,
+    resolveColor,
+    renderMockup
+};
@@ -0,0 +1,199 @@
+const zlib = require('zlib');
+const sharp = require('sharp');
+
+// Download formats and their options. Options arrive as query parameters
+// and only the ones a format lists are read:
+//   quality      1-100, JPG (default 92) and lossy WebP (default 90)
+//   lossless     true/false, WebP (default true)
+//   compression  PNG zlib level 0-9 (default 9); TIFF lzw, deflate or none (default lzw)
+//   alpha        keep or flatten (onto white); JPG is always flattened
+//   dpi          print resolution, defaults to the export preset's or 300
+//   pageSize     PDF page: image (the print size at dpi), a4 or letter
+// PDFs are a single page holding the image losslessly, with its alpha
+// channel as a soft mask.
+
+const OUTPUT_FORMATS = {
+    png: { extension: 'png', mimeType: 'image/png', options: ['compression', 'alpha'] },
+    jpg: { extension: 'jpg', mimeType: 'image/jpeg', options: ['quality'] },
+    webp: { extension: 'webp', mimeType: 'image/webp', options: ['quality', 'lossless', 'alpha'] },
+    tiff: { extension: 'tiff', mimeType: 'image/tiff', options: ['compression', 'alpha', 'dpi'] },
+    pdf: { extension: 'pdf', mimeType: 'application/pdf', options: ['alpha', 'dpi', 'pageSize'] }
+};
+const FORMAT_ALIASES = { jpeg: 'jpg', tif: 'tiff' };
+const TIFF_COMPRESSIONS = ['lzw', 'deflate', 'none'];
+// In points (1/72 inch), portrait
+const PDF_PAGE_SIZES = {
+    a4: { width: 595.28, height: 841.89 },
+    letter: { width: 612, height: 792 }
+};
+const DEFAULT_DPI = 300;
+const WHITE = { r: 255, g: 255, b: 255 };
+
+// Unknown formats give null, i.e. the file as stored
+function parseOutputFormat(raw) {
+    const format = (raw || '').toString().toLowerCase();
+    const id = FORMAT_ALIASES[format] || format;
+    return OUTPUT_FORMATS[id] ? id : null;
+}
+
+function parseInteger(raw, name, min, max) {
+    const value = Number(raw);
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new Error(`${name} must be a whole number from ${min} to ${max}`);
+    }
+    return value;
+}
+
+function parseChoice(raw, name, choices) {
+    const value = raw.toString().toLowerCase();
+    if (!choices.includes(value)) {
+        throw new Error(`${name} must be one of ${choices.join(', ')}`);
+    }
+    return value;
+}
+
+// Options for the format from a query object; missing ones stay undefined
+function parseFormatOptions(format, query = {}) {
+    const allowed = OUTPUT_FORMATS[format] ? OUTPUT_FORMATS[format].options : [];
+    const given = name => allowed.includes(name) && query[name] !== undefined && query[name] !== '';
+    const options = {};
+
+    if (given('quality')) {
+        options.quality = parseInteger(query.quality, 'quality', 1, 100);
+    }
+    if (given('lossless')) {
+        options.lossless = ['1', 'true', 'yes'].includes(parseChoice(query.lossless, 'lossless', ['1', '0', 'true', 'false', 'yes', 'no']));
+    }
+    if (given('compression')) {
+        options.compression = format === 'png'
+            ? parseInteger(query.compression, 'compression', 0, 9)
+            : parseChoice(query.compression, 'compression', TIFF_COMPRESSIONS);
+    }
+    if (given('alpha')) {
+        options.alpha = parseChoice(query.alpha, 'alpha', ['keep', 'flatten']);
+    }
+    if (given('dpi')) {
+        options.dpi = parseInteger(query.dpi, 'dpi', 72, 1200);
+    }
+    if (given('pageSize')) {
+        options.pageSize = parseChoice(query.pageSize, 'pageSize', ['image', ...Object.keys(PDF_PAGE_SIZES)]);
+    }
+    return options;
+}
+
+// Objects are numbered from 1 in the order given; each is
+// { dict: '/Type /Page ...', stream?: Buffer } and streams get their /Length
+function writePdf(objects) {
+    const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+    let length = chunks[0].length;
+    const offsets = [];
+    const push = chunk => {
+        chunks.push(chunk);
+        length += chunk.length;
+    };
+
+    objects.forEach((object, index) => {
+        offsets.push(length);
+        const dict = object.stream ? `${object.dict} /Length ${object.stream.length}` : object.dict;
+        push(Buffer.from(`${index + 1} 0 obj\n<< ${dict} >>\n`));
+        if (object.stream) {
+            push(Buffer.from('stream\n'));
+            push(object.stream);
+            push(Buffer.from('\nendstream\n'));
+        }
+        push(Buffer.from('endobj\n'));
+    });
+
+    const xrefOffset = length;
+    push(Buffer.from([
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R >>`,
+        'startxref',
+        String(xrefOffset),
+        '%%EOF',
+        ''
+    ].join('\n')));
+    return Buffer.concat(chunks);
+}
+
+async function renderPdf(inputBuffer, { dpi, pageSize, alpha }) {
+    const base = alpha === 'flatten'
+        ? sharp(inputBuffer).flatten({ background: WHITE })
+        : sharp(inputBuffer);
+    const { data: rgb, info } = await base.clone().toColourspace('srgb').removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const keepAlpha = alpha !== 'flatten' && !(await sharp(inputBuffer).stats()).isOpaque;
+
+    // The image at its print size, centred on the page and shrunk if it doesn't fit
+    const imageWidth = info.width * 72 / dpi;
+    const imageHeight = info.height * 72 / dpi;
+    let page = { width: imageWidth, height: imageHeight };
+    if (PDF_PAGE_SIZES[pageSize]) {
+        const { width, height } = PDF_PAGE_SIZES[pageSize];
+        page = imageWidth > imageHeight ? { width: height, height: width } : { width, height };
+    }
+    const scale = Math.min(1, page.width / imageWidth, page.height / imageHeight);
+    const drawWidth = imageWidth * scale;
+    const drawHeight = imageHeight * scale;
+    const x = (page.width - drawWidth) / 2;
+    const y = (page.height - drawHeight) / 2;
+    const pt = value => Number(value.toFixed(2));
+
+    const imageDict = `/Type /XObject /Subtype /Image /Width ${info.width} /Height ${info.height} /BitsPerComponent 8 /Filter /FlateDecode`;
+    const objects = [
+        { dict: '/Type /Catalog /Pages 2 0 R' },
+        { dict: '/Type /Pages /Kids [3 0 R] /Count 1' },
+        { dict: `/Type /Page /Parent 2 0 R /MediaBox [0 0 ${pt(page.width)} ${pt(page.height)}] /Resources << /XObject << /Im0 4 0 R >> >> /Contents 5 0 R` },
+        { dict: `${imageDict} /ColorSpace /DeviceRGB${keepAlpha ? ' /SMask 6 0 R' : ''}`, stream: zlib.deflateSync(rgb) },
+        { dict: '', stream: Buffer.from(`q ${pt(drawWidth)} 0 0 ${pt(drawHeight)} ${pt(x)} ${pt(y)} cm /Im0 Do Q`) }
+    ];
+    if (keepAlpha) {
+        const { channels } = await sharp(inputBuffer).metadata();
+        const mask = await base.clone().extractChannel(channels - 1).raw().toBuffer();
+        objects.push({ dict: `${imageDict} /ColorSpace /DeviceGray`, stream: zlib.deflateSync(mask) });
+    }
+    return writePdf(objects);
+}
+
+// -> { buffer, mimeType, extension }. dpi is the export preset's, if any;
+// print resolution and an sRGB profile are embedded whenever one applies.
+async function convertImage(inputBuffer, format, options = {}, { dpi: presetDpi } = {}) {
+    const { extension, mimeType } = OUTPUT_FORMATS[format];
+    const dpi = options.dpi || presetDpi || (['tiff', 'pdf'].includes(format) ? DEFAULT_DPI : null);
+
+    if (format === 'pdf') {
+        const buffer = await renderPdf(inputBuffer, { dpi, pageSize: options.pageSize || 'image', alpha: options.alpha });
+        return { buffer, mimeType, extension };
+    }
+
+    let transformer = sharp(inputBuffer);
+    if (format === 'jpg' || options.alpha === 'flatten') {
+        transformer = transformer.flatten({ background: WHITE });
+    }
+    if (format === 'png') {
+        transformer = transformer.png({ compressionLevel: options.compression ?? 9 });
+    } else if (format === 'jpg') {
+        transformer = transformer.jpeg({ quality: options.quality || 92, mozjpeg: true });
+    } else if (format === 'webp') {
+        const lossless = options.lossless ?? true;
+        transformer = transformer.webp(lossless ? { lossless: true, effort: 6 } : { quality: options.quality || 90, alphaQuality: 100 });
+    } else if (format === 'tiff') {
+        const compression = options.compression || 'lzw';
+        transformer = transformer.tiff({ compression, predictor: compression === 'none' ? 'none' : 'horizontal' });
+    }
+
+    // Keep the print DPI and colour profile through the conversion
+    if (dpi) {
+        transformer = transformer.withMetadata({ density: dpi }).withIccProfile('srgb');
+    }
+    return { buffer: await transformer.toBuffer(), mimeType, extension };
+}
+
+module.exports = {
+    parseOutputFormat,
+    parseFormatOptions,
+    convertImage
+};
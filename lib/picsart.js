@@ -0,0 +1,170 @@
+const axios = require('axios');
+const FormData = require('form-data');
+const sharp = require('sharp');
+const { withResource } = require('./job-queue');
+const { withRetry, isAbortError } = require('./retry');
+
+const PICSART_REMOVEBG_URL = 'https://api.picsart.io/tools/1.0/removebg';
+const PICSART_UPSCALE_URL = 'https://api.picsart.io/tools/1.0/upscale';
+
+function getApiKey() {
+    return process.env.PICSART_API_KEY;
+}
+
+function isConfigured() {
+    return !!(getApiKey() && getApiKey().trim());
+}
+
+// Turn an axios/Picsart failure into a single readable message
+function describePicsartError(error, prefix, logTag) {
+    let errorMessage = prefix;
+    if (error.response) {
+        // HTTP error response from API
+        errorMessage += ` (HTTP ${error.response.status})`;
+        if (error.response.data) {
+            console.error(`${logTag} API Error Response:`, error.response.data);
+            // Decode buffer if it's a buffer
+            if (Buffer.isBuffer(error.response.data)) {
+                const errorText = error.response.data.toString('utf8');
+                console.error(`${logTag} Decoded API Error:`, errorText);
+                try {
+                    const errorJson = JSON.parse(errorText);
+                    if (errorJson.detail) {
+                        errorMessage += `: ${errorJson.detail}`;
+                    }
+                } catch (parseError) {
+                    console.error(`${logTag} Could not parse error JSON:`, parseError);
+                }
+            } else if (error.response.data.detail) {
+                errorMessage += `: ${error.response.data.detail}`;
+            }
+        }
+    } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+        errorMessage += ': Network connection failed';
+    } else if (error.message) {
+        errorMessage += `: ${error.message}`;
+    }
+    return errorMessage;
+}
+
+async function removeBackground(imageBuffer, { filename = 'image.png', calls } = {}) {
+    try {
+        console.log(`[RemoveBg] Removing background from: ${filename}`);
+
+        const response = await withRetry('picsart', () => withResource('picsart', () => {
+            // Create form data for file upload - minimal parameters to avoid API errors.
+            // A form can only be sent once, so every attempt builds its own.
+            const form = new FormData();
+            form.append('image', imageBuffer, { filename });
+
+            return axios.post(PICSART_REMOVEBG_URL, form, {
+                headers: {
+                    'X-Picsart-API-Key': getApiKey(),
+                    'accept': 'application/json',
+                    ...form.getHeaders()
+                },
+                signal: calls?.signal
+            });
+        }, calls?.signal), calls, 'removeBackground');
+
+        console.log('[RemoveBg] Picsart response:', response.data);
+
+        // Picsart answers with a URL to the result rather than raw image data
+        if (!(response.data && response.data.data && response.data.data.url)) {
+            throw new Error('Unexpected Picsart response format: ' + JSON.stringify(response.data));
+        }
+
+        const imageResponse = await withRetry('picsart', () => axios.get(response.data.data.url, {
+            responseType: 'arraybuffer',
+            signal: calls?.signal
+        }), calls, 'fetchResult');
+
+        // Convert to PNG using sharp to ensure consistency
+        return await sharp(Buffer.from(imageResponse.data))
+            .png({ compressionLevel: 9 })
+            .toBuffer();
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error('[RemoveBg] Picsart background removal error:', error.message);
+        throw new Error(describePicsartError(error, 'Background removal failed', '[RemoveBg]'));
+    }
+}
+
+async function upscale(imageBuffer, upscaleFactor = 2, { filename = 'image.png', calls } = {}) {
+    try {
+        console.log(`[Upscale] Starting: ${filename} with factor ${upscaleFactor}`);
+        console.log(`[Upscale] Platform: ${process.env.VERCEL ? 'Vercel' : 'Local'}, Node: ${process.version}`);
+
+        console.log(`[Upscale] Calling Picsart API...`);
+        const apiStartTime = Date.now();
+        const response = await withRetry('picsart', () => withResource('picsart', () => {
+            // Create form data for file upload - minimal parameters
+            const form = new FormData();
+            form.append('image', imageBuffer, { filename });
+            form.append('upscale_factor', upscaleFactor.toString());
+
+            return axios.post(PICSART_UPSCALE_URL, form, {
+                headers: {
+                    'X-Picsart-API-Key': getApiKey(),
+                    'accept': 'application/json',
+                    ...form.getHeaders()
+                },
+                timeout: 30000, // 30 second timeout
+                signal: calls?.signal
+            });
+        }, calls?.signal), calls, 'upscale');
+
+        console.log(`[Upscale] Picsart API responded in ${Date.now() - apiStartTime}ms:`, response.data);
+
+        // Picsart answers with a URL to the result rather than raw image data
+        if (!(response.data && response.data.data && response.data.data.url)) {
+            throw new Error('Unexpected Picsart response format: ' + JSON.stringify(response.data));
+        }
+
+        console.log(`[Upscale] Downloading from URL: ${response.data.data.url}`);
+        const downloadStartTime = Date.now();
+        const imageResponse = await withRetry('picsart', () => axios.get(response.data.data.url, {
+            responseType: 'arraybuffer',
+            timeout: 30000,
+            signal: calls?.signal
+        }), calls, 'fetchResult');
+
+        const downloadSizeMB = (imageResponse.data.length / (1024 * 1024)).toFixed(2);
+        console.log(`[Upscale] Downloaded ${downloadSizeMB}MB in ${Date.now() - downloadStartTime}ms`);
+
+        // Convert to PNG using sharp to ensure consistency
+        try {
+            const sharpStartTime = Date.now();
+            const pngBuffer = await sharp(Buffer.from(imageResponse.data))
+                .png({ compressionLevel: 9 })
+                .toBuffer();
+            const outputSizeMB = (pngBuffer.length / (1024 * 1024)).toFixed(2);
+            console.log(`[Upscale] Sharp conversion completed in ${Date.now() - sharpStartTime}ms, output: ${outputSizeMB}MB`);
+            return pngBuffer;
+        } catch (sharpError) {
+            console.error(`[Upscale] Sharp conversion failed:`, sharpError);
+            console.error(`[Upscale] Attempting fallback: using raw image data...`);
+
+            // Fallback: keep the raw data without Sharp conversion
+            return Buffer.from(imageResponse.data);
+        }
+    } catch (error) {
+        if (isAbortError(error)) throw error;
+        console.error('[Upscale] ERROR occurred:', {
+            message: error.message,
+            code: error.code,
+            response: error.response ? {
+                status: error.response.status,
+                statusText: error.response.statusText,
+                data: error.response.data
+            } : undefined
+        });
+        throw new Error(describePicsartError(error, 'Image upscaling failed', '[Upscale]'));
+    }
+}
+
+module.exports = {
+    isConfigured,
+    removeBackground,
+    upscale
+};
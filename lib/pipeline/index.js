@@ -0,0 +1,299 @@
+const fs = require('fs');
+const path = require('path');
+const { throwIfAborted } = require('../retry');
+const resultCache = require('../result-cache');
+
+// Post-processing steps run after generation. Each step module exposes:
+//   name, label, status (job status while it runs), filePrefix,
+//   onFailure ('skip' | 'fail' | 'fallback'), optional fallback step name,
+//   optional shorthand option name (so "upscale:4" means { factor: 4 }),
+//   optional artifacts (file extensions of extra outputs, e.g. ['svg']),
+//   isAvailable(), normalizeOptions(options), run(input, options, context)
+// run resolves to { buffer, meta, artifacts? } where artifacts maps each
+// declared extension to a buffer; the raster buffer is what the next step gets.
+// A raster returned unchanged is not written again: the input's file is kept.
+const FAILURE_POLICIES = ['skip', 'fail', 'fallback'];
+const steps = new Map();
+
+function registerStep(step) {
+    steps.set(step.name, step);
+}
+
+function getStep(name) {
+    const step = steps.get(name);
+    if (!step) {
+        throw new Error(`Unknown pipeline step "${name}"`);
+    }
+    return step;
+}
+
+function listSteps() {
+    return Array.from(steps.values()).map(step => ({
+        name: step.name,
+        label: step.label,
+        status: step.status,
+        onFailure: step.onFailure,
+        fallback: step.fallback || null,
+        available: step.isAvailable()
+    }));
+}
+
+function normalizeEntry(entry) {
+    let name;
+    let options = {};
+    let onFailure;
+    let fallback;
+
+    if (typeof entry === 'string') {
+        // Shorthand: "upscale" or "upscale:4"
+        const [rawName, rawArg] = entry.split(':').map(part => part.trim());
+        name = rawName;
+        const step = getStep(name);
+        if (rawArg !== undefined && rawArg !== '') {
+            if (!step.shorthand) {
+                throw new Error(`Pipeline step "${name}" does not take an inline value`);
+            }
+            options[step.shorthand] = rawArg;
+        }
+    } else if (entry && typeof entry === 'object') {
+        name = entry.step || entry.name;
+        options = entry.options || {};
+        onFailure = entry.onFailure;
+        fallback = entry.fallback;
+    } else {
+        throw new Error('Pipeline entries must be step names or { step, options } objects');
+    }
+
+    const step = getStep(name);
+    if (onFailure !== undefined && !FAILURE_POLICIES.includes(onFailure)) {
+        throw new Error(`Unknown failure policy "${onFailure}" for step "${name}"`);
+    }
+    if (fallback !== undefined) {
+        getStep(fallback);
+    }
+
+    return {
+        step: step.name,
+        options: step.normalizeOptions(options),
+        onFailure: onFailure || step.onFailure,
+        fallback: fallback || step.fallback || null
+    };
+}
+
+// Accepts a JSON array, an array, or a comma-separated shorthand string
+function parsePipelineSpec(raw) {
+    if (raw === undefined || raw === null) return null;
+    let entries = raw;
+    if (typeof raw === 'string') {
+        const trimmed = raw.trim();
+        if (!trimmed) return null;
+        if (trimmed.startsWith('[')) {
+            try {
+                entries = JSON.parse(trimmed);
+            } catch (parseError) {
+                throw new Error('Pipeline must be valid JSON');
+            }
+        } else {
+            entries = trimmed.split(',').map(part => part.trim()).filter(Boolean);
+        }
+    }
+
+    if (!Array.isArray(entries)) {
+        throw new Error('Pipeline must be a list of steps');
+    }
+    return entries.map(normalizeEntry);
+}
+
+// The historical pipeline: optional background removal, then a 2x upscale
+function buildDefaultPipeline({ removeBg }) {
+    const spec = parsePipelineSpec(process.env.DEFAULT_PIPELINE || 'removeBg,upscale:2') || [];
+    return spec.filter(entry => removeBg || entry.step !== 'removeBg');
+}
+
+function writeStepOutput(buffer, { outputDir, filePrefix, baseName, extension = 'png' }) {
+    if (!fs.existsSync(outputDir)) {
+        fs.mkdirSync(outputDir, { recursive: true });
+    }
+    const outputPath = path.join(outputDir, `${filePrefix}_${Date.now()}_${baseName}.${extension}`);
+    fs.writeFileSync(outputPath, buffer);
+    return outputPath;
+}
+
+function getArtifactKey(cacheKey, extension) {
+    return resultCache.createKey({ kind: 'artifact', step: cacheKey, extension });
+}
+
+// A cached output only counts when every artifact of the step is cached too
+function getCachedOutput(step, cacheKey) {
+    const cached = resultCache.get(cacheKey);
+    if (!cached) return null;
+    const artifacts = {};
+    for (const extension of step.artifacts || []) {
+        const artifact = resultCache.get(getArtifactKey(cacheKey, extension));
+        if (!artifact) return null;
+        artifacts[extension] = artifact.buffer;
+    }
+    return { ...cached, artifacts };
+}
+
+// Step outputs are cached by step, options and input bytes, so a pipeline
+// that only changes a later step reuses the earlier ones
+async function runStep(step, entryOptions, input, context) {
+    const startedAt = Date.now();
+    const cacheKey = context.cache
+        ? resultCache.createKey({ kind: 'step', step: step.name, options: entryOptions, input: resultCache.hashBuffer(input.buffer) })
+        : null;
+    const cached = context.cache === 'use' ? getCachedOutput(step, cacheKey) : null;
+    const output = cached || await step.run(input, entryOptions, context);
+    // sharp work can't be interrupted; drop its result instead of writing it
+    throwIfAborted(context.calls);
+    const artifactBuffers = output.artifacts || {};
+    if (cacheKey && !cached) {
+        resultCache.put(cacheKey, output.buffer, { kind: 'step', meta: output.meta });
+        for (const [extension, buffer] of Object.entries(artifactBuffers)) {
+            resultCache.put(getArtifactKey(cacheKey, extension), buffer, { kind: 'artifact', extension });
+        }
+    }
+    const writeOptions = { outputDir: context.outputDir, filePrefix: step.filePrefix, baseName: context.baseName };
+    // Steps that only add artifacts (vectorize, spotColors) hand the raster back unchanged
+    const reusedInput = !!input.path && output.buffer.equals(input.buffer);
+    const outputPath = reusedInput ? input.path : writeStepOutput(output.buffer, writeOptions);
+    const artifacts = {};
+    for (const [extension, buffer] of Object.entries(artifactBuffers)) {
+        artifacts[extension] = writeStepOutput(buffer, { ...writeOptions, extension });
+    }
+    return { buffer: output.buffer, path: outputPath, reusedInput, artifacts, meta: output.meta, durationMs: Date.now() - startedAt, cached: !!cached };
+}
+
+// Runs every entry in order. Returns the final { buffer, path }, the paths
+// of step artifacts by extension (the last step to produce one wins) and a
+// per-step record: outcome is 'ok', 'fallback', 'skipped' (step failed,
+// previous output kept) or 'unavailable' (e.g. missing API key); cached
+// marks outputs taken from the result cache. cache is 'use' (look up and
+// store), 'refresh' (only store) or null.
+async function runPipeline({ jobId, pipeline, input, outputDir, baseName, onStep, calls, cache = null }) {
+    let current = input;
+    const results = [];
+    const intermediatePaths = [];
+    const artifacts = {};
+    const keepOutput = output => {
+        // A reused input file belongs to whoever wrote it (maybe the caller)
+        intermediatePaths.push(...(output.reusedInput ? [] : [output.path]), ...Object.values(output.artifacts));
+        Object.assign(artifacts, output.artifacts);
+        current = output;
+    };
+    // calls: retry context for outbound requests (see lib/retry.js)
+    const context = { jobId, outputDir, baseName, filename: `${baseName}.png`, calls, cache };
+
+    for (const entry of pipeline) {
+        const step = getStep(entry.step);
+        if (aborted(context.calls, intermediatePaths)) {
+            throw calls.signal.reason;
+        }
+        if (!step.isAvailable()) {
+            console.log(`[${jobId}] Pipeline step ${step.name} unavailable; skipping`);
+            results.push({ step: step.name, label: step.label, outcome: 'unavailable' });
+            continue;
+        }
+
+        if (onStep) onStep(step);
+        try {
+            const output = await runStep(step, entry.options, current, context);
+            console.log(`[${jobId}] ${step.label} ${output.cached ? 'reused from cache' : 'successful'} (${output.durationMs}ms)`);
+            keepOutput(output);
+            results.push({ step: step.name, label: step.label, outcome: 'ok', meta: output.meta, durationMs: output.durationMs, cached: output.cached });
+        } catch (stepError) {
+            // Cancelled or timed out: no failure policy applies
+            if (aborted(context.calls, intermediatePaths)) {
+                throw stepError;
+            }
+            console.error(`[${jobId}] ${step.label} failed:`, stepError.message);
+            if (entry.onFailure === 'fail') {
+                throw new Error(`${step.label}: ${stepError.message}`);
+            }
+
+            if (entry.onFailure === 'fallback' && entry.fallback) {
+                const fallbackStep = getStep(entry.fallback);
+                try {
+                    if (onStep) onStep(fallbackStep);
+                    const output = await runStep(fallbackStep, fallbackStep.normalizeOptions(entry.options), current, context);
+                    console.log(`[${jobId}] ${step.label} fell back to ${fallbackStep.label}`);
+                    keepOutput(output);
+                    results.push({
+                        step: step.name,
+                        label: step.label,
+                        outcome: 'fallback',
+                        fallback: fallbackStep.name,
+                        error: stepError.message,
+                        meta: output.meta,
+                        durationMs: output.durationMs,
+                        cached: output.cached
+                    });
+                    continue;
+                } catch (fallbackError) {
+                    if (aborted(context.calls, intermediatePaths)) {
+                        throw fallbackError;
+                    }
+                    console.error(`[${jobId}] Fallback ${fallbackStep.label} failed:`, fallbackError.message);
+                }
+            }
+
+            // Continue with the previous output
+            results.push({ step: step.name, label: step.label, outcome: 'skipped', error: stepError.message });
+        }
+    }
+
+    // Only the final output and artifacts are kept; the input (the generated image) is never removed
+    const kept = [current.path, ...Object.values(artifacts)];
+    for (const intermediatePath of intermediatePaths) {
+        if (!kept.includes(intermediatePath) && fs.existsSync(intermediatePath)) {
+            fs.unlinkSync(intermediatePath);
+        }
+    }
+
+    return { output: current, artifacts, results };
+}
+
+// When the job was aborted, removes every step output written so far
+function aborted(calls, intermediatePaths) {
+    if (!calls || !calls.signal || !calls.signal.aborted) return false;
+    for (const intermediatePath of intermediatePaths.splice(0)) {
+        if (fs.existsSync(intermediatePath)) {
+            fs.unlinkSync(intermediatePath);
+        }
+    }
+    return true;
+}
+
+// Map step outcomes to the job status the UI already understands
+function summarizePipeline(results) {
+    const errors = results
+        .filter(result => result.outcome === 'skipped')
+        .map(result => `${result.label}: ${result.error}`);
+    const succeeded = results.some(result => result.outcome === 'ok' || result.outcome === 'fallback');
+
+    if (errors.length === 0) {
+        return { status: 'pipeline_complete', errors };
+    }
+    return { status: succeeded ? 'partial_pipeline_success' : 'picsart_failed_fallback', errors };
+}
+
+registerStep(require('./steps/remove-bg'));
+registerStep(require('./steps/remove-bg-local'));
+registerStep(require('./steps/trim'));
+registerStep(require('./steps/upscale'));
+registerStep(require('./steps/upscale-local'));
+registerStep(require('./steps/sharpen'));
+registerStep(require('./steps/pad'));
+registerStep(require('./steps/vectorize'));
+registerStep(require('./steps/spot-colors'));
+
+module.exports = {
+    registerStep,
+    getStep,
+    listSteps,
+    parsePipelineSpec,
+    buildDefaultPipeline,
+    runPipeline,
+    summarizePipeline
+};
@@ -0,0 +1,40 @@
+const sharp = require('sharp');
+const { placeOnCanvas } = require('../../canvas');
+
+function parseDimension(value, name) {
+    if (value === undefined) return undefined;
+    const parsed = parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 16 || parsed > 12000) {
+        throw new Error(`Pad ${name} must be between 16 and 12000 pixels`);
+    }
+    return parsed;
+}
+
+module.exports = {
+    name: 'pad',
+    label: 'Pad to canvas',
+    status: 'padding_canvas',
+    filePrefix: 'padded',
+    shorthand: 'size',
+    onFailure: 'skip',
+    isAvailable: () => true,
+    normalizeOptions(options = {}) {
+        // "size" is shorthand for a square canvas, e.g. pad:4500
+        const size = parseDimension(options.size, 'size');
+        const width = parseDimension(options.width, 'width') || size;
+        const height = parseDimension(options.height, 'height') || size;
+        const padding = options.padding === undefined ? 0.05 : Number(options.padding);
+        if (!Number.isFinite(padding) || padding < 0 || padding >= 0.5) {
+            throw new Error('Pad padding must be a fraction between 0 and 0.5');
+        }
+        return { width, height, padding };
+    },
+    async run(input, options) {
+        const metadata = await sharp(input.buffer).metadata();
+        // Without an explicit canvas, pad to a square around the longest edge
+        const width = options.width || Math.max(metadata.width, metadata.height);
+        const height = options.height || width;
+        const buffer = await placeOnCanvas(input.buffer, { width, height, padding: options.padding });
+        return { buffer };
+    }
+};
@@ -0,0 +1,30 @@
+const { removeWhiteBackground } = require('../../background-removal');
+
+function normalizeLocalOptions(options = {}) {
+    const tolerance = options.tolerance === undefined ? 24 : Number(options.tolerance);
+    const feather = options.feather === undefined ? 1 : Number(options.feather);
+    if (!Number.isFinite(tolerance) || tolerance < 0 || tolerance > 128) {
+        throw new Error('Background tolerance must be between 0 and 128');
+    }
+    if (!Number.isFinite(feather) || feather < 0 || feather > 20) {
+        throw new Error('Background feather must be between 0 and 20');
+    }
+    return { tolerance, feather };
+}
+
+module.exports = {
+    name: 'removeBgLocal',
+    label: 'Background removal (local)',
+    status: 'removing_background',
+    filePrefix: 'bg_removed',
+    shorthand: 'tolerance',
+    onFailure: 'skip',
+    isAvailable: () => true,
+    normalizeOptions: normalizeLocalOptions,
+    async run(input, options) {
+        const buffer = await removeWhiteBackground(input.buffer, options);
+        return { buffer, meta: { engine: 'local' } };
+    }
+};
+
+module.exports.normalizeLocalOptions = normalizeLocalOptions;
@@ -0,0 +1,39 @@
+const picsart = require('../../picsart');
+const { removeWhiteBackground } = require('../../background-removal');
+const { normalizeLocalOptions } = require('./remove-bg-local');
+
+const ENGINES = ['picsart', 'local'];
+
+function getDefaultEngine() {
+    const fallbackEngine = picsart.isConfigured() ? 'picsart' : 'local';
+    const engine = (process.env.BG_REMOVAL_ENGINE || fallbackEngine).toLowerCase();
+    return ENGINES.includes(engine) ? engine : fallbackEngine;
+}
+
+module.exports = {
+    name: 'removeBg',
+    label: 'Background removal',
+    status: 'removing_background',
+    filePrefix: 'bg_removed',
+    shorthand: 'engine',
+    // If Picsart fails, key the white background out locally instead of shipping it opaque
+    onFailure: 'fallback',
+    fallback: 'removeBgLocal',
+    isAvailable: () => true,
+    normalizeOptions(options = {}) {
+        const engine = (options.engine || getDefaultEngine()).toString().toLowerCase();
+        if (!ENGINES.includes(engine)) {
+            throw new Error(`Background removal engine must be one of ${ENGINES.join(', ')}`);
+        }
+        return { engine, ...normalizeLocalOptions(options) };
+    },
+    async run(input, options, context) {
+        if (options.engine === 'local' || !picsart.isConfigured()) {
+            const buffer = await removeWhiteBackground(input.buffer, options);
+            return { buffer, meta: { engine: 'local' } };
+        }
+
+        const buffer = await picsart.removeBackground(input.buffer, { filename: context.filename, calls: context.calls });
+        return { buffer, meta: { engine: 'picsart' } };
+    }
+};
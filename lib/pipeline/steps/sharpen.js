@@ -0,0 +1,25 @@
+const sharp = require('sharp');
+
+module.exports = {
+    name: 'sharpen',
+    label: 'Sharpen',
+    status: 'sharpening_image',
+    filePrefix: 'sharpened',
+    shorthand: 'sigma',
+    onFailure: 'skip',
+    isAvailable: () => true,
+    normalizeOptions(options = {}) {
+        const sigma = options.sigma === undefined ? 1 : Number(options.sigma);
+        if (!Number.isFinite(sigma) || sigma < 0.3 || sigma > 10) {
+            throw new Error('Sharpen sigma must be between 0.3 and 10');
+        }
+        return { sigma };
+    },
+    async run(input, options) {
+        const buffer = await sharp(input.buffer)
+            .sharpen({ sigma: options.sigma })
+            .png({ compressionLevel: 9 })
+            .toBuffer();
+        return { buffer };
+    }
+};
@@ -0,0 +1,36 @@
+const { parseInkPalette, separateColors } = require('../../separations');
+
+function normalizeOptions(options = {}) {
+    const rawColors = options.colors === undefined ? 'auto' : String(options.colors).trim().toLowerCase();
+    const colors = rawColors === 'auto' ? 'auto' : Number(rawColors);
+    const maxColors = options.maxColors === undefined ? 8 : Number(options.maxColors);
+    if (colors !== 'auto' && (!Number.isInteger(colors) || colors < 1 || colors > 12)) {
+        throw new Error('Spot colors must be "auto" or a whole number from 1 to 12');
+    }
+    if (!Number.isInteger(maxColors) || maxColors < 1 || maxColors > 12) {
+        throw new Error('Spot colors maxColors must be a whole number from 1 to 12');
+    }
+    const inks = options.inks === undefined || options.inks === null ? null : parseInkPalette(options.inks);
+    return { colors, maxColors, inks };
+}
+
+// Leaves the raster untouched and adds a ZIP of separations
+module.exports = {
+    name: 'spotColors',
+    label: 'Spot colour separations',
+    status: 'separating_colors',
+    filePrefix: 'spot',
+    shorthand: 'colors',
+    artifacts: ['zip'],
+    onFailure: 'skip',
+    isAvailable: () => true,
+    normalizeOptions,
+    async run(input, options) {
+        const { palette, zip } = await separateColors(input.buffer, options);
+        return {
+            buffer: input.buffer,
+            meta: { palette, inkPalette: !!options.inks },
+            artifacts: { zip }
+        };
+    }
+};
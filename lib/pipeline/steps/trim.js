@@ -0,0 +1,26 @@
+const sharp = require('sharp');
+
+module.exports = {
+    name: 'trim',
+    label: 'Trim',
+    status: 'trimming_image',
+    filePrefix: 'trimmed',
+    shorthand: 'threshold',
+    onFailure: 'skip',
+    isAvailable: () => true,
+    normalizeOptions(options = {}) {
+        const threshold = options.threshold === undefined ? 10 : Number(options.threshold);
+        if (!Number.isFinite(threshold) || threshold < 0 || threshold > 255) {
+            throw new Error('Trim threshold must be between 0 and 255');
+        }
+        return { threshold };
+    },
+    async run(input, options) {
+        // Trims edges that match the top-left pixel (transparent or white margins)
+        const buffer = await sharp(input.buffer)
+            .trim({ threshold: options.threshold })
+            .png({ compressionLevel: 9 })
+            .toBuffer();
+        return { buffer };
+    }
+};
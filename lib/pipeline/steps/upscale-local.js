@@ -0,0 +1,41 @@
+const { upscaleImage } = require('../../upscaling');
+
+function parseOptionalDimension(value, name) {
+    if (value === undefined || value === null || value === '') return undefined;
+    const parsed = parseInt(value, 10);
+    if (!Number.isFinite(parsed) || parsed < 16) {
+        throw new Error(`Upscale ${name} must be at least 16 pixels`);
+    }
+    return parsed;
+}
+
+function normalizeLocalOptions(options = {}) {
+    const width = parseOptionalDimension(options.width, 'width');
+    const height = parseOptionalDimension(options.height, 'height');
+    const factor = options.factor === undefined ? 2 : Number(options.factor);
+    const sharpen = options.sharpen === undefined ? 0.6 : Number(options.sharpen);
+    if (!width && !height && (!Number.isFinite(factor) || factor <= 1 || factor > 8)) {
+        throw new Error('Upscale factor must be greater than 1 and at most 8');
+    }
+    if (!Number.isFinite(sharpen) || sharpen < 0 || sharpen > 10 || (sharpen > 0 && sharpen < 0.3)) {
+        throw new Error('Upscale sharpen must be 0 (off) or between 0.3 and 10');
+    }
+    return { factor, width, height, sharpen };
+}
+
+module.exports = {
+    name: 'upscaleLocal',
+    label: 'Upscaling (local)',
+    status: 'upscaling_image',
+    filePrefix: 'upscaled',
+    shorthand: 'factor',
+    onFailure: 'skip',
+    isAvailable: () => true,
+    normalizeOptions: normalizeLocalOptions,
+    async run(input, options) {
+        const buffer = await upscaleImage(input.buffer, options);
+        return { buffer, meta: { engine: 'local' } };
+    }
+};
+
+module.exports.normalizeLocalOptions = normalizeLocalOptions;
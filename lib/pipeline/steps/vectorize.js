@@ -0,0 +1,43 @@
+const { vectorizeImage } = require('../../vectorize');
+
+function normalizeOptions(options = {}) {
+    const colors = options.colors === undefined ? 6 : Number(options.colors);
+    const smoothing = options.smoothing === undefined ? 1 : Number(options.smoothing);
+    const speckle = options.speckle === undefined ? 4 : Number(options.speckle);
+    const maxSize = options.maxSize === undefined ? 1600 : Number(options.maxSize);
+    if (!Number.isInteger(colors) || colors < 1 || colors > 16) {
+        throw new Error('Vectorize colors must be a whole number from 1 to 16');
+    }
+    // potrace's corner threshold: 0 keeps every corner sharp, 1.33 rounds them all
+    if (!Number.isFinite(smoothing) || smoothing < 0 || smoothing > 1.33) {
+        throw new Error('Vectorize smoothing must be between 0 and 1.33');
+    }
+    if (!Number.isInteger(speckle) || speckle < 0 || speckle > 1000) {
+        throw new Error('Vectorize speckle must be a whole number of pixels from 0 to 1000');
+    }
+    if (!Number.isInteger(maxSize) || maxSize < 256 || maxSize > 4096) {
+        throw new Error('Vectorize maxSize must be a whole number from 256 to 4096');
+    }
+    return { colors, smoothing, speckle, maxSize, stacked: options.stacked !== false && options.stacked !== 'false' };
+}
+
+// Leaves the raster untouched and adds an SVG of it
+module.exports = {
+    name: 'vectorize',
+    label: 'Vectorize',
+    status: 'vectorizing_image',
+    filePrefix: 'vectorized',
+    shorthand: 'colors',
+    artifacts: ['svg'],
+    onFailure: 'skip',
+    isAvailable: () => true,
+    normalizeOptions,
+    async run(input, options) {
+        const { svg, palette, width, height } = await vectorizeImage(input.buffer, options);
+        return {
+            buffer: input.buffer,
+            meta: { palette, traceWidth: width, traceHeight: height, svgBytes: svg.length },
+            artifacts: { svg }
+        };
+    }
+};
@@ -0,0 +1,348 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+// Named, versioned design briefs kept in a JSON file. Editing a template's
+// body adds a new version; older versions stay available so jobs can record
+// (and reproduce) exactly which brief they were generated with.
+// Templates belong to a team (teamId) or are shared with everyone (teamId
+// null, like the seeded brief). Callers pass an access object { teamId,
+// userId, isAdmin }; shared templates and the default can only be changed by
+// admins. Without an access object every template is visible.
+
+// Seed for the built-in "Standard design brief" template
+const DEFAULT_BRIEF = `Role
+You are an expert conceptual graphic designer. Create a new, original graphic inspired by an uploaded reference image.
+
+Do this silently
+Perform your visual analysis internally and do not output your reasoning.
+
+Internal analysis checklist
+- Subject and key parts
+- Style family and rendering method
+- Composition pattern and silhouette
+- Color relationships and value contrast
+- Mood and era cues
+
+Creative mandate
+Target a novelty range of 32–38 percent. Keep the same subject category, same broad style family, and the same general composition family, but change specific details so the result is clearly new.
+
+Text replication (mandatory)
+- If the reference contains any text, you must include the exact same text string in the output.
+- Preserve wording, spelling, casing, punctuation, numerals, emojis, and line breaks exactly.
+- Do not translate, paraphrase, abbreviate, or add new text.
+- Keep the text region's position and scale within ±5 percent of the reference. You may make minor kerning or tracking adjustments only to maintain legibility on white.
+- Preserve the text's color and basic typographic weight. If legibility on white is poor, add a subtle outline or adjust only value while keeping the same hue family.
+- Do not stylize the text beyond legibility aids. All required variation must be applied to the artwork, not the text.
+
+Required variation
+Make at least 4 meaningful changes across different axes, applied to the image content only:
+1. Subject pose or angle: change camera or subject orientation by at least 20 degrees, or alter limb or head position with a clearly different gesture.
+2. Feature treatment: change line weight or edge quality by at least one step (fine to medium, crisp to slightly textured). Adjust texture density by ±20 percent or more.
+3. Secondary elements: add, remove, or swap at least 2 items and reposition them so that no element sits within 10 percent of the same canvas coordinates as in the reference.
+4. Composition spacing: change scale of the main subject by 12–22 percent, or shift framing so that 2 or more silhouette extremities move by 8–15 percent of canvas size.
+5. Color rewrite for imagery: introduce at least 2 new hues and shift the base imagery hue by ≥30 degrees on the color wheel, or invert the imagery's dominant temperature. Rebuild imagery value grouping so dark to light does not match the reference.
+6. Stylization tweak: apply one visible modifier to the imagery at 100 percent zoom, such as inkier lines, softer grain, light halftone, or gentle stipple.
+
+Similarity guardrails
+- Do not reuse the exact pose or camera angle within ±10 degrees.
+- Do not match the reference primary or secondary imagery hue within ±15 degrees. Text color is exempt per Text replication.
+- Do not replicate the same count and arrangement of secondary elements.
+- Ensure the silhouette differs at 2 or more major contour features.
+
+Hard constraints
+- Do not trace or replicate shapes, contours, or textures one to one.
+- Do not reproduce the exact pose, element count or arrangement, or color codes for the imagery.
+- Text must be preserved exactly when present in the reference.
+- No signatures or watermarks.
+- No brand identifiers or copyrighted marks. If the reference text is clearly a brand name or protected mark, substitute a neutral placeholder of equal length and similar typographic weight while preserving layout.
+
+Target look
+- Same subject type as the reference (bear -> bear, pizza -> pizza).
+- Same composition family, with altered spacing or feature emphasis for freshness.
+- Harmonious, printable palette with clean value separation and large, readable shapes.
+
+Output specs
+- Single, isolated design centered on a pure white background.
+- Clear silhouette suitable for apparel printing.
+- Include preserved text when present in the reference; otherwise no text.
+- High resolution raster suitable for print.
+
+Quality control self-check
+Before finalizing, compare against the reference at 100 percent zoom:
+- Confirm that all reference text appears, with identical characters and line breaks, and is legible on white. If any character is missing or altered, regenerate.
+- If pose or camera angle is within ±10 degrees, or imagery primary hue is within ±15 degrees, or secondary element layout feels near-identical, regenerate with larger adjustments to the imagery.
+- When adjustments are needed, increase the composition spacing delta first, then the pose delta, then the color delta for imagery.
+
+Deliver
+Generate a design that meets all rules.`;
+
+const DEFAULT_TEMPLATE_ID = 'standard-design-brief';
+const MAX_NAME_LENGTH = 120;
+const MAX_BODY_LENGTH = 20000;
+
+let cache = null;
+
+function getStorePath() {
+    // Vercel only allows writes under tmp, so edits there last for the instance's lifetime
+    const baseDir = process.env.VERCEL ? os.tmpdir() : path.resolve('.');
+    return process.env.PROMPT_TEMPLATES_PATH || path.join(baseDir, 'data', 'prompt-templates.json');
+}
+
+function seedStore() {
+    const now = new Date().toISOString();
+    return {
+        templates: [{
+            id: DEFAULT_TEMPLATE_ID,
+            name: 'Standard design brief',
+            description: 'Close-cousin redesign that keeps any reference text',
+            isDefault: true,
+            archived: false,
+            createdAt: now,
+            updatedAt: now,
+            version: 1,
+            versions: [{ version: 1, body: DEFAULT_BRIEF, createdAt: now }]
+        }]
+    };
+}
+
+function loadStore() {
+    if (cache) return cache;
+
+    const storePath = getStorePath();
+    if (fs.existsSync(storePath)) {
+        try {
+            cache = JSON.parse(fs.readFileSync(storePath, 'utf8'));
+        } catch (parseError) {
+            throw new Error(`Prompt template store ${storePath} is not valid JSON: ${parseError.message}`);
+        }
+    } else {
+        cache = seedStore();
+        saveStore();
+    }
+    return cache;
+}
+
+// Write to a temp file and rename so a crash never leaves half a store behind
+function saveStore() {
+    const storePath = getStorePath();
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    const tempPath = `${storePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(cache, null, 2));
+    fs.renameSync(tempPath, storePath);
+}
+
+function summarize(template, { withVersions = false } = {}) {
+    const current = template.versions.find(entry => entry.version === template.version);
+    const summary = {
+        id: template.id,
+        name: template.name,
+        description: template.description,
+        isDefault: template.isDefault,
+        archived: template.archived,
+        teamId: template.teamId || null,
+        createdBy: template.createdBy || null,
+        version: template.version,
+        body: current.body,
+        createdAt: template.createdAt,
+        updatedAt: template.updatedAt
+    };
+    if (withVersions) {
+        summary.versions = template.versions;
+    }
+    return summary;
+}
+
+function validateFields({ name, body, description }, { partial = false } = {}) {
+    if (!partial || name !== undefined) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error('Template name is required');
+        }
+        if (name.trim().length > MAX_NAME_LENGTH) {
+            throw new Error(`Template name must be at most ${MAX_NAME_LENGTH} characters`);
+        }
+    }
+    if (!partial || body !== undefined) {
+        if (typeof body !== 'string' || !body.trim()) {
+            throw new Error('Template body is required');
+        }
+        if (body.length > MAX_BODY_LENGTH) {
+            throw new Error(`Template body must be at most ${MAX_BODY_LENGTH} characters`);
+        }
+    }
+    if (description !== undefined && description !== null && typeof description !== 'string') {
+        throw new Error('Template description must be a string');
+    }
+}
+
+function isVisible(template, access) {
+    return !access || !template.teamId || template.teamId === access.teamId;
+}
+
+function findTemplate(id, access) {
+    const template = loadStore().templates.find(entry => entry.id === id) || null;
+    return template && isVisible(template, access) ? template : null;
+}
+
+function createForbiddenError(message) {
+    const error = new Error(message);
+    error.code = 'FORBIDDEN';
+    return error;
+}
+
+function assertCanChange(template, access) {
+    if (access && !template.teamId && !access.isAdmin) {
+        throw createForbiddenError('Only admins can change shared prompt templates');
+    }
+}
+
+// The default is used by every team, so it has to be a shared template
+function assertCanChangeDefault(template, access) {
+    if (access && !access.isAdmin) {
+        throw createForbiddenError('Only admins can change the default prompt template');
+    }
+    if (template.teamId) {
+        throw new Error('Only shared prompt templates can be the default');
+    }
+}
+
+function makeDefault(store, id) {
+    store.templates.forEach(template => {
+        template.isDefault = template.id === id;
+    });
+}
+
+function listTemplates({ includeArchived = false } = {}, access) {
+    return loadStore().templates
+        .filter(template => (includeArchived || !template.archived) && isVisible(template, access))
+        .map(template => summarize(template));
+}
+
+function getTemplate(id, access) {
+    const template = findTemplate(id, access);
+    return template ? summarize(template, { withVersions: true }) : null;
+}
+
+function getDefaultTemplate() {
+    const store = loadStore();
+    const template = store.templates.find(entry => entry.isDefault && !entry.archived)
+        || store.templates.find(entry => !entry.archived);
+    if (!template) {
+        throw new Error('No active prompt template is available');
+    }
+    return summarize(template);
+}
+
+// Returns { id, name, version, body } for a job; the current version unless one is pinned
+function resolveTemplate(id, version, access) {
+    const template = id ? findTemplate(id, access) : null;
+    if (id && !template) {
+        throw new Error(`Unknown prompt template "${id}"`);
+    }
+
+    const resolved = template || findTemplate(getDefaultTemplate().id);
+    if (template && template.archived && version === undefined) {
+        throw new Error(`Prompt template "${id}" is archived`);
+    }
+
+    const wantedVersion = version === undefined ? resolved.version : parseInt(version, 10);
+    const entry = resolved.versions.find(item => item.version === wantedVersion);
+    if (!entry) {
+        throw new Error(`Prompt template "${resolved.id}" has no version ${version}`);
+    }
+    return { id: resolved.id, name: resolved.name, version: entry.version, body: entry.body };
+}
+
+function slugify(name) {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 48);
+    return `${slug || 'template'}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// New templates belong to the creator's team; admins may pass shared: true
+function createTemplate({ name, body, description, isDefault, shared } = {}, access) {
+    validateFields({ name, body, description });
+    if (shared) {
+        assertCanChange({ teamId: null }, access);
+    }
+    if (isDefault) {
+        assertCanChangeDefault({ teamId: access && !shared ? access.teamId : null }, access);
+    }
+    const store = loadStore();
+    const now = new Date().toISOString();
+    const template = {
+        id: slugify(name),
+        name: name.trim(),
+        description: (description || '').trim(),
+        isDefault: false,
+        archived: false,
+        teamId: access && !shared ? access.teamId : null,
+        createdBy: access ? access.userId : null,
+        createdAt: now,
+        updatedAt: now,
+        version: 1,
+        versions: [{ version: 1, body, createdAt: now }]
+    };
+    store.templates.push(template);
+    if (isDefault) {
+        makeDefault(store, template.id);
+    }
+    saveStore();
+    return summarize(template, { withVersions: true });
+}
+
+// Name/description edits keep the version; a changed body becomes a new version
+function updateTemplate(id, { name, body, description, isDefault } = {}, access) {
+    const template = findTemplate(id, access);
+    if (!template) return null;
+    if (template.archived) {
+        throw new Error(`Prompt template "${id}" is archived`);
+    }
+    assertCanChange(template, access);
+    if (isDefault === true) {
+        assertCanChangeDefault(template, access);
+    }
+    validateFields({ name, body, description }, { partial: true });
+
+    const store = loadStore();
+    const now = new Date().toISOString();
+    if (name !== undefined) template.name = name.trim();
+    if (description !== undefined) template.description = (description || '').trim();
+
+    const current = template.versions.find(entry => entry.version === template.version);
+    if (body !== undefined && body !== current.body) {
+        template.version += 1;
+        template.versions.push({ version: template.version, body, createdAt: now });
+    }
+    if (isDefault === true) {
+        makeDefault(store, template.id);
+    }
+    template.updatedAt = now;
+    saveStore();
+    return summarize(template, { withVersions: true });
+}
+
+function archiveTemplate(id, access) {
+    const template = findTemplate(id, access);
+    if (!template) return null;
+    assertCanChange(template, access);
+    if (template.isDefault) {
+        throw new Error('The default prompt template cannot be archived; make another template the default first');
+    }
+
+    template.archived = true;
+    template.updatedAt = new Date().toISOString();
+    saveStore();
+    return summarize(template);
+}
+
+module.exports = {
+    DEFAULT_TEMPLATE_ID,
+    listTemplates,
+    getTemplate,
+    getDefaultTemplate,
+    resolveTemplate,
+    createTemplate,
+    updateTemplate,
+    archiveTemplate
+};
@@ -0,0 +1,130 @@
+const axios = require('axios');
+const { withRetry, throwIfAborted } = require('../retry');
+const FormData = require('form-data');
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Talks to a self-hosted ComfyUI server. The workflow must be exported in
+// "API format" and may contain the placeholders {{prompt}}, {{image}},
+// {{seed}} and {{temperature}}, which are substituted per request.
+
+function getBaseUrl() {
+    return (process.env.COMFYUI_URL || '').replace(/\/+$/, '');
+}
+
+function getWorkflowPath() {
+    return process.env.COMFYUI_WORKFLOW_PATH;
+}
+
+function getModel() {
+    const workflowPath = getWorkflowPath();
+    return workflowPath ? `workflow:${workflowPath.split(/[\\/]/).pop()}` : 'workflow';
+}
+
+function buildWorkflow({ prompt, imageName, temperature }) {
+    const template = fs.readFileSync(getWorkflowPath(), 'utf8');
+    // JSON.stringify(...).slice(1, -1) escapes the value for use inside an existing JSON string
+    const substitutions = {
+        prompt: JSON.stringify(prompt).slice(1, -1),
+        image: JSON.stringify(imageName).slice(1, -1),
+        seed: String(crypto.randomInt(0, 2 ** 31)),
+        temperature: String(temperature)
+    };
+    const filled = template.replace(/\{\{(prompt|image|seed|temperature)\}\}/g, (_, key) => substitutions[key]);
+    return JSON.parse(filled);
+}
+
+async function waitForOutputs(baseUrl, promptId, deadline, calls) {
+    while (Date.now() < deadline) {
+        throwIfAborted(calls);
+        const { data } = await axios.get(`${baseUrl}/history/${encodeURIComponent(promptId)}`, {
+            timeout: 5000,
+            signal: calls?.signal
+        });
+        const entry = data && data[promptId];
+        if (entry && entry.status && entry.status.status_str === 'error') {
+            throw new Error('ComfyUI workflow execution failed');
+        }
+        if (entry && entry.outputs && Object.keys(entry.outputs).length > 0) {
+            return entry.outputs;
+        }
+        await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+    throw new Error('ComfyUI workflow did not finish in time');
+}
+
+async function generate({ referenceBuffer, mimeType, prompt, temperature = 0.3, timeoutMs = 25000, jobId, calls }) {
+    const baseUrl = getBaseUrl();
+    if (!baseUrl || !getWorkflowPath()) {
+        throw new Error('COMFYUI_URL and COMFYUI_WORKFLOW_PATH environment variables must be set');
+    }
+
+    const deadline = Date.now() + timeoutMs;
+    const startTime = Date.now();
+    console.log(`[${jobId}] Calling ComfyUI at ${baseUrl} with timeout ${timeoutMs/1000}s...`);
+
+    try {
+        // Step 1: upload the reference so the workflow's LoadImage node can see it
+        const { data: uploaded } = await withRetry('comfyui', () => {
+            const form = new FormData();
+            form.append('image', referenceBuffer, {
+                filename: `${jobId || 'reference'}.${(mimeType || 'image/png').split('/')[1] || 'png'}`,
+                contentType: mimeType
+            });
+            form.append('overwrite', 'true');
+            return axios.post(`${baseUrl}/upload/image`, form, {
+                headers: form.getHeaders(),
+                timeout: timeoutMs,
+                signal: calls?.signal
+            });
+        }, calls, 'uploadImage');
+
+        // Step 2: queue the workflow
+        const workflow = buildWorkflow({ prompt, imageName: uploaded.name, temperature });
+        const { data: queued } = await withRetry('comfyui', () => axios.post(`${baseUrl}/prompt`, {
+            prompt: workflow,
+            client_id: `etsyflow-${jobId || 'job'}`
+        }, { timeout: timeoutMs, signal: calls?.signal }), calls, 'queuePrompt');
+
+        // Step 3: poll history and fetch every image the workflow produced
+        const outputs = await waitForOutputs(baseUrl, queued.prompt_id, deadline, calls);
+        const images = [];
+        for (const output of Object.values(outputs)) {
+            for (const image of output.images || []) {
+                const { data } = await withRetry('comfyui', () => axios.get(`${baseUrl}/view`, {
+                    params: { filename: image.filename, subfolder: image.subfolder, type: image.type },
+                    responseType: 'arraybuffer',
+                    timeout: Math.max(deadline - Date.now(), 1000),
+                    signal: calls?.signal
+                }), calls, 'fetchImage');
+                images.push(Buffer.from(data));
+            }
+        }
+
+        console.log(`[${jobId}] ComfyUI returned ${images.length} image(s) after ${Date.now() - startTime}ms`);
+        return { images, text: '' };
+    } catch (error) {
+        console.error(`[${jobId}] ComfyUI request failed after ${Date.now() - startTime}ms:`, {
+            status: error.response?.status,
+            data: error.response?.data,
+            code: error.code,
+            message: error.message
+        });
+
+        if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
+            throw new Error(`ComfyUI server at ${baseUrl} is not reachable`);
+        } else if (error.response?.status === 400) {
+            const detail = error.response?.data?.error?.message || 'Invalid workflow';
+            throw new Error(`ComfyUI error: ${detail}`);
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    id: 'comfyui',
+    label: 'ComfyUI (local)',
+    getModel,
+    isConfigured: () => !!(getBaseUrl() && getWorkflowPath()),
+    generate
+};
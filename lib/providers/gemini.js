@@ -0,0 +1,153 @@
+const axios = require('axios');
+const { withRetry } = require('../retry');
+
+// Direct REST call to Gemini API (v1beta) to avoid SDK version mismatches
+const GEMINI_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+function getApiKey() {
+    // Support common env names on Vercel
+    return process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.NEXT_PUBLIC_GOOGLE_API_KEY;
+}
+
+function getModel() {
+    return process.env.GEMINI_IMAGE_MODEL || 'gemini-2.5-flash-image-preview';
+}
+
+function getTextModel() {
+    return process.env.GEMINI_TEXT_MODEL || 'gemini-2.5-flash';
+}
+
+function getEndpointUrl(model = getModel()) {
+    return `${GEMINI_BASE_URL}/${model}:generateContent`;
+}
+
+function assertGeminiKey() {
+    const apiKey = getApiKey();
+    if (!apiKey || apiKey.trim() === '') {
+        console.error('Missing API key. Checked:', {
+            GEMINI_API_KEY: !!process.env.GEMINI_API_KEY,
+            GOOGLE_API_KEY: !!process.env.GOOGLE_API_KEY,
+            NEXT_PUBLIC_GOOGLE_API_KEY: !!process.env.NEXT_PUBLIC_GOOGLE_API_KEY,
+            allEnvKeys: Object.keys(process.env).filter(k => k.includes('KEY')).sort()
+        });
+        throw new Error('GEMINI_API_KEY (or GOOGLE_API_KEY) environment variable is not set');
+    }
+    return apiKey;
+}
+
+// Log a failed request and rethrow it with a message fit for the job
+function rethrowRequestError(error, { jobId, startTime, timeoutMs }) {
+    const elapsed = Date.now() - startTime;
+    console.error(`[${jobId}] Gemini API request failed after ${elapsed}ms:`, {
+        status: error.response?.status,
+        statusText: error.response?.statusText,
+        data: error.response?.data,
+        code: error.code,
+        message: error.message
+    });
+
+    if (error.code === 'ECONNABORTED') {
+        throw new Error(`Gemini API request timed out after ${timeoutMs/1000} seconds`);
+    } else if (error.response?.status === 401) {
+        throw new Error('Invalid API key - please check GEMINI_API_KEY in Vercel dashboard');
+    } else if (error.response?.status === 403) {
+        throw new Error('API key is valid but lacks permissions or quota exceeded');
+    } else if (error.response?.status === 400) {
+        const detail = error.response?.data?.error?.message || 'Invalid request';
+        throw new Error(`Gemini API error: ${detail}`);
+    } else if (error.response?.status === 429) {
+        throw new Error(`Gemini API rate limit exceeded after ${error.attempts || 1} attempt(s) - please wait and retry`);
+    }
+    throw error;
+}
+
+async function generate({ referenceBuffer, mimeType, prompt, temperature = 0.3, timeoutMs = 25000, jobId, calls }) {
+    const apiKey = assertGeminiKey();
+    const url = getEndpointUrl();
+    const body = {
+        generationConfig: { temperature },
+        contents: [
+            {
+                parts: [
+                    { text: prompt },
+                    { inlineData: { mimeType, data: referenceBuffer.toString('base64') } }
+                ]
+            }
+        ]
+    };
+
+    console.log(`[${jobId}] Calling Gemini API with timeout ${timeoutMs/1000}s...`);
+    console.log(`[${jobId}] API URL: ${url}`);
+
+    const startTime = Date.now();
+    const { data } = await withRetry('gemini', () => axios.post(url, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': apiKey
+        },
+        timeout: timeoutMs,
+        maxContentLength: 50 * 1024 * 1024, // 50MB max response
+        maxBodyLength: 50 * 1024 * 1024,
+        signal: calls?.signal
+    }), calls, 'generateImage').catch(error => rethrowRequestError(error, { jobId, startTime, timeoutMs }));
+
+    console.log(`[${jobId}] Gemini API response received after ${Date.now() - startTime}ms`);
+
+    const candidates = data && data.candidates;
+    if (!candidates || candidates.length === 0) {
+        throw new Error('No candidates returned from Gemini API');
+    }
+
+    const parts = candidates[0].content && candidates[0].content.parts ? candidates[0].content.parts : [];
+    const images = parts
+        .filter(part => part.inlineData && part.inlineData.data)
+        .map(part => Buffer.from(part.inlineData.data, 'base64'));
+    const text = parts.filter(part => part.text).map(part => part.text).join(' ');
+
+    return { images, text };
+}
+
+// Text from the text model, optionally about an image; json asks for a JSON response
+async function generateText({ prompt, imageBuffer, mimeType, json = false, temperature = 0.7, timeoutMs = 25000, jobId, calls }) {
+    const apiKey = assertGeminiKey();
+    const url = getEndpointUrl(getTextModel());
+    const parts = [{ text: prompt }];
+    if (imageBuffer) {
+        parts.push({ inlineData: { mimeType, data: imageBuffer.toString('base64') } });
+    }
+    const body = {
+        generationConfig: json ? { temperature, responseMimeType: 'application/json' } : { temperature },
+        contents: [{ parts }]
+    };
+
+    console.log(`[${jobId}] Calling Gemini text model ${getTextModel()} with timeout ${timeoutMs/1000}s...`);
+    const startTime = Date.now();
+    const { data } = await withRetry('gemini', () => axios.post(url, body, {
+        headers: {
+            'Content-Type': 'application/json',
+            'x-goog-api-key': apiKey
+        },
+        timeout: timeoutMs,
+        maxBodyLength: 50 * 1024 * 1024,
+        signal: calls?.signal
+    }), calls, 'generateText').catch(error => rethrowRequestError(error, { jobId, startTime, timeoutMs }));
+
+    const responseParts = data?.candidates?.[0]?.content?.parts || [];
+    const text = responseParts.filter(part => part.text).map(part => part.text).join('');
+    if (!text) {
+        throw new Error('No text returned from Gemini API');
+    }
+    return text;
+}
+
+module.exports = {
+    id: 'gemini',
+    label: 'Google Gemini',
+    getModel,
+    getTextModel,
+    getEndpointUrl,
+    getApiKey,
+    isConfigured: () => !!(getApiKey() && getApiKey().trim()),
+    generate,
+    generateText
+};
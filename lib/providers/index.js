@@ -0,0 +1,75 @@
+const gemini = require('./gemini');
+const openai = require('./openai');
+const stability = require('./stability');
+const comfyui = require('./comfyui');
+
+// Every provider exposes the same surface:
+//   id, label, getModel(), isConfigured()
+//   generate({ referenceBuffer, mimeType, prompt, temperature, timeoutMs, jobId })
+//     -> { images: Buffer[], text: string }
+// Providers with a text model (used for listing copy) also expose
+//   getTextModel()
+//   generateText({ prompt, imageBuffer, mimeType, json, temperature, timeoutMs, jobId, calls }) -> string
+const PROVIDERS = {
+    [gemini.id]: gemini,
+    [openai.id]: openai,
+    [stability.id]: stability,
+    [comfyui.id]: comfyui
+};
+
+function getDefaultProviderId() {
+    const configured = (process.env.IMAGE_PROVIDER || 'gemini').toLowerCase();
+    return PROVIDERS[configured] ? configured : 'gemini';
+}
+
+function getProvider(id) {
+    const provider = PROVIDERS[id || getDefaultProviderId()];
+    if (!provider) {
+        throw new Error(`Unknown image provider "${id}"`);
+    }
+    return provider;
+}
+
+// Resolve a provider id coming from a request; empty means "use the default"
+function resolveProviderId(requested) {
+    const normalized = (requested || '').toString().trim().toLowerCase();
+    if (!normalized) return getDefaultProviderId();
+    return getProvider(normalized).id;
+}
+
+// TEXT_PROVIDER picks the text model's provider; by default the image
+// provider's own (if it has one), else the first configured one
+function getTextProvider(requested) {
+    const id = (requested || process.env.TEXT_PROVIDER || '').toString().trim().toLowerCase();
+    if (id) {
+        const provider = getProvider(id);
+        if (!provider.generateText) {
+            throw new Error(`Provider "${id}" has no text model`);
+        }
+        return provider;
+    }
+
+    const withText = [PROVIDERS[getDefaultProviderId()], ...Object.values(PROVIDERS)]
+        .filter(provider => provider.generateText);
+    return withText.find(provider => provider.isConfigured()) || withText[0];
+}
+
+function listProviders() {
+    const defaultId = getDefaultProviderId();
+    return Object.values(PROVIDERS).map(provider => ({
+        id: provider.id,
+        label: provider.label,
+        model: provider.getModel(),
+        textModel: provider.getTextModel ? provider.getTextModel() : null,
+        configured: provider.isConfigured(),
+        isDefault: provider.id === defaultId
+    }));
+}
+
+module.exports = {
+    getProvider,
+    getDefaultProviderId,
+    resolveProviderId,
+    getTextProvider,
+    listProviders
+};
@@ -0,0 +1,131 @@
+const axios = require('axios');
+const { withRetry } = require('../retry');
+const FormData = require('form-data');
+
+const OPENAI_EDITS_URL = 'https://api.openai.com/v1/images/edits';
+const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
+
+function getApiKey() {
+    return process.env.OPENAI_API_KEY;
+}
+
+function getModel() {
+    return process.env.OPENAI_IMAGE_MODEL || 'gpt-image-1';
+}
+
+function getTextModel() {
+    return process.env.OPENAI_TEXT_MODEL || 'gpt-4o-mini';
+}
+
+// Log a failed request and rethrow it with a message fit for the job
+function rethrowRequestError(error, { jobId, startTime, timeoutMs, label }) {
+    console.error(`[${jobId}] ${label} request failed after ${Date.now() - startTime}ms:`, {
+        status: error.response?.status,
+        data: error.response?.data,
+        code: error.code,
+        message: error.message
+    });
+
+    if (error.code === 'ECONNABORTED') {
+        throw new Error(`${label} request timed out after ${timeoutMs/1000} seconds`);
+    } else if (error.response?.status === 401) {
+        throw new Error('Invalid API key - please check OPENAI_API_KEY');
+    } else if (error.response?.status === 400) {
+        const detail = error.response?.data?.error?.message || 'Invalid request';
+        throw new Error(`${label} error: ${detail}`);
+    } else if (error.response?.status === 429) {
+        throw new Error(`${label} rate limit exceeded after ${error.attempts || 1} attempt(s) - please wait and retry`);
+    }
+    throw error;
+}
+
+async function generate({ referenceBuffer, mimeType, prompt, timeoutMs = 25000, jobId, calls }) {
+    const apiKey = getApiKey();
+    if (!apiKey || apiKey.trim() === '') {
+        throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+
+    console.log(`[${jobId}] Calling OpenAI Images API (${getModel()}) with timeout ${timeoutMs/1000}s...`);
+    const startTime = Date.now();
+    const { data } = await withRetry('openai', () => {
+        // The edits endpoint takes the reference as a file upload; temperature is not supported.
+        // A form can only be sent once, so every attempt builds its own.
+        const form = new FormData();
+        form.append('model', getModel());
+        form.append('prompt', prompt);
+        form.append('n', '1');
+        form.append('image', referenceBuffer, {
+            filename: `reference.${(mimeType || 'image/png').split('/')[1] || 'png'}`,
+            contentType: mimeType
+        });
+
+        return axios.post(OPENAI_EDITS_URL, form, {
+            headers: {
+                Authorization: `Bearer ${apiKey}`,
+                ...form.getHeaders()
+            },
+            timeout: timeoutMs,
+            maxContentLength: 50 * 1024 * 1024,
+            maxBodyLength: 50 * 1024 * 1024,
+            signal: calls?.signal
+        });
+    }, calls, 'generateImage').catch(error => rethrowRequestError(error, { jobId, startTime, timeoutMs, label: 'OpenAI Images' }));
+
+    console.log(`[${jobId}] OpenAI Images response received after ${Date.now() - startTime}ms`);
+
+    const images = (data && Array.isArray(data.data) ? data.data : [])
+        .filter(item => item.b64_json)
+        .map(item => Buffer.from(item.b64_json, 'base64'));
+    const text = (data && Array.isArray(data.data) ? data.data : [])
+        .map(item => item.revised_prompt)
+        .filter(Boolean)
+        .join(' ');
+
+    return { images, text };
+}
+
+// Text from the chat model, optionally about an image; json asks for a JSON object
+async function generateText({ prompt, imageBuffer, mimeType, json = false, temperature = 0.7, timeoutMs = 25000, jobId, calls }) {
+    const apiKey = getApiKey();
+    if (!apiKey || apiKey.trim() === '') {
+        throw new Error('OPENAI_API_KEY environment variable is not set');
+    }
+
+    const content = [{ type: 'text', text: prompt }];
+    if (imageBuffer) {
+        content.push({ type: 'image_url', image_url: { url: `data:${mimeType};base64,${imageBuffer.toString('base64')}` } });
+    }
+    const body = {
+        model: getTextModel(),
+        temperature,
+        messages: [{ role: 'user', content }]
+    };
+    if (json) {
+        body.response_format = { type: 'json_object' };
+    }
+
+    console.log(`[${jobId}] Calling OpenAI text model ${getTextModel()} with timeout ${timeoutMs/1000}s...`);
+    const startTime = Date.now();
+    const { data } = await withRetry('openai', () => axios.post(OPENAI_CHAT_URL, body, {
+        headers: { Authorization: `Bearer ${apiKey}` },
+        timeout: timeoutMs,
+        maxBodyLength: 50 * 1024 * 1024,
+        signal: calls?.signal
+    }), calls, 'generateText').catch(error => rethrowRequestError(error, { jobId, startTime, timeoutMs, label: 'OpenAI' }));
+
+    const text = data?.choices?.[0]?.message?.content;
+    if (!text) {
+        throw new Error('No text returned from OpenAI');
+    }
+    return text;
+}
+
+module.exports = {
+    id: 'openai',
+    label: 'OpenAI Images',
+    getModel,
+    getTextModel,
+    isConfigured: () => !!(getApiKey() && getApiKey().trim()),
+    generate,
+    generateText
+};
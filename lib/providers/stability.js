@@ -0,0 +1,91 @@
+const axios = require('axios');
+const { withRetry } = require('../retry');
+const FormData = require('form-data');
+
+const STABILITY_SD3_URL = 'https://api.stability.ai/v2beta/stable-image/generate/sd3';
+
+function getApiKey() {
+    return process.env.STABILITY_API_KEY;
+}
+
+function getModel() {
+    return process.env.STABILITY_MODEL || 'sd3.5-large';
+}
+
+function getStrength() {
+    // How far the output may drift from the reference (0 = identical, 1 = ignore it)
+    const strength = parseFloat(process.env.STABILITY_STRENGTH);
+    return Number.isFinite(strength) ? Math.min(Math.max(strength, 0), 1) : 0.65;
+}
+
+async function generate({ referenceBuffer, mimeType, prompt, timeoutMs = 25000, jobId, calls }) {
+    const apiKey = getApiKey();
+    if (!apiKey || apiKey.trim() === '') {
+        throw new Error('STABILITY_API_KEY environment variable is not set');
+    }
+
+    console.log(`[${jobId}] Calling Stability API (${getModel()}) with timeout ${timeoutMs/1000}s...`);
+    const startTime = Date.now();
+    const { data } = await withRetry('stability', () => {
+        // A form can only be sent once, so every attempt builds its own
+        const form = new FormData();
+        form.append('mode', 'image-to-image');
+        form.append('model', getModel());
+        form.append('prompt', prompt);
+        form.append('strength', getStrength().toString());
+        form.append('output_format', 'png');
+        form.append('image', referenceBuffer, {
+            filename: `reference.${(mimeType || 'image/png').split('/')[1] || 'png'}`,
+            contentType: mimeType
+        });
+
+        return axios.post(STABILITY_SD3_URL, form, {
+            headers: {
+                Authorization: `Bearer ${apiKey}`,
+                Accept: 'application/json',
+                ...form.getHeaders()
+            },
+            timeout: timeoutMs,
+            maxContentLength: 50 * 1024 * 1024,
+            maxBodyLength: 50 * 1024 * 1024,
+            signal: calls?.signal
+        });
+    }, calls, 'generateImage').catch(error => {
+        console.error(`[${jobId}] Stability request failed after ${Date.now() - startTime}ms:`, {
+            status: error.response?.status,
+            data: error.response?.data,
+            code: error.code,
+            message: error.message
+        });
+
+        if (error.code === 'ECONNABORTED') {
+            throw new Error(`Stability API request timed out after ${timeoutMs/1000} seconds`);
+        } else if (error.response?.status === 401 || error.response?.status === 403) {
+            throw new Error('Invalid API key - please check STABILITY_API_KEY');
+        } else if (error.response?.status === 400 || error.response?.status === 413) {
+            const errors = error.response?.data?.errors;
+            const detail = Array.isArray(errors) ? errors.join('; ') : 'Invalid request';
+            throw new Error(`Stability API error: ${detail}`);
+        } else if (error.response?.status === 429) {
+            throw new Error(`Stability API rate limit exceeded after ${error.attempts || 1} attempt(s) - please wait and retry`);
+        }
+        throw error;
+    });
+
+    console.log(`[${jobId}] Stability response received after ${Date.now() - startTime}ms`);
+
+    if (data && data.finish_reason === 'CONTENT_FILTERED') {
+        return { images: [], text: 'Output was blocked by the Stability content filter' };
+    }
+
+    const images = data && data.image ? [Buffer.from(data.image, 'base64')] : [];
+    return { images, text: '' };
+}
+
+module.exports = {
+    id: 'stability',
+    label: 'Stability AI',
+    getModel,
+    isConfigured: () => !!(getApiKey() && getApiKey().trim()),
+    generate
+};
@@ -0,0 +1,230 @@
+// Colour quantization for vector and print output. Opaque pixels are binned
+// into a 15-bit histogram (5 bits per channel), the bins are split by median
+// cut into the requested number of colours and the palette is then refined
+// with a few rounds of weighted k-means. Working on bins rather than pixels
+// keeps it fast on print-size images and makes the result deterministic.
+// With colors 'auto' the smallest count whose average error stays within
+// AUTO_TOLERANCE is used.
+
+const BIN_BITS = 5;
+const BIN_COUNT = 1 << (BIN_BITS * 3);
+const KMEANS_ROUNDS = 6;
+// Root-mean-square error per channel (0-255) that 'auto' accepts
+const AUTO_TOLERANCE = 12;
+const DEFAULT_MAX_COLORS = 8;
+// Index-map value of pixels below the alpha threshold
+const TRANSPARENT = 255;
+
+function binOf(r, g, b) {
+    const shift = 8 - BIN_BITS;
+    return ((r >> shift) << (BIN_BITS * 2)) | ((g >> shift) << BIN_BITS) | (b >> shift);
+}
+
+function toHex({ r, g, b }) {
+    return `#${[r, g, b].map(value => value.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// Perceptually weighted squared RGB distance (green counts most, blue least)
+function colorDistance(a, b) {
+    const dr = a.r - b.r;
+    const dg = a.g - b.g;
+    const db = a.b - b.b;
+    return 2 * dr * dr + 4 * dg * dg + 3 * db * db;
+}
+
+function nearestIndex(color, palette) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let index = 0; index < palette.length; index++) {
+        const distance = colorDistance(color, palette[index]);
+        if (distance < bestDistance) {
+            best = index;
+            bestDistance = distance;
+        }
+    }
+    return best;
+}
+
+// Mean colour and pixel count of every occupied bin
+function buildHistogram(rgba, alphaThreshold) {
+    const counts = new Float64Array(BIN_COUNT);
+    const sums = new Float64Array(BIN_COUNT * 3);
+    for (let offset = 0; offset < rgba.length; offset += 4) {
+        if (rgba[offset + 3] < alphaThreshold) continue;
+        const bin = binOf(rgba[offset], rgba[offset + 1], rgba[offset + 2]);
+        counts[bin]++;
+        sums[bin * 3] += rgba[offset];
+        sums[bin * 3 + 1] += rgba[offset + 1];
+        sums[bin * 3 + 2] += rgba[offset + 2];
+    }
+
+    const bins = [];
+    for (let bin = 0; bin < BIN_COUNT; bin++) {
+        if (counts[bin] === 0) continue;
+        bins.push({
+            bin,
+            count: counts[bin],
+            r: sums[bin * 3] / counts[bin],
+            g: sums[bin * 3 + 1] / counts[bin],
+            b: sums[bin * 3 + 2] / counts[bin]
+        });
+    }
+    return bins;
+}
+
+function describeBox(bins) {
+    const box = { bins, count: 0, channel: 'r', range: 0 };
+    for (const channel of ['r', 'g', 'b']) {
+        let min = 255;
+        let max = 0;
+        for (const item of bins) {
+            min = Math.min(min, item[channel]);
+            max = Math.max(max, item[channel]);
+        }
+        if (max - min > box.range) {
+            box.range = max - min;
+            box.channel = channel;
+        }
+    }
+    box.count = bins.reduce((sum, item) => sum + item.count, 0);
+    return box;
+}
+
+// Split the box with the most spread-out pixels at its weighted median until there are enough
+function medianCut(bins, colors) {
+    const boxes = [describeBox(bins)];
+    while (boxes.length < colors) {
+        let target = -1;
+        let bestScore = 0;
+        boxes.forEach((box, index) => {
+            const score = box.bins.length > 1 ? box.range * Math.sqrt(box.count) : 0;
+            if (score > bestScore) {
+                bestScore = score;
+                target = index;
+            }
+        });
+        if (target === -1) break;
+
+        const { bins: boxBins, channel, count } = boxes[target];
+        const sorted = [...boxBins].sort((a, b) => a[channel] - b[channel]);
+        let seen = 0;
+        let split = 1;
+        for (; split < sorted.length - 1; split++) {
+            seen += sorted[split - 1].count;
+            if (seen >= count / 2) break;
+        }
+        boxes.splice(target, 1, describeBox(sorted.slice(0, split)), describeBox(sorted.slice(split)));
+    }
+    return boxes.map(box => meanColor(box.bins));
+}
+
+function meanColor(bins) {
+    let count = 0;
+    let r = 0;
+    let g = 0;
+    let b = 0;
+    for (const item of bins) {
+        count += item.count;
+        r += item.r * item.count;
+        g += item.g * item.count;
+        b += item.b * item.count;
+    }
+    return { r: r / count, g: g / count, b: b / count };
+}
+
+function refine(bins, palette) {
+    let current = palette;
+    for (let round = 0; round < KMEANS_ROUNDS; round++) {
+        const groups = current.map(() => []);
+        for (const item of bins) {
+            groups[nearestIndex(item, current)].push(item);
+        }
+        const next = groups.map((group, index) => group.length > 0 ? meanColor(group) : current[index]);
+        const moved = next.some((color, index) => colorDistance(color, current[index]) > 0.25);
+        current = next;
+        if (!moved) break;
+    }
+    return current;
+}
+
+function buildPalette(bins, colors) {
+    return refine(bins, medianCut(bins, Math.min(colors, bins.length)));
+}
+
+function rmsError(bins, palette) {
+    let total = 0;
+    let count = 0;
+    for (const item of bins) {
+        total += colorDistance(item, palette[nearestIndex(item, palette)]) * item.count;
+        count += item.count;
+    }
+    // colorDistance weighs the channels 2 + 4 + 3
+    return Math.sqrt(total / count / 9);
+}
+
+// Maps every pixel to the nearest palette colour -> { palette, indices }.
+// palette entries are { r, g, b, hex, pixels } ordered by pixel count
+// (largest first, unused ones dropped); indices holds one palette index per
+// pixel, TRANSPARENT for pixels below alphaThreshold.
+function applyPalette(rgba, colors, { alphaThreshold = 128 } = {}) {
+    const palette = colors.map(color => ({ r: Math.round(color.r), g: Math.round(color.g), b: Math.round(color.b) }));
+    const binLookup = new Int16Array(BIN_COUNT).fill(-1);
+    const rawIndices = new Uint8Array(rgba.length / 4);
+    const pixels = new Array(palette.length).fill(0);
+
+    for (let pixel = 0, offset = 0; offset < rgba.length; pixel++, offset += 4) {
+        if (rgba[offset + 3] < alphaThreshold) {
+            rawIndices[pixel] = TRANSPARENT;
+            continue;
+        }
+        const bin = binOf(rgba[offset], rgba[offset + 1], rgba[offset + 2]);
+        if (binLookup[bin] === -1) {
+            binLookup[bin] = nearestIndex({ r: rgba[offset], g: rgba[offset + 1], b: rgba[offset + 2] }, palette);
+        }
+        rawIndices[pixel] = binLookup[bin];
+        pixels[binLookup[bin]]++;
+    }
+
+    const order = palette.map((color, index) => index)
+        .filter(index => pixels[index] > 0)
+        .sort((a, b) => pixels[b] - pixels[a]);
+    const remap = new Uint8Array(256).fill(TRANSPARENT);
+    order.forEach((index, position) => {
+        remap[index] = position;
+    });
+    const indices = rawIndices.map(index => remap[index]);
+
+    return {
+        palette: order.map(index => ({ ...palette[index], hex: toHex(palette[index]), pixels: pixels[index] })),
+        indices
+    };
+}
+
+// Reduces RGBA pixels to at most `colors` colours (1-32), or with 'auto'
+// to as few as look right, up to maxColors
+function quantize(rgba, { colors, maxColors = DEFAULT_MAX_COLORS, alphaThreshold = 128 }) {
+    const bins = buildHistogram(rgba, alphaThreshold);
+    if (bins.length === 0) {
+        return { palette: [], indices: new Uint8Array(rgba.length / 4).fill(TRANSPARENT) };
+    }
+
+    let palette;
+    if (colors === 'auto') {
+        for (let count = 1; count <= maxColors; count++) {
+            palette = buildPalette(bins, count);
+            if (count >= bins.length || rmsError(bins, palette) <= AUTO_TOLERANCE) break;
+        }
+    } else {
+        palette = buildPalette(bins, colors);
+    }
+    return applyPalette(rgba, palette, { alphaThreshold });
+}
+
+module.exports = {
+    TRANSPARENT,
+    toHex,
+    colorDistance,
+    nearestIndex,
+    quantize,
+    applyPalette
+};
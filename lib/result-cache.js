@@ -0,0 +1,209 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Content-addressed cache of generated images and pipeline step outputs.
+// Entries are keyed by a hash of everything that determines the output (the
+// input bytes, prompt, model, temperature, step options, ...) and point at a
+// blob named after the hash of its own bytes plus the entry's file extension
+// (png, or svg/zip for step artifacts), so identical outputs are stored
+// once. Entries unused for RESULT_CACHE_MAX_AGE_DAYS are dropped, and the
+// least recently used ones go first once the blobs outgrow
+// RESULT_CACHE_MAX_MB.
+
+// Bump when generation or step output changes for the same inputs
+const CACHE_VERSION = 1;
+
+let db = null;
+
+function isEnabled() {
+    return (process.env.ENABLE_RESULT_CACHE || 'true').toLowerCase() !== 'false';
+}
+
+function getCacheDir() {
+    // Vercel only allows writes under tmp, so the cache there lasts for the instance's lifetime
+    const baseDir = process.env.VERCEL ? os.tmpdir() : path.resolve('.');
+    return process.env.RESULT_CACHE_DIR || path.join(baseDir, 'data', 'cache');
+}
+
+function getMaxBytes() {
+    const megabytes = parseFloat(process.env.RESULT_CACHE_MAX_MB);
+    return (Number.isFinite(megabytes) && megabytes > 0 ? megabytes : 1024) * 1024 * 1024;
+}
+
+function getMaxAgeMs() {
+    const days = parseFloat(process.env.RESULT_CACHE_MAX_AGE_DAYS);
+    return (Number.isFinite(days) && days > 0 ? days : 30) * 24 * 60 * 60 * 1000;
+}
+
+function getDb() {
+    if (db) return db;
+
+    const cacheDir = getCacheDir();
+    fs.mkdirSync(cacheDir, { recursive: true });
+    db = new Database(path.join(cacheDir, 'index.sqlite'));
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS entries (
+            key TEXT PRIMARY KEY,
+            kind TEXT NOT NULL,
+            blob TEXT NOT NULL,
+            extension TEXT NOT NULL DEFAULT 'png',
+            size INTEGER NOT NULL,
+            meta TEXT,
+            created_at TEXT NOT NULL,
+            last_used_at TEXT NOT NULL,
+            hits INTEGER NOT NULL DEFAULT 0
+        );
+        CREATE INDEX IF NOT EXISTS entries_last_used_at ON entries (last_used_at);
+        CREATE INDEX IF NOT EXISTS entries_blob ON entries (blob);
+    `);
+    migrate(db);
+    return db;
+}
+
+// Columns added after the first release; older indexes get them on open.
+// Blobs written before extensions were stored are all PNGs.
+function migrate(database) {
+    const columns = database.prepare('PRAGMA table_info(entries)').all().map(column => column.name);
+    if (!columns.includes('extension')) {
+        database.exec("ALTER TABLE entries ADD COLUMN extension TEXT NOT NULL DEFAULT 'png'");
+    }
+}
+
+function hashBuffer(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+// Object keys are sorted so the same parts always give the same key
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(stableStringify).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+}
+
+function createKey(parts) {
+    return crypto.createHash('sha256').update(stableStringify({ version: CACHE_VERSION, ...parts })).digest('hex');
+}
+
+function getBlobPath(blob, extension) {
+    return path.join(getCacheDir(), 'blobs', blob.slice(0, 2), `${blob}.${extension}`);
+}
+
+// -> { buffer, meta } or null; a hit counts as a use for eviction
+function get(key) {
+    if (!isEnabled()) return null;
+
+    const row = getDb().prepare('SELECT blob, extension, meta FROM entries WHERE key = ?').get(key);
+    if (!row) return null;
+
+    const blobPath = getBlobPath(row.blob, row.extension);
+    if (!fs.existsSync(blobPath)) {
+        getDb().prepare('DELETE FROM entries WHERE key = ?').run(key);
+        return null;
+    }
+    getDb().prepare('UPDATE entries SET last_used_at = ?, hits = hits + 1 WHERE key = ?').run(new Date().toISOString(), key);
+    return { buffer: fs.readFileSync(blobPath), meta: row.meta ? JSON.parse(row.meta) : {} };
+}
+
+// extension names the blob file: 'png' unless the entry holds another format
+function put(key, buffer, { kind, meta, extension = 'png' } = {}) {
+    if (!isEnabled()) return;
+
+    const blob = hashBuffer(buffer);
+    const blobPath = getBlobPath(blob, extension);
+    if (!fs.existsSync(blobPath)) {
+        fs.mkdirSync(path.dirname(blobPath), { recursive: true });
+        fs.writeFileSync(blobPath, buffer);
+    }
+
+    const now = new Date().toISOString();
+    getDb().prepare(`
+        INSERT INTO entries (key, kind, blob, extension, size, meta, created_at, last_used_at)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+        ON CONFLICT (key) DO UPDATE SET
+            blob = excluded.blob,
+            extension = excluded.extension,
+            size = excluded.size,
+            meta = excluded.meta,
+            created_at = excluded.created_at,
+            last_used_at = excluded.last_used_at
+    `).run(key, kind || 'result', blob, extension, buffer.length, meta ? JSON.stringify(meta) : null, now, now);
+    evict();
+}
+
+function removeUnreferencedBlob({ blob, extension }) {
+    const stillUsed = getDb().prepare('SELECT 1 FROM entries WHERE blob = ? AND extension = ? LIMIT 1').get(blob, extension);
+    const blobPath = getBlobPath(blob, extension);
+    if (!stillUsed && fs.existsSync(blobPath)) {
+        fs.unlinkSync(blobPath);
+    }
+}
+
+function getTotalBytes() {
+    return getDb().prepare('SELECT COALESCE(SUM(size), 0) AS total FROM (SELECT MAX(size) AS size FROM entries GROUP BY blob, extension)').get().total;
+}
+
+function deleteEntries(rows) {
+    const remove = getDb().prepare('DELETE FROM entries WHERE key = ?');
+    for (const row of rows) {
+        remove.run(row.key);
+        removeUnreferencedBlob(row);
+    }
+    return rows.length;
+}
+
+// Drops entries unused for too long, then the least recently used ones
+// until the blobs fit the size limit. Returns how many entries went.
+function evict() {
+    if (!isEnabled()) return 0;
+
+    const cutoff = new Date(Date.now() - getMaxAgeMs()).toISOString();
+    let removed = deleteEntries(getDb().prepare('SELECT key, blob, extension FROM entries WHERE last_used_at < ?').all(cutoff));
+
+    const maxBytes = getMaxBytes();
+    while (getTotalBytes() > maxBytes) {
+        const oldest = getDb().prepare('SELECT key, blob, extension FROM entries ORDER BY last_used_at LIMIT 1').get();
+        if (!oldest) break;
+        removed += deleteEntries([oldest]);
+    }
+    return removed;
+}
+
+function getStats() {
+    const byKind = getDb().prepare('SELECT kind, COUNT(*) AS entries, SUM(hits) AS hits FROM entries GROUP BY kind').all();
+    return {
+        enabled: isEnabled(),
+        entries: byKind.reduce((sum, row) => sum + row.entries, 0),
+        bytes: getTotalBytes(),
+        maxBytes: getMaxBytes(),
+        maxAgeDays: getMaxAgeMs() / (24 * 60 * 60 * 1000),
+        kinds: byKind
+    };
+}
+
+function clear() {
+    const removed = deleteEntries(getDb().prepare('SELECT key, blob, extension FROM entries').all());
+    fs.rmSync(path.join(getCacheDir(), 'blobs'), { recursive: true, force: true });
+    return removed;
+}
+
+module.exports = {
+    isEnabled,
+    hashBuffer,
+    createKey,
+    get,
+    put,
+    evict,
+    getStats,
+    clear
+};
@@ -0,0 +1,176 @@
+const { parseServiceMap } = require('./service-config');
+
+// Shared retry policy for outbound calls: exponential backoff with full
+// jitter, honouring Retry-After, and only for transient failures. A call
+// context carries the job's deadline (no retry is started that couldn't
+// finish in time), its AbortSignal (cancel/timeout stops every call and
+// wait) and counts the attempts made per service. Its optional onCall hook
+// hears about every call once it has succeeded or finally failed (used for
+// usage metering).
+
+const DEFAULT_MAX_ATTEMPTS = 'gemini:4,openai:3,stability:3,comfyui:2,picsart:3';
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+// Don't start another attempt with less time than this left before the deadline
+const MIN_ATTEMPT_MS = 3000;
+
+function getMaxAttempts(service) {
+    const configured = parseServiceMap(process.env.RETRY_MAX_ATTEMPTS || DEFAULT_MAX_ATTEMPTS);
+    return configured[service] || 3;
+}
+
+function getBaseDelayMs() {
+    return parseInt(process.env.RETRY_BASE_DELAY_MS, 10) || 500;
+}
+
+function getMaxDelayMs() {
+    return parseInt(process.env.RETRY_MAX_DELAY_MS, 10) || 8000;
+}
+
+// Error codes used as abort reasons
+const ABORT_CODES = ['JOB_CANCELLED', 'JOB_TIMEOUT'];
+
+function createCallContext({ jobId, deadline = Infinity, signal, onCall } = {}) {
+    return { jobId, deadline, signal, onCall, attempts: {} };
+}
+
+function createAbortError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+function isAbortError(error) {
+    return !!error && ABORT_CODES.includes(error.code);
+}
+
+// Call between units of work that can't be interrupted themselves (sharp, file writes)
+function throwIfAborted(context) {
+    if (context && context.signal && context.signal.aborted) {
+        throw context.signal.reason;
+    }
+}
+
+function sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+        if (signal && signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            if (signal) signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+function isRetryable(error) {
+    if (error.response) {
+        return RETRYABLE_STATUSES.includes(error.response.status);
+    }
+    return RETRYABLE_CODES.includes(error.code);
+}
+
+// Retry-After is either seconds or an HTTP date
+function getRetryAfterMs(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) return null;
+
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    const date = Date.parse(header);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function getBackoffMs(attempt) {
+    const ceiling = Math.min(getMaxDelayMs(), getBaseDelayMs() * 2 ** (attempt - 1));
+    return Math.round(Math.random() * ceiling);
+}
+
+function describeFailure(error) {
+    return error.response ? `HTTP ${error.response.status}` : (error.code || error.message);
+}
+
+// Metering must never fail the call it describes
+function reportCall(context, report) {
+    if (!context.onCall) return;
+    try {
+        context.onCall(report);
+    } catch (error) {
+        console.error(`[${context.jobId || 'Retry'}] Could not record ${report.service} ${report.operation} call:`, error.message);
+    }
+}
+
+// Runs call(attempt) until it succeeds, fails permanently, runs out of
+// attempts or would overrun the deadline. The error that is finally thrown
+// carries error.attempts. operation names the call in usage reports.
+async function withRetry(service, call, context = createCallContext(), operation = 'request') {
+    const startTime = Date.now();
+    const attemptsBefore = context.attempts[service] || 0;
+    const report = success => ({
+        service,
+        operation,
+        attempts: (context.attempts[service] || 0) - attemptsBefore,
+        latencyMs: Date.now() - startTime,
+        success
+    });
+
+    try {
+        const result = await retryCall(service, call, context);
+        reportCall(context, report(true));
+        return result;
+    } catch (error) {
+        reportCall(context, { ...report(false), error: describeFailure(error) });
+        throw error;
+    }
+}
+
+async function retryCall(service, call, context) {
+    const maxAttempts = getMaxAttempts(service);
+    const tag = context.jobId ? `[${context.jobId}]` : '[Retry]';
+
+    for (let attempt = 1; ; attempt++) {
+        throwIfAborted(context);
+        context.attempts[service] = (context.attempts[service] || 0) + 1;
+        try {
+            return await call(attempt);
+        } catch (error) {
+            // An aborted request surfaces as axios' CanceledError; report why it was aborted
+            throwIfAborted(context);
+            error.attempts = attempt;
+            if (!isRetryable(error) || attempt >= maxAttempts) {
+                throw error;
+            }
+
+            const retryAfterMs = getRetryAfterMs(error);
+            const delayMs = Math.max(retryAfterMs || 0, getBackoffMs(attempt));
+            if (retryAfterMs !== null && retryAfterMs > getMaxDelayMs()) {
+                console.log(`${tag} ${service} asked to retry after ${retryAfterMs}ms; giving up`);
+                throw error;
+            }
+            if (Date.now() + delayMs + MIN_ATTEMPT_MS > context.deadline) {
+                console.log(`${tag} ${service} failed (${describeFailure(error)}); no time left before the job deadline to retry`);
+                throw error;
+            }
+
+            console.log(`${tag} ${service} attempt ${attempt}/${maxAttempts} failed (${describeFailure(error)}); retrying in ${delayMs}ms`);
+            await sleep(delayMs, context.signal);
+        }
+    }
+}
+
+module.exports = {
+    createCallContext,
+    createAbortError,
+    isAbortError,
+    throwIfAborted,
+    isRetryable,
+    withRetry
+};
@@ -0,0 +1,151 @@
+const archiver = require('archiver');
+const sharp = require('sharp');
+const quantize = require('./quantize');
+
+// Screen-print separations: the design is reduced to a few spot colours (see
+// lib/quantize), optionally snapped to the nearest inks of a supplied ink
+// palette, and exported as a ZIP holding one separation per colour (black
+// where that ink prints, on white, at the design's size), a composite
+// preview of the reduced design and palette.json. Pixels under half opacity
+// don't print.
+
+const MAX_INKS = 500;
+const HEX_PATTERN = /^#?([0-9a-f]{6})$/i;
+
+function parseHex(raw, label) {
+    const match = HEX_PATTERN.exec(String(raw || '').trim());
+    if (!match) {
+        throw new Error(`${label} must be a colour as #rrggbb`);
+    }
+    const value = parseInt(match[1], 16);
+    return { r: value >> 16, g: (value >> 8) & 0xff, b: value & 0xff };
+}
+
+// Accepts a JSON string or value: a list of "#rrggbb" strings or
+// { name, hex } objects, or an object mapping names to hex colours.
+// -> [{ name, hex }] with hex lower-cased
+function parseInkPalette(raw) {
+    let value = raw;
+    if (typeof raw === 'string') {
+        try {
+            value = JSON.parse(raw);
+        } catch (parseError) {
+            throw new Error('Ink palette must be valid JSON');
+        }
+    }
+    const entries = Array.isArray(value)
+        ? value.map(entry => typeof entry === 'string' ? { name: null, hex: entry } : entry)
+        : value && typeof value === 'object'
+            ? Object.entries(value).map(([name, hex]) => ({ name, hex }))
+            : null;
+    if (!entries || entries.length === 0) {
+        throw new Error('Ink palette must be a non-empty list of colours');
+    }
+    if (entries.length > MAX_INKS) {
+        throw new Error(`Ink palette may hold at most ${MAX_INKS} colours`);
+    }
+
+    return entries.map((entry, index) => {
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`Ink ${index + 1} must be a colour or { name, hex }`);
+        }
+        const hex = quantize.toHex(parseHex(entry.hex, `Ink ${index + 1}`));
+        return { name: entry.name ? String(entry.name).slice(0, 80) : hex, hex };
+    });
+}
+
+// Each spot colour becomes its nearest ink; colours that land on the same ink merge
+function snapToInks(palette, inks) {
+    const inkColors = inks.map(ink => ({ ...parseHex(ink.hex, ink.name), name: ink.name }));
+    const chosen = [];
+    for (const color of palette) {
+        const ink = inkColors[quantize.nearestIndex(color, inkColors)];
+        if (!chosen.includes(ink)) {
+            chosen.push(ink);
+        }
+    }
+    return chosen;
+}
+
+function zipEntries(entries) {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const chunks = [];
+        archive.on('data', chunk => chunks.push(chunk));
+        archive.on('end', () => resolve(Buffer.concat(chunks)));
+        archive.on('error', reject);
+        for (const entry of entries) {
+            archive.append(entry.content, { name: entry.name });
+        }
+        archive.finalize();
+    });
+}
+
+function slugify(value) {
+    return String(value).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '') || 'ink';
+}
+
+// -> { palette: [{ hex, name, share }], zip }; colors is a count or 'auto',
+// inks an optional parsed ink palette
+async function separateColors(imageBuffer, { colors, maxColors, inks }) {
+    const { data, info } = await sharp(imageBuffer).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    let { palette, indices } = quantize.quantize(data, { colors, maxColors });
+    if (palette.length === 0) {
+        throw new Error('Image has no opaque pixels to separate');
+    }
+
+    const names = new Map();
+    if (inks && inks.length > 0) {
+        const snapped = snapToInks(palette, inks);
+        ({ palette, indices } = quantize.applyPalette(data, snapped));
+        snapped.forEach(ink => names.set(quantize.toHex(ink), ink.name));
+    }
+
+    const entries = [];
+    const separation = Buffer.alloc(indices.length);
+    const composite = Buffer.alloc(indices.length * 4);
+    const report = palette.map((color, layer) => {
+        const name = names.get(color.hex) || color.hex;
+        const filename = `separation_${String(layer + 1).padStart(2, '0')}_${slugify(name === color.hex ? color.hex.slice(1) : name)}.png`;
+        return { layer, hex: color.hex, name, share: +(color.pixels / indices.length).toFixed(4), filename };
+    });
+
+    for (let pixel = 0; pixel < indices.length; pixel++) {
+        const index = indices[pixel];
+        if (index === quantize.TRANSPARENT) continue;
+        composite[pixel * 4] = palette[index].r;
+        composite[pixel * 4 + 1] = palette[index].g;
+        composite[pixel * 4 + 2] = palette[index].b;
+        composite[pixel * 4 + 3] = 255;
+    }
+    entries.push({
+        name: 'composite.png',
+        content: await sharp(composite, { raw: { width: info.width, height: info.height, channels: 4 } }).png({ compressionLevel: 9 }).toBuffer()
+    });
+
+    for (const { layer, filename } of report) {
+        for (let pixel = 0; pixel < indices.length; pixel++) {
+            separation[pixel] = indices[pixel] === layer ? 0 : 255;
+        }
+        entries.push({
+            name: filename,
+            content: await sharp(separation, { raw: { width: info.width, height: info.height, channels: 1 } }).png({ compressionLevel: 9 }).toBuffer()
+        });
+    }
+
+    const paletteReport = report.map(({ hex, name, share, filename }) => ({ hex, name, share, separation: filename }));
+    entries.push({
+        name: 'palette.json',
+        content: JSON.stringify({ width: info.width, height: info.height, colors: paletteReport }, null, 2)
+    });
+
+    return {
+        palette: paletteReport.map(({ hex, name, share }) => ({ hex, name, share })),
+        zip: await zipEntries(entries)
+    };
+}
+
+module.exports = {
+    parseInkPalette,
+    separateColors
+};
@@ -0,0 +1,17 @@
+// Per-service settings are written as "gemini:3,picsart:2"; returns
+// { gemini: 3, picsart: 2 }, skipping entries that aren't positive numbers
+function parseServiceMap(spec) {
+    const values = {};
+    for (const part of (spec || '').split(',')) {
+        const [name, rawValue] = part.split(':').map(value => value.trim());
+        const value = parseInt(rawValue, 10);
+        if (name && value > 0) {
+            values[name] = value;
+        }
+    }
+    return values;
+}
+
+module.exports = {
+    parseServiceMap
+};
@@ -0,0 +1,133 @@
+const sharp = require('sharp');
+const Tesseract = require('tesseract.js');
+const englishData = require('@tesseract.js-data/eng');
+
+// Verifies that text in the reference image survives generation: both images
+// go through OCR (tesseract.js with the bundled English model, so nothing is
+// downloaded at runtime) and the normalized texts are diffed per character.
+
+// Diffs are quadratic in text length; slogans are far shorter than this
+const MAX_DIFF_CHARS = 600;
+
+let workerPromise = null;
+
+function getMinSimilarity() {
+    const configured = parseFloat(process.env.TEXT_MATCH_MIN_SIMILARITY);
+    return Number.isFinite(configured) ? configured : 1;
+}
+
+// One worker is shared by every job; tesseract runs its requests one at a time
+function getWorker() {
+    if (!workerPromise) {
+        workerPromise = Tesseract.createWorker(englishData.code, Tesseract.OEM.LSTM_ONLY, {
+            langPath: englishData.langPath,
+            gzip: englishData.gzip,
+            cacheMethod: 'none'
+        }).catch(error => {
+            workerPromise = null;
+            throw error;
+        });
+    }
+    return workerPromise;
+}
+
+// Transparent designs are read on white and on black so light text isn't lost
+async function buildOcrInputs(imageBuffer) {
+    const metadata = await sharp(imageBuffer).metadata();
+    const backgrounds = metadata.hasAlpha ? ['#ffffff', '#000000'] : [null];
+    return Promise.all(backgrounds.map(background => {
+        let image = sharp(imageBuffer);
+        if (background) {
+            image = image.flatten({ background });
+        }
+        return image.grayscale().normalise().png().toBuffer();
+    }));
+}
+
+async function extractText(imageBuffer) {
+    const worker = await getWorker();
+    let best = { text: '', confidence: 0 };
+    for (const input of await buildOcrInputs(imageBuffer)) {
+        const { data } = await worker.recognize(input);
+        const text = normalizeText(data.text);
+        if (text && data.confidence > best.confidence) {
+            best = { text, confidence: data.confidence };
+        }
+    }
+    return best;
+}
+
+// Line breaks and runs of spaces depend on layout, not spelling
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Character diff from the reference to the output: "delete" segments are
+// missing from the output, "insert" segments were added by it
+function diffText(expected, actual) {
+    const a = expected.slice(0, MAX_DIFF_CHARS);
+    const b = actual.slice(0, MAX_DIFF_CHARS);
+    const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const segments = [];
+    const push = (op, char) => {
+        const last = segments[segments.length - 1];
+        if (last && last.op === op) {
+            last.text += char;
+        } else {
+            segments.push({ op, text: char });
+        }
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length && j < b.length) {
+        if (a[i] === b[j]) {
+            push('equal', a[i]);
+            i++;
+            j++;
+        } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+            push('delete', a[i++]);
+        } else {
+            push('insert', b[j++]);
+        }
+    }
+    while (i < a.length) push('delete', a[i++]);
+    while (j < b.length) push('insert', b[j++]);
+
+    return { segments, common: lcs[0][0] };
+}
+
+// status: 'match', 'mismatch' or 'no_text' (nothing readable in the reference)
+function compareText(referenceText, outputText) {
+    const expected = normalizeText(referenceText);
+    const actual = normalizeText(outputText);
+    if (!expected) {
+        return { status: 'no_text', expected, actual, similarity: null, diff: [] };
+    }
+
+    const { segments, common } = diffText(expected, actual);
+    const similarity = expected === actual
+        ? 1
+        : Math.round((2 * common / (Math.min(expected.length, MAX_DIFF_CHARS) + Math.min(actual.length, MAX_DIFF_CHARS))) * 1000) / 1000;
+
+    return {
+        status: similarity >= getMinSimilarity() ? 'match' : 'mismatch',
+        expected,
+        actual,
+        similarity,
+        diff: segments
+    };
+}
+
+module.exports = {
+    extractText,
+    normalizeText,
+    diffText,
+    compareText
+};
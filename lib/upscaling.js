@@ -0,0 +1,101 @@
+const sharp = require('sharp');
+
+// Largest edge the local upscaler will produce (sharp/libvips can go higher,
+// but memory use on serverless instances becomes the limit long before that)
+const MAX_OUTPUT_EDGE = 12000;
+
+function resolveTargetSize({ width: sourceWidth, height: sourceHeight }, { factor, width, height }) {
+    let targetWidth;
+    let targetHeight;
+
+    if (width && height) {
+        targetWidth = width;
+        targetHeight = height;
+    } else if (width) {
+        targetWidth = width;
+        targetHeight = Math.round(sourceHeight * (width / sourceWidth));
+    } else if (height) {
+        targetHeight = height;
+        targetWidth = Math.round(sourceWidth * (height / sourceHeight));
+    } else {
+        targetWidth = Math.round(sourceWidth * factor);
+        targetHeight = Math.round(sourceHeight * factor);
+    }
+
+    if (Math.max(targetWidth, targetHeight) > MAX_OUTPUT_EDGE) {
+        throw new Error(`Upscaled size ${targetWidth}x${targetHeight} exceeds the ${MAX_OUTPUT_EDGE}px limit`);
+    }
+    return { width: targetWidth, height: targetHeight };
+}
+
+// Fully transparent pixels usually store black. Resampling is safe (sharp
+// premultiplies alpha first) but sharpening colour is not, so copy nearby
+// edge colours into the transparent area before the unsharp mask runs.
+async function bleedEdgeColours(data, { width, height }) {
+    const pixelCount = width * height;
+    const premultiplied = Buffer.alloc(pixelCount * 3);
+    const alpha = Buffer.alloc(pixelCount);
+    for (let i = 0; i < pixelCount; i++) {
+        const a = data[i * 4 + 3];
+        alpha[i] = a;
+        for (let c = 0; c < 3; c++) {
+            premultiplied[i * 3 + c] = Math.round(data[i * 4 + c] * a / 255);
+        }
+    }
+
+    const blurredColour = await sharp(premultiplied, { raw: { width, height, channels: 3 } }).blur(2).raw().toBuffer();
+    const blurredAlpha = await sharp(alpha, { raw: { width, height, channels: 1 } }).blur(2).extractChannel(0).raw().toBuffer();
+
+    for (let i = 0; i < pixelCount; i++) {
+        if (alpha[i] === 0 && blurredAlpha[i] > 0) {
+            for (let c = 0; c < 3; c++) {
+                data[i * 4 + c] = Math.min(255, Math.round(blurredColour[i * 3 + c] * 255 / blurredAlpha[i]));
+            }
+        }
+    }
+    return data;
+}
+
+// Lanczos resize with an optional unsharp mask. The sharpen pass is applied
+// to colour only and the resized alpha is joined back untouched, so
+// transparent edges don't pick up dark fringes.
+async function upscaleImage(imageBuffer, { factor = 2, width, height, sharpen = 0.6 } = {}) {
+    const metadata = await sharp(imageBuffer).metadata();
+    const target = resolveTargetSize(metadata, { factor, width, height });
+
+    const resized = sharp(imageBuffer).resize(target.width, target.height, {
+        kernel: sharp.kernel.lanczos3,
+        fit: 'fill'
+    });
+
+    if (!sharpen) {
+        return resized.png({ compressionLevel: 9 }).toBuffer();
+    }
+
+    if (!metadata.hasAlpha) {
+        return resized.sharpen({ sigma: sharpen }).png({ compressionLevel: 9 }).toBuffer();
+    }
+
+    const { data, info } = await resized.ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    await bleedEdgeColours(data, info);
+    const raw = { raw: { width: info.width, height: info.height, channels: info.channels } };
+    const alpha = await sharp(data, raw).extractChannel(info.channels - 1).png().toBuffer();
+    // Separate pipelines: within a single one sharp would sharpen before
+    // dropping alpha (premultiplied, which brings the black back) and join
+    // the alpha channel before sharpening it too
+    const colour = await sharp(data, raw).removeAlpha().raw().toBuffer();
+    const sharpenedColour = await sharp(colour, { raw: { width: info.width, height: info.height, channels: 3 } })
+        .sharpen({ sigma: sharpen })
+        .png()
+        .toBuffer();
+    return sharp(sharpenedColour)
+        .joinChannel(alpha)
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+}
+
+module.exports = {
+    MAX_OUTPUT_EDGE,
+    resolveTargetSize,
+    upscaleImage
+};
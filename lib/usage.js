@@ -0,0 +1,271 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Usage metering: one row per outbound call (a call and its retries count
+// once) with who it was made for, how long it took, whether it succeeded and
+// its estimated cost. Costs come from a price table in USD per successful
+// call, keyed "service.operation" or just "service"; failed calls cost
+// nothing. Days and months are UTC.
+// Quotas cap what a user may spend per day and per month; the defaults come
+// from the environment and admins can override them per user.
+
+const DEFAULT_PRICES = [
+    'gemini.generateImage:0.039',
+    'gemini.generateText:0.001',
+    'openai.generateImage:0.042',
+    'openai.generateText:0.001',
+    'stability.generateImage:0.065',
+    'picsart.removeBackground:0.02',
+    'picsart.upscale:0.04'
+].join(',');
+const GROUP_BY_FIELDS = {
+    day: 'substr(created_at, 1, 10)',
+    user: 'user_id',
+    provider: 'provider',
+    operation: 'operation'
+};
+const QUOTA_PERIODS = ['daily', 'monthly'];
+// Stored per-user limit meaning "no limit, whatever the default"; NULL inherits the default
+const UNLIMITED = -1;
+
+let db = null;
+
+function getStorePath() {
+    // Vercel only allows writes under tmp, so records there last for the instance's lifetime
+    const baseDir = process.env.VERCEL ? os.tmpdir() : path.resolve('.');
+    return process.env.USAGE_STORE_PATH || path.join(baseDir, 'data', 'usage.sqlite');
+}
+
+function getDb() {
+    if (db) return db;
+
+    const storePath = getStorePath();
+    fs.mkdirSync(path.dirname(storePath), { recursive: true });
+    db = new Database(storePath);
+    db.pragma('journal_mode = WAL');
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS usage_events (
+            id TEXT PRIMARY KEY,
+            created_at TEXT NOT NULL,
+            user_id TEXT,
+            team_id TEXT,
+            job_id TEXT,
+            provider TEXT NOT NULL,
+            operation TEXT NOT NULL,
+            attempts INTEGER NOT NULL,
+            latency_ms INTEGER NOT NULL,
+            success INTEGER NOT NULL,
+            cost_usd REAL NOT NULL,
+            error TEXT
+        );
+        CREATE INDEX IF NOT EXISTS usage_events_created_at ON usage_events (created_at);
+        CREATE INDEX IF NOT EXISTS usage_events_user ON usage_events (user_id, created_at);
+        CREATE TABLE IF NOT EXISTS quotas (
+            user_id TEXT PRIMARY KEY,
+            daily_usd REAL,
+            monthly_usd REAL,
+            updated_at TEXT NOT NULL
+        );
+    `);
+    return db;
+}
+
+// "gemini.generateImage:0.039,picsart:0.02" -> { 'gemini.generateImage': 0.039, picsart: 0.02 }
+function parsePrices(spec) {
+    const prices = {};
+    for (const part of (spec || '').split(',')) {
+        const [key, rawValue] = part.split(':').map(value => value.trim());
+        const value = parseFloat(rawValue);
+        if (key && Number.isFinite(value) && value >= 0) {
+            prices[key] = value;
+        }
+    }
+    return prices;
+}
+
+// USAGE_PRICES entries override the defaults one by one
+function getPriceTable() {
+    return { ...parsePrices(DEFAULT_PRICES), ...parsePrices(process.env.USAGE_PRICES) };
+}
+
+function getPrice(provider, operation) {
+    const prices = getPriceTable();
+    return prices[`${provider}.${operation}`] ?? prices[provider] ?? 0;
+}
+
+function recordCall({ userId, teamId, jobId, provider, operation, attempts, latencyMs, success, error }) {
+    const costUsd = success ? getPrice(provider, operation) : 0;
+    getDb().prepare(`
+        INSERT INTO usage_events (id, created_at, user_id, team_id, job_id, provider, operation, attempts, latency_ms, success, cost_usd, error)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `).run(
+        `use_${crypto.randomBytes(9).toString('base64url')}`,
+        new Date().toISOString(),
+        userId || null,
+        teamId || null,
+        jobId || null,
+        provider,
+        operation,
+        attempts,
+        Math.round(latencyMs),
+        success ? 1 : 0,
+        costUsd,
+        error ? String(error).slice(0, 500) : null
+    );
+    return costUsd;
+}
+
+function parseGroupBy(raw) {
+    const fields = (raw || 'day,user,provider').split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.filter(field => !GROUP_BY_FIELDS[field]);
+    if (unknown.length > 0) {
+        throw new Error(`Unknown groupBy field(s): ${unknown.join(', ')} (use ${Object.keys(GROUP_BY_FIELDS).join(', ')})`);
+    }
+    return [...new Set(fields)];
+}
+
+function roundUsd(value) {
+    return Math.round(value * 1e6) / 1e6;
+}
+
+// Calls between from (inclusive) and to (exclusive), summed per groupBy
+// combination; optionally limited to one user or team
+function getReport({ from, to, groupBy, userId, teamId }) {
+    const fields = parseGroupBy(groupBy);
+    const conditions = ['created_at >= @from', 'created_at < @to'];
+    if (userId) conditions.push('user_id = @userId');
+    if (teamId) conditions.push('team_id = @teamId');
+
+    const columns = fields.map(field => `${GROUP_BY_FIELDS[field]} AS ${field}`);
+    const groupClause = fields.length > 0 ? `GROUP BY ${fields.map(field => GROUP_BY_FIELDS[field]).join(', ')}` : '';
+    const orderClause = fields.length > 0 ? `ORDER BY ${fields.map(field => GROUP_BY_FIELDS[field]).join(', ')}` : '';
+    const rows = getDb().prepare(`
+        SELECT ${[...columns,
+            'COUNT(*) AS calls',
+            'SUM(1 - success) AS failures',
+            'SUM(attempts) AS attempts',
+            'ROUND(AVG(latency_ms)) AS avgLatencyMs',
+            'SUM(cost_usd) AS costUsd'
+        ].join(', ')}
+        FROM usage_events
+        WHERE ${conditions.join(' AND ')}
+        ${groupClause}
+        ${orderClause}
+    `).all({
+        from: from.toISOString(),
+        to: to.toISOString(),
+        userId: userId || null,
+        teamId: teamId || null
+    });
+
+    const totals = { calls: 0, failures: 0, attempts: 0, costUsd: 0 };
+    for (const row of rows) {
+        row.costUsd = roundUsd(row.costUsd);
+        totals.calls += row.calls;
+        totals.failures += row.failures;
+        totals.attempts += row.attempts;
+        totals.costUsd += row.costUsd;
+    }
+    totals.costUsd = roundUsd(totals.costUsd);
+    return { groupBy: fields, rows, totals };
+}
+
+function getPeriodBounds(period, now = new Date()) {
+    const start = period === 'daily'
+        ? new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()))
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+    const end = period === 'daily'
+        ? new Date(start.getTime() + 24 * 60 * 60 * 1000)
+        : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+    return { start, end };
+}
+
+function getSpentUsd(userId, start, end) {
+    const row = getDb().prepare(`
+        SELECT COALESCE(SUM(cost_usd), 0) AS spent
+        FROM usage_events
+        WHERE user_id = ? AND created_at >= ? AND created_at < ?
+    `).get(userId, start.toISOString(), end.toISOString());
+    return roundUsd(row.spent);
+}
+
+function parseLimit(value) {
+    const limit = parseFloat(value);
+    return Number.isFinite(limit) && limit >= 0 ? limit : null;
+}
+
+function getDefaultLimits() {
+    return {
+        daily: parseLimit(process.env.USAGE_DAILY_QUOTA_USD),
+        monthly: parseLimit(process.env.USAGE_MONTHLY_QUOTA_USD)
+    };
+}
+
+// A user's limits (null = unlimited) and what they've spent in each period
+function getQuota(userId) {
+    const row = getDb().prepare('SELECT daily_usd, monthly_usd FROM quotas WHERE user_id = ?').get(userId);
+    const overrides = { daily: row ? row.daily_usd : null, monthly: row ? row.monthly_usd : null };
+    const defaults = getDefaultLimits();
+
+    const quota = {};
+    for (const period of QUOTA_PERIODS) {
+        const { start, end } = getPeriodBounds(period);
+        const override = overrides[period];
+        quota[period] = {
+            limitUsd: override === UNLIMITED ? null : override ?? defaults[period],
+            spentUsd: getSpentUsd(userId, start, end),
+            resetsAt: end.toISOString(),
+            overridden: overrides[period] !== null
+        };
+    }
+    return quota;
+}
+
+// Per-user limits; a null (or missing) limit falls back to the default and
+// 'unlimited' lifts the limit even when a default is set
+function setQuota(userId, { dailyUsd, monthlyUsd } = {}) {
+    const validate = (value, name) => {
+        if (value === undefined || value === null) return null;
+        if (value === 'unlimited') return UNLIMITED;
+        const limit = parseLimit(value);
+        if (limit === null) {
+            throw new Error(`${name} must be a number of dollars (0 or more), "unlimited", or null for the default`);
+        }
+        return limit;
+    };
+    const daily = validate(dailyUsd, 'dailyUsd');
+    const monthly = validate(monthlyUsd, 'monthlyUsd');
+
+    getDb().prepare(`
+        INSERT INTO quotas (user_id, daily_usd, monthly_usd, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (user_id) DO UPDATE SET
+            daily_usd = excluded.daily_usd,
+            monthly_usd = excluded.monthly_usd,
+            updated_at = excluded.updated_at
+    `).run(userId, daily, monthly, new Date().toISOString());
+    return getQuota(userId);
+}
+
+// The first period whose limit the user has reached, or null if they can go on
+function findExceededQuota(userId) {
+    const quota = getQuota(userId);
+    for (const period of QUOTA_PERIODS) {
+        const { limitUsd, spentUsd } = quota[period];
+        if (limitUsd !== null && spentUsd >= limitUsd) {
+            return { period, ...quota[period] };
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    getPriceTable,
+    recordCall,
+    getReport,
+    getQuota,
+    setQuota,
+    findExceededQuota
+};
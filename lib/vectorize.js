@@ -0,0 +1,81 @@
+const sharp = require('sharp');
+const potrace = require('potrace');
+const quantize = require('./quantize');
+
+// Raster to SVG: the design is reduced to a few flat colours (see
+// lib/quantize) and every colour is traced with potrace into one <g> of the
+// SVG, largest area first. Stacked layers also cover the area of the colours
+// drawn above them, so neighbouring shapes meet without hairline gaps; with
+// stacked off every layer holds only its own pixels (knock-outs, as screen
+// printers and cutters want them).
+
+function traceMask(maskPng, fill, { smoothing, speckle }) {
+    const tracer = new potrace.Potrace({
+        turdSize: speckle,
+        alphaMax: smoothing,
+        optCurve: smoothing > 0,
+        threshold: 128,
+        blackOnWhite: true
+    });
+    return new Promise((resolve, reject) => {
+        tracer.loadImage(maskPng, (error) => {
+            if (error) return reject(error);
+            try {
+                resolve(tracer.getPathTag(fill));
+            } catch (traceError) {
+                reject(traceError);
+            }
+        });
+    });
+}
+
+// -> { svg, palette, width, height }; the SVG has the image's pixel size
+// and is traced at no more than maxSize pixels along its long edge
+async function vectorizeImage(imageBuffer, { colors, smoothing, speckle, maxSize, stacked }) {
+    const { width, height } = await sharp(imageBuffer).metadata();
+    const { data, info } = await sharp(imageBuffer)
+        .ensureAlpha()
+        .resize({ width: maxSize, height: maxSize, fit: 'inside', withoutEnlargement: true })
+        .raw()
+        .toBuffer({ resolveWithObject: true });
+
+    const { palette, indices } = quantize.quantize(data, { colors });
+    if (palette.length === 0) {
+        throw new Error('Image has no opaque pixels to trace');
+    }
+
+    const groups = [];
+    const mask = Buffer.alloc(indices.length);
+    for (let layer = 0; layer < palette.length; layer++) {
+        // Black is traced; the transparent index (255) is never inside a layer
+        for (let pixel = 0; pixel < indices.length; pixel++) {
+            const index = indices[pixel];
+            const inside = stacked ? index >= layer && index !== quantize.TRANSPARENT : index === layer;
+            mask[pixel] = inside ? 0 : 255;
+        }
+        const maskPng = await sharp(mask, { raw: { width: info.width, height: info.height, channels: 1 } }).png().toBuffer();
+        const pathTag = await traceMask(maskPng, palette[layer].hex, { smoothing, speckle });
+        if (!pathTag.includes('d=""')) {
+            groups.push(`  <g id="color-${layer + 1}" data-color="${palette[layer].hex}">${pathTag}</g>`);
+        }
+    }
+
+    const svg = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${info.width} ${info.height}">`,
+        ...groups,
+        '</svg>',
+        ''
+    ].join('\n');
+
+    return {
+        svg: Buffer.from(svg),
+        palette: palette.map(color => ({ hex: color.hex, share: +(color.pixels / indices.length).toFixed(4) })),
+        width: info.width,
+        height: info.height
+    };
+}
+
+module.exports = {
+    vectorizeImage
+};
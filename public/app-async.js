@@ -1,85 +1,203 @@
-const STATIC_PROMPT = `Role
-You are an expert conceptual graphic designer. Create a new, original graphic inspired by an uploaded reference image.
-
-Do this silently
-Perform your visual analysis internally and do not output your reasoning.
-
-Internal analysis checklist
-- Subject and key parts
-- Style family and rendering method
-- Composition pattern and silhouette
-- Color relationships and value contrast
-- Mood and era cues
-
-Creative mandate
-Target a novelty range of 32–38 percent. Keep the same subject category, same broad style family, and the same general composition family, but change specific details so the result is clearly new.
-
-Text replication (mandatory)
-- If the reference contains any text, you must include the exact same text string in the output.
-- Preserve wording, spelling, casing, punctuation, numerals, emojis, and line breaks exactly.
-- Do not translate, paraphrase, abbreviate, or add new text.
-- Keep the text region's position and scale within ±5 percent of the reference. You may make minor kerning or tracking adjustments only to maintain legibility on white.
-- Preserve the text's color and basic typographic weight. If legibility on white is poor, add a subtle outline or adjust only value while keeping the same hue family.
-- Do not stylize the text beyond legibility aids. All required variation must be applied to the artwork, not the text.
-
-Required variation
-Make at least 4 meaningful changes across different axes, applied to the image content only:
-1. Subject pose or angle: change camera or subject orientation by at least 20 degrees, or alter limb or head position with a clearly different gesture.
-2. Feature treatment: change line weight or edge quality by at least one step (fine to medium, crisp to slightly textured). Adjust texture density by ±20 percent or more.
-3. Secondary elements: add, remove, or swap at least 2 items and reposition them so that no element sits within 10 percent of the same canvas coordinates as in the reference.
-4. Composition spacing: change scale of the main subject by 12–22 percent, or shift framing so that 2 or more silhouette extremities move by 8–15 percent of canvas size.
-5. Color rewrite for imagery: introduce at least 2 new hues and shift the base imagery hue by ≥30 degrees on the color wheel, or invert the imagery's dominant temperature. Rebuild imagery value grouping so dark to light does not match the reference.
-6. Stylization tweak: apply one visible modifier to the imagery at 100 percent zoom, such as inkier lines, softer grain, light halftone, or gentle stipple.
-
-Similarity guardrails
-- Do not reuse the exact pose or camera angle within ±10 degrees.
-- Do not match the reference primary or secondary imagery hue within ±15 degrees. Text color is exempt per Text replication.
-- Do not replicate the same count and arrangement of secondary elements.
-- Ensure the silhouette differs at 2 or more major contour features.
-
-Hard constraints
-- Do not trace or replicate shapes, contours, or textures one to one.
-- Do not reproduce the exact pose, element count or arrangement, or color codes for the imagery.
-- Text must be preserved exactly when present in the reference.
-- No signatures or watermarks.
-- No brand identifiers or copyrighted marks. If the reference text is clearly a brand name or protected mark, substitute a neutral placeholder of equal length and similar typographic weight while preserving layout.
-
-Target look
-- Same subject type as the reference (bear → bear, pizza → pizza).
-- Same composition family, with altered spacing or feature emphasis for freshness.
-- Harmonious, printable palette with clean value separation and large, readable shapes.
-
-Output specs
-- Single, isolated design centered on a pure white background.
-- Clear silhouette suitable for apparel printing.
-- Include preserved text when present in the reference; otherwise no text.
-- High resolution raster suitable for print.
-
-Quality control self-check
-Before finalizing, compare mentally against the reference:
-- If pose or camera angle is within ±10 degrees, or primary hue is within ±15 degrees, or secondary element layout feels near-identical, regenerate with larger adjustments.
-- Prefer increasing the composition spacing delta first, then the pose delta, then the color delta.
-
-Deliver
-Generate 1 version that meets all rules.`;
-
 class ImageProcessor {
     constructor() {
         this.images = [];
-        this.currentPrompt = STATIC_PROMPT;
+        this.promptTemplates = [];
+        this.promptTemplateId = null;
+        this.processingAll = false;
+        this.batchId = null;
         this.init();
     }
 
     init() {
         this.setupEventListeners();
         this.updateProcessButton();
+        this.checkSession();
+    }
+
+    // Everything under /api needs a signed-in user; the lists are loaded once signed in
+    async checkSession() {
+        try {
+            const response = await fetch('/api/session');
+            if (!response.ok) {
+                this.showLogin();
+                return;
+            }
+            const { user } = await response.json();
+            this.onSignedIn(user);
+        } catch (error) {
+            console.error('Session check error:', error);
+            this.showLogin();
+        }
+    }
+
+    onSignedIn(user) {
+        this.user = user;
+        document.getElementById('loginOverlay').hidden = true;
+        document.getElementById('sessionUser').textContent = `${user.name || user.email} · ${user.teamName}`;
+        document.getElementById('sessionInfo').hidden = false;
+        this.loadProviders();
+        this.loadExportPresets();
+        this.loadMockupTemplates();
+        this.loadPromptTemplates();
+    }
+
+    showLogin(message = '') {
+        this.user = null;
+        document.getElementById('sessionInfo').hidden = true;
+        document.getElementById('loginError').textContent = message;
+        document.getElementById('loginOverlay').hidden = false;
+        document.getElementById('loginEmail').focus();
+    }
+
+    async login(e) {
+        e.preventDefault();
+        const loginError = document.getElementById('loginError');
+        loginError.textContent = '';
+
+        try {
+            const response = await fetch('/api/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    email: document.getElementById('loginEmail').value,
+                    password: document.getElementById('loginPassword').value
+                })
+            });
+            const body = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(body.error || `Sign in failed: ${response.status}`);
+            }
+            document.getElementById('loginPassword').value = '';
+            this.onSignedIn(body.user);
+        } catch (error) {
+            loginError.textContent = error.message;
+        }
+    }
+
+    async logout() {
+        await fetch('/api/logout', { method: 'POST' }).catch(() => {});
+        window.location.reload();
+    }
+
+    async loadPromptTemplates() {
+        const templateSelect = document.getElementById('promptTemplateSelect');
+        if (!templateSelect) return;
+
+        try {
+            const response = await fetch('/api/prompts');
+            if (!response.ok) {
+                throw new Error(`Could not load prompt templates: ${response.status}`);
+            }
+
+            const { templates, defaultTemplateId } = await response.json();
+            this.promptTemplates = templates;
+            templateSelect.innerHTML = templates.map(template => `
+                <option value="${this.escapeHtml(template.id)}" ${template.id === defaultTemplateId ? 'selected' : ''}>
+                    ${this.escapeHtml(template.name)} (v${this.escapeHtml(template.version)})
+                </option>
+            `).join('');
+            this.promptTemplateId = templateSelect.value || null;
+            this.renderPromptText();
+        } catch (error) {
+            console.error('Prompt template list error:', error);
+            templateSelect.disabled = true;
+            this.renderPromptText();
+        }
+    }
+
+    renderPromptText() {
+        const promptText = document.getElementById('promptText');
+        if (!promptText) return;
+
+        const template = this.promptTemplates.find(item => item.id === this.promptTemplateId);
+        promptText.textContent = template ? template.body : 'Prompt templates are unavailable; the server default will be used.';
+    }
+
+    async loadExportPresets() {
+        try {
+            const response = await fetch('/api/export-presets');
+            if (!response.ok) {
+                throw new Error(`Could not load export presets: ${response.status}`);
+            }
+
+            const { presets } = await response.json();
+            this.exportPresets = presets;
+            document.querySelectorAll('.preset-select').forEach(select => {
+                select.innerHTML = this.renderPresetOptions();
+            });
+        } catch (error) {
+            console.error('Export preset list error:', error);
+        }
+    }
+
+    async loadMockupTemplates() {
+        try {
+            const response = await fetch('/api/mockup-templates');
+            if (!response.ok) {
+                throw new Error(`Could not load mockup templates: ${response.status}`);
+            }
+
+            const { templates } = await response.json();
+            this.mockupTemplates = templates;
+            this.images.forEach(imageData => this.renderMockups(imageData));
+        } catch (error) {
+            console.error('Mockup template list error:', error);
+        }
+    }
+
+    renderPresetOptions() {
+        const presets = this.exportPresets || [];
+        return ['<option value="">Original size</option>']
+            .concat(presets.map(preset => `<option value="${preset.id}">${preset.label}</option>`))
+            .join('');
+    }
+
+    getDownloadQuery(imageId) {
+        const formatSelect = document.getElementById(`format_${imageId}`);
+        const presetSelect = document.getElementById(`preset_${imageId}`);
+        const requestedFormat = formatSelect ? (formatSelect.value || 'jpg') : 'jpg';
+        const preset = presetSelect ? presetSelect.value : '';
+        return { requestedFormat, preset };
+    }
+
+    async loadProviders() {
+        const providerSelect = document.getElementById('providerSelect');
+        if (!providerSelect) return;
+
+        try {
+            const response = await fetch('/api/providers');
+            if (!response.ok) {
+                throw new Error(`Could not load providers: ${response.status}`);
+            }
+
+            const { providers } = await response.json();
+            providerSelect.innerHTML = providers.map(provider => `
+                <option value="${provider.id}" ${provider.isDefault ? 'selected' : ''} ${provider.configured ? '' : 'disabled'}>
+                    ${provider.label}${provider.configured ? '' : ' (not configured)'}
+                </option>
+            `).join('');
+            this.provider = providerSelect.value;
+        } catch (error) {
+            console.error('Provider list error:', error);
+            providerSelect.disabled = true;
+        }
     }
 
     setupEventListeners() {
         const uploadArea = document.getElementById('uploadArea');
         const fileInput = document.getElementById('fileInput');
         const processBtn = document.getElementById('processBtn');
+        const cancelAllBtn = document.getElementById('cancelAllBtn');
+        const downloadAllBtn = document.getElementById('downloadAllBtn');
         const removeBgToggle = document.getElementById('removeBgToggle');
+        const textCheckToggle = document.getElementById('textCheckToggle');
+        const forceRegenerateToggle = document.getElementById('forceRegenerateToggle');
+        const providerSelect = document.getElementById('providerSelect');
+        const variationsSelect = document.getElementById('variationsSelect');
+        const vectorColorsSelect = document.getElementById('vectorColorsSelect');
+        const spotColorsSelect = document.getElementById('spotColorsSelect');
+        const inkPaletteInput = document.getElementById('inkPaletteInput');
+        const templateSelect = document.getElementById('promptTemplateSelect');
 
         this.removeBg = removeBgToggle ? removeBgToggle.checked : false;
         if (removeBgToggle) {
@@ -88,12 +206,89 @@ class ImageProcessor {
             });
         }
 
+        this.textCheck = textCheckToggle ? textCheckToggle.checked : false;
+        if (textCheckToggle) {
+            textCheckToggle.addEventListener('change', (e) => {
+                this.textCheck = !!e.target.checked;
+            });
+        }
+
+        this.forceRegenerate = forceRegenerateToggle ? forceRegenerateToggle.checked : false;
+        if (forceRegenerateToggle) {
+            forceRegenerateToggle.addEventListener('change', (e) => {
+                this.forceRegenerate = !!e.target.checked;
+            });
+        }
+
+        if (providerSelect) {
+            providerSelect.addEventListener('change', (e) => {
+                this.provider = e.target.value;
+            });
+        }
+
+        if (templateSelect) {
+            templateSelect.addEventListener('change', (e) => {
+                this.promptTemplateId = e.target.value || null;
+                this.renderPromptText();
+            });
+        }
+
+        this.variations = variationsSelect ? parseInt(variationsSelect.value, 10) || 1 : 1;
+        if (variationsSelect) {
+            variationsSelect.addEventListener('change', (e) => {
+                this.variations = parseInt(e.target.value, 10) || 1;
+            });
+        }
+
+        this.vectorColors = vectorColorsSelect ? vectorColorsSelect.value : '';
+        if (vectorColorsSelect) {
+            vectorColorsSelect.addEventListener('change', (e) => {
+                this.vectorColors = e.target.value;
+            });
+        }
+
+        this.spotColors = spotColorsSelect ? spotColorsSelect.value : '';
+        if (spotColorsSelect) {
+            spotColorsSelect.addEventListener('change', (e) => {
+                this.spotColors = e.target.value;
+            });
+        }
+
+        this.inkPalette = null;
+        if (inkPaletteInput) {
+            inkPaletteInput.addEventListener('change', (e) => this.loadInkPalette(e.target));
+        }
+
         uploadArea.addEventListener('click', () => fileInput.click());
         fileInput.addEventListener('change', (e) => this.handleFiles(e.target.files));
         uploadArea.addEventListener('dragover', this.handleDragOver.bind(this));
         uploadArea.addEventListener('dragleave', this.handleDragLeave.bind(this));
         uploadArea.addEventListener('drop', this.handleDrop.bind(this));
         processBtn.addEventListener('click', () => this.processAllImages());
+        if (cancelAllBtn) {
+            cancelAllBtn.addEventListener('click', () => this.cancelAllImages());
+        }
+        if (downloadAllBtn) {
+            downloadAllBtn.addEventListener('click', () => this.downloadAll());
+        }
+        document.getElementById('loginForm').addEventListener('submit', (e) => this.login(e));
+        document.getElementById('signOutBtn').addEventListener('click', () => this.logout());
+    }
+
+    // The server validates the inks; only check that the file is JSON
+    async loadInkPalette(input) {
+        const file = input.files && input.files[0];
+        this.inkPalette = null;
+        if (!file) return;
+
+        try {
+            const text = await file.text();
+            JSON.parse(text);
+            this.inkPalette = text;
+        } catch (error) {
+            alert(`${file.name} is not a valid JSON ink palette`);
+            input.value = '';
+        }
     }
 
     handleDragOver(e) {
@@ -114,7 +309,9 @@ class ImageProcessor {
 
     handleFiles(files) {
         const validFiles = Array.from(files).filter(file => {
-            if (!file.type.startsWith('image/')) {
+            // Browsers often leave HEIC photos untyped; the server checks the real format
+            const isHeic = /\.(heic|heif)$/i.test(file.name);
+            if (!file.type.startsWith('image/') && !isHeic) {
                 alert(`${file.name} is not an image file`);
                 return false;
             }
@@ -138,7 +335,7 @@ class ImageProcessor {
             status: 'queued',
             originalUrl: null,
             processedUrl: null,
-            prompt: this.currentPrompt
+            promptTemplateId: this.promptTemplateId
         };
 
         this.images.push(imageData);
@@ -168,21 +365,48 @@ class ImageProcessor {
             <div class="processed-section">
                 <h4>Processed</h4>
                 <div class="image-status status-queued" id="status_${imageData.id}">Queued</div>
+                <ol class="stage-timeline" id="timeline_${imageData.id}"></ol>
                 <div class="preview-container" id="preview_container_${imageData.id}" style="display: none;">
                     <img class="image-preview" id="processed_${imageData.id}" alt="Processed">
                 </div>
+                <div class="text-match" id="textmatch_${imageData.id}" style="display: none;"></div>
+                <div class="similarity-score" id="similarity_${imageData.id}" style="display: none;"></div>
+                <div class="spot-palette" id="palette_${imageData.id}" style="display: none;"></div>
+                <div class="candidates" id="candidates_${imageData.id}" style="display: none;"></div>
+                <div class="mockups" id="mockups_${imageData.id}" style="display: none;">
+                    <div class="mockup-controls">
+                        <select class="format-select" id="mockup_template_${imageData.id}" onchange="imageProcessor.renderMockupColors('${imageData.id}')"></select>
+                        <select class="format-select" id="mockup_color_${imageData.id}"></select>
+                        <button class="btn btn-secondary" onclick="imageProcessor.renderMockupRequest('${imageData.id}')" id="mockup_render_${imageData.id}">
+                            Render mockups
+                        </button>
+                    </div>
+                    <div class="mockup-gallery" id="mockup_gallery_${imageData.id}"></div>
+                </div>
+                <div class="listing" id="listing_${imageData.id}" style="display: none;"></div>
             </div>
 
             <div class="image-actions">
                 <button class="btn btn-secondary" onclick="imageProcessor.reprocessImage('${imageData.id}')" style="display: none;" id="reprocess_${imageData.id}">
                     🔄 Reprocess Image
                 </button>
+                <button class="btn btn-secondary" onclick="imageProcessor.cancelImage('${imageData.id}')" style="display: none;" id="cancel_${imageData.id}">
+                    ✕ Cancel
+                </button>
                 <div class="download-controls">
                     <label for="format_${imageData.id}">Format:</label>
                     <select class="format-select" id="format_${imageData.id}">
                         <option value="jpg">JPG</option>
                         <option value="jpeg">JPEG</option>
                         <option value="png">PNG</option>
+                        <option value="webp" data-server-only>WebP (lossless)</option>
+                        <option value="tiff" data-server-only>TIFF (300 DPI)</option>
+                        <option value="pdf" data-server-only>PDF (print size)</option>
+                        <option value="svg">SVG (vector)</option>
+                    </select>
+                    <label for="preset_${imageData.id}">Size:</label>
+                    <select class="format-select preset-select" id="preset_${imageData.id}" disabled>
+                        ${this.renderPresetOptions()}
                     </select>
                 </div>
                 <div class="download-buttons">
@@ -206,6 +430,7 @@ class ImageProcessor {
         const status = document.getElementById(`status_${imageData.id}`);
         const card = document.getElementById(`card_${imageData.id}`);
         const reprocessBtn = document.getElementById(`reprocess_${imageData.id}`);
+        const cancelBtn = document.getElementById(`cancel_${imageData.id}`);
 
         if (imageData.originalUrl && originalImg) {
             originalImg.src = imageData.originalUrl;
@@ -222,10 +447,18 @@ class ImageProcessor {
             previewContainer.style.display = 'block';
         }
 
+        this.renderCandidates(imageData);
+        this.renderTextMatch(imageData);
+        this.renderSimilarity(imageData);
+        this.renderPalette(imageData);
+        this.renderMockups(imageData);
+        this.renderListing(imageData);
+        this.renderTimeline(imageData);
+
         // Show reprocess button when processing is complete (any completion state)
         const completedStates = [
             'complete', 'pipeline_complete', 'partial_pipeline_success',
-            'picsart_failed_fallback', 'gemini_complete'
+            'picsart_failed_fallback', 'gemini_complete', 'awaiting_selection', 'cancelled'
         ];
         if (reprocessBtn && completedStates.includes(imageData.status)) {
             reprocessBtn.style.display = 'block';
@@ -233,6 +466,12 @@ class ImageProcessor {
             reprocessBtn.style.display = 'none';
         }
 
+        // Images waiting for their turn in a run can be cancelled before they have a job
+        if (cancelBtn) {
+            const cancellable = this.isActiveStatus(imageData.status) && (!!imageData.jobId || this.processingAll);
+            cancelBtn.style.display = cancellable && !imageData.cancelRequested ? 'block' : 'none';
+        }
+
         const downloadBtn = card.querySelector('.btn-primary');
         const downloadGeminiBtn = document.getElementById(`download_gemini_${imageData.id}`);
         const downloadFinalBtn = document.getElementById(`download_final_${imageData.id}`);
@@ -251,20 +490,48 @@ class ImageProcessor {
             const hasFinal = !!(imageData.imageData && imageData.imageData.final) || !!(imageData.downloadTokens && imageData.downloadTokens.final);
             downloadBtn.disabled = !hasFinal;
         }
+
+        // Presets are rendered server-side, so they need token-based downloads
+        const presetSelect = document.getElementById(`preset_${imageData.id}`);
+        if (presetSelect) {
+            const hasTokens = !!(imageData.downloadTokens && (imageData.downloadTokens.final || imageData.downloadTokens.gemini));
+            presetSelect.disabled = !hasTokens;
+        }
+
+        // So are WebP, TIFF and PDF; base64 results (Vercel) only come as PNG
+        const formatSelect = document.getElementById(`format_${imageData.id}`);
+        if (formatSelect) {
+            const hasTokens = !!(imageData.downloadTokens && (imageData.downloadTokens.final || imageData.downloadTokens.gemini));
+            formatSelect.querySelectorAll('option[data-server-only]').forEach(option => {
+                option.disabled = !hasTokens;
+            });
+            if (formatSelect.selectedOptions[0] && formatSelect.selectedOptions[0].disabled) {
+                formatSelect.value = 'png';
+            }
+        }
+
+        this.updateArchiveSection();
     }
 
     getStatusText(status, job) {
         const statusMap = {
-            'queued': 'Queued',
+            'queued': (job && job.queuePosition) ? `Queued (#${job.queuePosition} in line)` : 'Queued',
             'processing': 'Processing...',
             'gemini_processing': 'Generating design...',
+            'awaiting_selection': 'Pick a variation',
             'gemini_complete': (job && job.progress) ? job.progress : 'AI complete, removing background...',
             'removing_background': 'Removing background...',
             'upscaling_image': 'Upscaling image...',
+            'trimming_image': 'Trimming image...',
+            'sharpening_image': 'Sharpening image...',
+            'padding_canvas': 'Padding to canvas...',
+            'vectorizing_image': 'Tracing vector...',
+            'separating_colors': 'Separating spot colours...',
             'complete': 'Complete',
             'pipeline_complete': 'Complete (Enhanced)',
             'partial_pipeline_success': 'Complete (Partial enhancement)',
             'picsart_failed_fallback': 'Complete (AI only)',
+            'cancelled': 'Cancelled',
             'error': 'Error'
         };
         return statusMap[status] || status;
@@ -282,23 +549,40 @@ class ImageProcessor {
         if (this.images.length === 0) return;
 
         const progressSection = document.getElementById('overallProgress');
+        const cancelAllBtn = document.getElementById('cancelAllBtn');
         progressSection.style.display = 'block';
         this.updateOverallProgress(0);
+        this.processingAll = true;
+        if (cancelAllBtn) cancelAllBtn.style.display = 'inline-block';
+
+        // Every upload of this run shares a batch, so it can be downloaded as one archive
+        this.batchId = 'batch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 
         let completedCount = 0;
+        this.images.forEach(imageData => {
+            imageData.cancelRequested = false;
+            this.updateImageCard(imageData);
+        });
 
         for (const imageData of this.images) {
+            if (imageData.cancelRequested) {
+                imageData.status = 'cancelled';
+                this.updateImageCard(imageData);
+                completedCount++;
+                this.updateOverallProgress(completedCount);
+                continue;
+            }
+
             imageData.status = 'processing';
-            imageData.prompt = this.currentPrompt;
+            imageData.jobId = null;
+            imageData.promptTemplateId = this.promptTemplateId;
             this.updateImageCard(imageData);
             this.logStatus(imageData, 'Uploading image...');
 
             try {
                 await this.processImage(imageData);
             } catch (error) {
-                console.error('Processing failed:', error);
-                imageData.status = 'error';
-                imageData.error = error.message;
+                this.applyProcessingFailure(imageData, error);
             }
 
             this.updateImageCard(imageData);
@@ -306,6 +590,10 @@ class ImageProcessor {
             this.updateOverallProgress(completedCount);
         }
 
+        this.processingAll = false;
+        if (cancelAllBtn) cancelAllBtn.style.display = 'none';
+        this.images.forEach(imageData => this.updateImageCard(imageData));
+
         setTimeout(() => {
             progressSection.style.display = 'none';
         }, 2000);
@@ -316,8 +604,30 @@ class ImageProcessor {
             // Step 1: Upload the image
             const formData = new FormData();
             formData.append('image', imageData.file);
-            formData.append('prompt', imageData.prompt);
+            if (imageData.promptTemplateId) {
+                formData.append('promptTemplateId', imageData.promptTemplateId);
+            }
             formData.append('removeBg', this.removeBg ? 'true' : 'false');
+            formData.append('textCheck', this.textCheck ? 'true' : 'false');
+            if (this.forceRegenerate) {
+                formData.append('forceRegenerate', 'true');
+            }
+            if (this.vectorColors) {
+                formData.append('vectorize', this.vectorColors);
+            }
+            if (this.spotColors || this.inkPalette) {
+                formData.append('spotColors', this.spotColors || 'auto');
+            }
+            if (this.inkPalette) {
+                formData.append('inkPalette', this.inkPalette);
+            }
+            if (this.batchId) {
+                formData.append('batchId', this.batchId);
+            }
+            if (this.provider) {
+                formData.append('provider', this.provider);
+            }
+            formData.append('variations', String(this.variations || 1));
 
             console.log('Step 1: Uploading image...');
             const uploadResponse = await fetch('/api/upload-image', {
@@ -325,6 +635,9 @@ class ImageProcessor {
                 body: formData
             });
 
+            if (uploadResponse.status === 401) {
+                this.showLogin('Your session has ended; sign in again.');
+            }
             if (!uploadResponse.ok) {
                 const errorBody = await uploadResponse.json().catch(() => ({}));
                 const message = errorBody?.error || `Upload failed! status: ${uploadResponse.status}`;
@@ -333,17 +646,25 @@ class ImageProcessor {
 
             const uploadResult = await uploadResponse.json();
             imageData.jobId = uploadResult.jobId;
+            imageData.batchId = this.batchId;
             console.log(`Step 1 complete: Job ${imageData.jobId} created`);
 
+            // Cancelled while uploading: cancel the new job instead of starting it
+            if (imageData.cancelRequested) {
+                await this.cancelJob(imageData);
+                throw new Error('Job was cancelled');
+            }
+
             // Step 2: Start processing (this keeps serverless function alive)
             console.log('Step 2: Starting processing (function stays alive)...');
             imageData.status = 'processing';
             this.updateImageCard(imageData);
             this.logStatus(imageData, 'Processing with AI...');
 
+            const events = this.watchJob(imageData);
             const processResponse = await fetch(`/api/start-processing/${imageData.jobId}`, {
                 method: 'POST'
-            });
+            }).finally(() => events && events.close());
 
             if (!processResponse.ok) {
                 const errorBody = await processResponse.json().catch(() => ({}));
@@ -363,53 +684,99 @@ class ImageProcessor {
         }
     }
 
-    async pollJobStatus(imageData, retries = 0) {
-        const maxRetries = 60; // 5 minutes with 5 second intervals
-        const pollInterval = 5000; // 5 seconds
+    // A cancelled job rejects its pending request; that isn't shown as an error
+    applyProcessingFailure(imageData, error) {
+        if (imageData.cancelRequested) {
+            imageData.status = 'cancelled';
+            imageData.error = null;
+            return;
+        }
+        console.error('Processing failed:', error);
+        imageData.status = 'error';
+        imageData.error = error.message;
+    }
 
-        try {
-            const response = await fetch(`/api/job/${imageData.jobId}`);
+    async cancelImage(imageId) {
+        const imageData = this.images.find(img => img.id === imageId);
+        if (!imageData || imageData.cancelRequested) return;
+
+        imageData.cancelRequested = true;
+        this.updateImageCard(imageData);
+        this.logStatus(imageData, 'Cancelling...');
+
+        // Without a job the upload is still running (or hasn't started); processImage handles it
+        if (imageData.jobId && this.isActiveStatus(imageData.status)) {
+            await this.cancelJob(imageData);
+        }
+    }
+
+    async cancelAllImages() {
+        const pending = this.images.filter(imageData => this.isActiveStatus(imageData.status));
+        await Promise.all(pending.map(imageData => this.cancelImage(imageData.id)));
+    }
 
+    async cancelJob(imageData) {
+        try {
+            const response = await fetch(`/api/jobs/${imageData.jobId}`, { method: 'DELETE' });
+            const result = await response.json().catch(() => ({}));
             if (!response.ok) {
-                if (response.status === 404 && retries < 3) {
-                    // Job might not be ready yet, retry
-                    await new Promise(resolve => setTimeout(resolve, 1000));
-                    return this.pollJobStatus(imageData, retries + 1);
-                }
-                throw new Error(`Failed to check job status: ${response.status}`);
+                // 409: the job finished before the cancel arrived; its own request reports the result
+                console.warn(`Cancel ${imageData.jobId}:`, result.error || response.status);
+                imageData.cancelRequested = false;
+                return;
             }
+            imageData.status = result.status;
+            imageData.stageTimestamps = result.stageTimestamps || imageData.stageTimestamps;
+        } catch (error) {
+            console.error('Cancel error:', error);
+            imageData.cancelRequested = false;
+        }
+        this.updateImageCard(imageData);
+    }
 
-            const result = await response.json();
-            console.log(`Job ${imageData.jobId}: Status updated to ${result.status}`);
-
-            // Update UI with current status
-            this.applyProcessingResult(imageData, result);
+    // Follow a running job's stage changes; the caller closes the stream once
+    // its request returns, and the final result is applied from that response
+    watchJob(imageData) {
+        if (!window.EventSource || !imageData.jobId) return null;
 
-            // Check if job is complete or errored
-            const completedStates = [
-                'complete', 'pipeline_complete', 'partial_pipeline_success',
-                'picsart_failed_fallback', 'error'
-            ];
+        const source = new EventSource(`/api/jobs/${imageData.jobId}/events`);
+        source.addEventListener('job', (event) => {
+            const job = JSON.parse(event.data);
+            imageData.status = job.status;
+            imageData.stageTimestamps = job.stageTimestamps || {};
+            this.updateImageCard(imageData);
+            this.logStatus(imageData, this.getStatusText(job.status, job));
+        });
+        source.onerror = () => console.warn(`Progress stream for ${imageData.jobId} interrupted`);
+        return source;
+    }
 
-            if (completedStates.includes(result.status)) {
-                console.log(`Job ${imageData.jobId} completed with status: ${result.status}`);
-                return; // Job is done
+    // One line per stage with how long it took; the current stage shows its time so far
+    renderTimeline(imageData) {
+        const timeline = document.getElementById(`timeline_${imageData.id}`);
+        if (!timeline) return;
+
+        const stages = Object.entries(imageData.stageTimestamps || {})
+            .map(([status, at]) => ({ status, at: new Date(at).getTime() }))
+            .sort((a, b) => a.at - b.at);
+
+        timeline.innerHTML = stages.map((stage, index) => {
+            const next = stages[index + 1];
+            let duration = '';
+            if (next) {
+                duration = ` ${((next.at - stage.at) / 1000).toFixed(1)}s`;
+            } else if (this.isActiveStatus(stage.status)) {
+                duration = ` ${((Date.now() - stage.at) / 1000).toFixed(1)}s…`;
             }
+            return `<li>${this.getStatusText(stage.status)}${duration}</li>`;
+        }).join('');
+    }
 
-            // Continue polling if not complete
-            if (retries < maxRetries) {
-                await new Promise(resolve => setTimeout(resolve, pollInterval));
-                return this.pollJobStatus(imageData, retries + 1);
-            } else {
-                throw new Error('Processing timeout - exceeded 5 minutes');
-            }
-        } catch (error) {
-            console.error(`Polling error for job ${imageData.jobId}:`, error);
-            imageData.status = 'error';
-            imageData.error = error.message;
-            this.updateImageCard(imageData);
-            throw error;
-        }
+    isActiveStatus(status) {
+        return ![
+            'uploaded', 'awaiting_selection', 'complete', 'pipeline_complete',
+            'partial_pipeline_success', 'picsart_failed_fallback', 'error', 'cancelled'
+        ].includes(status);
     }
 
     applyProcessingResult(imageData, result) {
@@ -423,6 +790,15 @@ class ImageProcessor {
         imageData.downloadFilenames = result.downloadFilenames || {};
         imageData.imageData = result.imageData || null; // Base64 image data for Vercel
         imageData.error = result.error || null;
+        imageData.candidates = result.candidates || [];
+        imageData.stageTimestamps = result.stageTimestamps || imageData.stageTimestamps || {};
+        imageData.selectedCandidate = result.selectedCandidate ?? null;
+        imageData.textMatch = result.textMatch || null;
+        imageData.similarity = result.similarity || null;
+        imageData.generations = result.generations || null;
+        imageData.listing = result.listing || null;
+        imageData.palette = result.palette || null;
+        imageData.mockups = result.mockups || [];
 
         if (imageData.processedUrl) {
             const cacheBust = Date.now();
@@ -434,8 +810,467 @@ class ImageProcessor {
             imageData.geminiUrl = `${imageData.geminiUrl}${imageData.geminiUrl.includes('?') ? '&' : '?'}cb=${cacheBust}`;
         }
 
-        this.logStatus(imageData, this.getStatusText(imageData.status, { progress: result.progress }));
+        const statusText = this.getStatusText(imageData.status, { progress: result.progress, queuePosition: result.queuePosition });
+        this.logStatus(imageData, `${statusText}${this.describeCacheUse(result.cache)}`);
+        this.updateImageCard(imageData);
+    }
+
+    // " (from cache)" when every output was reused, " (partly from cache)" when some were
+    describeCacheUse(cache) {
+        if (!cache) return '';
+        const hits = cache.generationHits + cache.stepHits;
+        if (hits === 0) return '';
+        return cache.generationMisses + cache.stepMisses === 0 ? ' (from cache)' : ' (partly from cache)';
+    }
+
+    renderCandidates(imageData) {
+        const container = document.getElementById(`candidates_${imageData.id}`);
+        if (!container) return;
+
+        const candidates = imageData.candidates || [];
+        if (candidates.length < 2) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const busy = !['awaiting_selection', 'complete', 'pipeline_complete', 'partial_pipeline_success', 'picsart_failed_fallback', 'error', 'cancelled'].includes(imageData.status);
+        container.innerHTML = candidates.map(candidate => {
+            if (candidate.status !== 'ok') {
+                return `
+                    <div class="candidate candidate-failed" title="${this.escapeHtml(candidate.error || 'Generation failed')}">
+                        <span>Variation ${candidate.index + 1} failed</span>
+                    </div>
+                `;
+            }
+
+            const src = candidate.base64 ? `data:${candidate.mimeType};base64,${candidate.base64}` : candidate.previewUrl;
+            const textMatch = candidate.textMatch;
+            const textBadge = textMatch && (textMatch.status === 'match' || textMatch.status === 'mismatch')
+                ? `<span class="text-badge text-badge-${textMatch.status}">${textMatch.status === 'match' ? 'Text OK' : 'Text mismatch'}</span>`
+                : '';
+            const score = candidate.similarity;
+            const similarityBadge = score && score.verdict !== 'unavailable'
+                ? `<span class="text-badge similarity-badge-${score.verdict}">${this.getSimilarityLabel(score)}</span>`
+                : '';
+            const cachedBadge = candidate.cached ? '<span class="text-badge cached-badge">Cached</span>' : '';
+            return `
+                <div class="candidate ${candidate.selected ? 'candidate-selected' : ''}">
+                    <img class="candidate-preview" src="${src}" alt="Variation ${candidate.index + 1}">
+                    ${cachedBadge}
+                    ${textBadge}
+                    ${similarityBadge}
+                    <button class="btn btn-secondary" onclick="imageProcessor.selectCandidate('${imageData.id}', ${candidate.index})" ${busy || candidate.selected ? 'disabled' : ''}>
+                        ${candidate.selected ? 'Selected' : 'Use this'}
+                    </button>
+                </div>
+            `;
+        }).join('');
+        container.style.display = 'grid';
+    }
+
+    // "Text match: OK / mismatch" for the chosen output, with the character diff
+    // against the reference's text (struck out: missing, underlined: added)
+    renderTextMatch(imageData) {
+        const container = document.getElementById(`textmatch_${imageData.id}`);
+        if (!container) return;
+
+        const textMatch = imageData.textMatch;
+        if (!textMatch) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const generations = imageData.generations > 1 ? ` after ${imageData.generations} generations` : '';
+        let html;
+        if (textMatch.status === 'match') {
+            html = `<strong>Text match: OK</strong>${generations}`;
+        } else if (textMatch.status === 'mismatch') {
+            const diff = (textMatch.diff || []).map(segment => {
+                const text = this.escapeHtml(segment.text);
+                if (segment.op === 'delete') return `<del>${text}</del>`;
+                if (segment.op === 'insert') return `<ins>${text}</ins>`;
+                return text;
+            }).join('');
+            html = `
+                <strong>Text match: mismatch</strong> (${Math.round((textMatch.similarity || 0) * 100)}% similar${generations})
+                <div class="text-diff">${diff}</div>
+            `;
+        } else if (textMatch.status === 'no_text') {
+            html = 'No text found in the reference';
+        } else {
+            html = 'Text check unavailable';
+        }
+
+        container.className = `text-match text-match-${textMatch.status}`;
+        container.innerHTML = html;
+        container.style.display = 'block';
+    }
+
+    // Spot colour swatches, with the separations ZIP when it can be downloaded
+    renderPalette(imageData) {
+        const container = document.getElementById(`palette_${imageData.id}`);
+        if (!container) return;
+
+        const palette = imageData.palette || [];
+        if (palette.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        const swatches = palette.map(color => {
+            const label = color.name === color.hex ? color.hex : `${color.name} (${color.hex})`;
+            return `
+                <span class="spot-swatch" title="${this.escapeHtml(label)} · ${Math.round(color.share * 100)}% of the design">
+                    <span class="spot-swatch-chip" style="background: ${color.hex};"></span>
+                    ${this.escapeHtml(color.name)}
+                </span>
+            `;
+        }).join('');
+        const hasSeparations = !!((imageData.downloadTokens && imageData.downloadTokens.separations)
+            || (imageData.imageData && imageData.imageData.separations));
+        container.innerHTML = `
+            <strong>${palette.length} spot colour${palette.length !== 1 ? 's' : ''}</strong>
+            <div class="spot-swatches">${swatches}</div>
+            ${hasSeparations ? `<button class="btn btn-secondary" onclick="imageProcessor.downloadSeparations('${imageData.id}')">Download separations</button>` : ''}
+        `;
+        container.style.display = 'block';
+    }
+
+    downloadSeparations(imageId) {
+        const imageData = this.images.find(img => img.id === imageId);
+        if (!imageData) return;
+
+        const link = document.createElement('a');
+        if (imageData.imageData && imageData.imageData.separations) {
+            link.href = `data:application/zip;base64,${imageData.imageData.separations.base64}`;
+            link.download = imageData.imageData.separations.filename;
+        } else if (imageData.downloadTokens && imageData.downloadTokens.separations) {
+            const filename = imageData.downloadFilenames.separations;
+            link.href = `/api/download-by-token?token=${encodeURIComponent(imageData.downloadTokens.separations)}&filename=${encodeURIComponent(filename)}`;
+        } else {
+            return;
+        }
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    // Novelty against the reference plus the measurements behind it
+    renderSimilarity(imageData) {
+        const container = document.getElementById(`similarity_${imageData.id}`);
+        if (!container) return;
+
+        const score = imageData.similarity;
+        if (!score) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+
+        if (score.verdict === 'unavailable') {
+            container.innerHTML = 'Similarity check unavailable';
+        } else {
+            const details = [
+                `hash distance ${score.hashDistance}/64`,
+                score.hueShift === null ? 'no dominant hue' : `hue shift ${score.hueShift}°`,
+                score.silhouetteIoU === null ? null : `silhouette overlap ${Math.round(score.silhouetteIoU * 100)}%`
+            ].filter(Boolean).join(' · ');
+            const reasons = (score.reasons || []).length > 0
+                ? `<div>${score.reasons.map(reason => this.escapeHtml(reason)).join('; ')}</div>`
+                : '';
+            container.innerHTML = `
+                <strong>${this.getSimilarityLabel(score)}</strong> (novelty ${Math.round(score.novelty * 100)}%)
+                <div>${details}</div>
+                ${reasons}
+            `;
+        }
+
+        container.className = `similarity-score similarity-${score.verdict}`;
+        container.style.display = 'block';
+    }
+
+    getSimilarityLabel(score) {
+        const labels = {
+            'ok': 'Similarity: OK',
+            'too_similar': 'Too similar',
+            'too_different': 'Too different'
+        };
+        return labels[score.verdict] || score.verdict;
+    }
+
+    // Mockup picker and the rendered mockups; the pickers keep their selection
+    // across re-renders and only the gallery is rebuilt
+    renderMockups(imageData) {
+        const container = document.getElementById(`mockups_${imageData.id}`);
+        const templateSelect = document.getElementById(`mockup_template_${imageData.id}`);
+        const gallery = document.getElementById(`mockup_gallery_${imageData.id}`);
+        const renderBtn = document.getElementById(`mockup_render_${imageData.id}`);
+        if (!container || !templateSelect || !gallery) return;
+
+        const templates = this.mockupTemplates || [];
+        const hasDesign = !!(imageData.downloadTokens && (imageData.downloadTokens.final || imageData.downloadTokens.gemini))
+            || !!(imageData.imageData && (imageData.imageData.final || imageData.imageData.gemini));
+        if (!hasDesign || templates.length === 0 || this.isActiveStatus(imageData.status)) {
+            container.style.display = 'none';
+            return;
+        }
+
+        if (templateSelect.options.length === 0) {
+            templateSelect.innerHTML = ['<option value="">All products</option>']
+                .concat(templates.map(template => `<option value="${template.id}">${template.label}</option>`))
+                .join('');
+            this.renderMockupColors(imageData.id);
+        }
+
+        if (renderBtn) {
+            renderBtn.disabled = !!imageData.mockupBusy;
+            renderBtn.textContent = imageData.mockupBusy ? 'Rendering...' : 'Render mockups';
+        }
+
+        const error = imageData.mockupError
+            ? `<div class="listing-errors">${this.escapeHtml(imageData.mockupError)}</div>`
+            : '';
+        gallery.innerHTML = error + (imageData.mockups || []).map((mockup, index) => {
+            const src = mockup.base64 ? `data:${mockup.mimeType};base64,${mockup.base64}` : mockup.previewUrl;
+            return `
+                <div class="mockup">
+                    <img class="mockup-preview" src="${src}" alt="${this.escapeHtml(mockup.label)} mockup">
+                    <span>${this.escapeHtml(mockup.label)} · ${this.escapeHtml(mockup.color)}</span>
+                    <button class="btn btn-secondary" onclick="imageProcessor.downloadMockup('${imageData.id}', ${index})">Download</button>
+                </div>
+            `;
+        }).join('');
+        container.style.display = 'block';
+    }
+
+    renderMockupColors(imageId) {
+        const templateSelect = document.getElementById(`mockup_template_${imageId}`);
+        const colorSelect = document.getElementById(`mockup_color_${imageId}`);
+        if (!templateSelect || !colorSelect) return;
+
+        const template = (this.mockupTemplates || []).find(item => item.id === templateSelect.value);
+        colorSelect.innerHTML = template
+            ? template.colors.map(color => `<option value="${color}" ${color === template.defaultColor ? 'selected' : ''}>${color}</option>`).join('')
+            : '<option value="">Default colours</option>';
+        colorSelect.disabled = !template;
+    }
+
+    async renderMockupRequest(imageId) {
+        const imageData = this.images.find(img => img.id === imageId);
+        if (!imageData || !imageData.jobId || imageData.mockupBusy) return;
+
+        const template = document.getElementById(`mockup_template_${imageId}`)?.value || '';
+        const color = document.getElementById(`mockup_color_${imageId}`)?.value || '';
+        imageData.mockupBusy = true;
+        imageData.mockupError = null;
+        this.renderMockups(imageData);
+
+        try {
+            const response = await fetch(`/api/jobs/${imageData.jobId}/mockups`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(template ? { template, color } : {})
+            });
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `Mockup rendering failed! status: ${response.status}`);
+            }
+            imageData.mockups = result.mockups || [];
+        } catch (error) {
+            console.error('Mockup error:', error);
+            imageData.mockupError = error.message;
+        } finally {
+            imageData.mockupBusy = false;
+            this.renderMockups(imageData);
+        }
+    }
+
+    downloadMockup(imageId, index) {
+        const imageData = this.images.find(img => img.id === imageId);
+        const mockup = imageData && (imageData.mockups || [])[index];
+        if (!mockup) return;
+
+        const link = document.createElement('a');
+        // Mockups are rasters; with SVG picked they download as the PNG they are
+        const { requestedFormat } = this.getDownloadQuery(imageId);
+        const format = requestedFormat === 'svg' ? null : requestedFormat;
+        const filename = format ? mockup.filename.replace(/\.png$/, `.${format}`) : mockup.filename;
+        if (mockup.base64) {
+            link.href = `data:${mockup.mimeType};base64,${mockup.base64}`;
+            link.download = mockup.filename;
+        } else if (mockup.downloadToken) {
+            link.href = `/api/download-by-token?token=${encodeURIComponent(mockup.downloadToken)}${format ? `&format=${encodeURIComponent(format)}` : ''}&filename=${encodeURIComponent(filename)}`;
+        } else {
+            return;
+        }
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    // Etsy listing editor; only rebuilt when the stored listing changes, so
+    // typing isn't lost when a status update re-renders the card
+    renderListing(imageData) {
+        const container = document.getElementById(`listing_${imageData.id}`);
+        if (!container) return;
+
+        const hasDesign = !!(imageData.downloadTokens && (imageData.downloadTokens.final || imageData.downloadTokens.gemini))
+            || !!(imageData.imageData && (imageData.imageData.final || imageData.imageData.gemini));
+        if (!hasDesign || this.isActiveStatus(imageData.status)) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            container.dataset.version = '';
+            return;
+        }
+
+        const listing = imageData.listing;
+        const version = [listing?.generatedAt, listing?.editedAt, imageData.listingBusy, imageData.listingError].join('|');
+        container.style.display = 'block';
+        if (container.dataset.version === version) return;
+        container.dataset.version = version;
+
+        const id = imageData.id;
+        const error = imageData.listingError
+            ? `<div class="listing-errors">${this.escapeHtml(imageData.listingError)}</div>`
+            : '';
+        const header = `
+            <div class="listing-header">
+                <strong>Etsy listing</strong>
+                <button class="btn btn-secondary" onclick="imageProcessor.generateListing('${id}')" ${imageData.listingBusy ? 'disabled' : ''}>
+                    ${imageData.listingBusy === 'generating' ? 'Generating...' : (listing ? 'Regenerate' : 'Generate listing')}
+                </button>
+            </div>
+        `;
+        if (!listing) {
+            container.innerHTML = header + error;
+            return;
+        }
+
+        container.innerHTML = `
+            ${header}
+            <label for="listing_title_${id}">Title <span class="listing-count" id="listing_title_count_${id}"></span></label>
+            <input type="text" class="listing-input" id="listing_title_${id}" value="${this.escapeHtml(listing.title)}" oninput="imageProcessor.updateListingCounts('${id}')">
+            <label for="listing_tags_${id}">Tags, comma-separated <span class="listing-count" id="listing_tags_count_${id}"></span></label>
+            <textarea class="listing-input" id="listing_tags_${id}" rows="3" oninput="imageProcessor.updateListingCounts('${id}')">${this.escapeHtml(listing.tags.join(', '))}</textarea>
+            <label for="listing_description_${id}">Description</label>
+            <textarea class="listing-input" id="listing_description_${id}" rows="6">${this.escapeHtml(listing.description)}</textarea>
+            <label for="listing_category_${id}">Category</label>
+            <input type="text" class="listing-input" id="listing_category_${id}" value="${this.escapeHtml(listing.category)}">
+            ${error}
+            <button class="btn btn-primary" onclick="imageProcessor.saveListing('${id}')" ${imageData.listingBusy ? 'disabled' : ''}>
+                ${imageData.listingBusy === 'saving' ? 'Saving...' : 'Save listing'}
+            </button>
+        `;
+        this.updateListingCounts(id);
+    }
+
+    // Live "n/140" and "n/13" counters; the server does the real validation
+    updateListingCounts(imageId) {
+        const title = document.getElementById(`listing_title_${imageId}`);
+        const tags = document.getElementById(`listing_tags_${imageId}`);
+        const titleCount = document.getElementById(`listing_title_count_${imageId}`);
+        const tagsCount = document.getElementById(`listing_tags_count_${imageId}`);
+        if (!title || !tags || !titleCount || !tagsCount) return;
+
+        const titleLength = title.value.trim().length;
+        titleCount.textContent = `${titleLength}/140`;
+        titleCount.classList.toggle('listing-count-over', titleLength > 140);
+
+        const tagList = this.parseListingTags(tags.value);
+        const tooLong = tagList.filter(tag => tag.length > 20).length;
+        tagsCount.textContent = `${tagList.length}/13${tooLong ? ` · ${tooLong} over 20 chars` : ''}`;
+        tagsCount.classList.toggle('listing-count-over', tagList.length !== 13 || tooLong > 0);
+    }
+
+    parseListingTags(value) {
+        const tags = value.split(',').map(tag => tag.trim().replace(/\s+/g, ' ').toLowerCase()).filter(Boolean);
+        return [...new Set(tags)];
+    }
+
+    async generateListing(imageId) {
+        const imageData = this.images.find(img => img.id === imageId);
+        if (!imageData || !imageData.jobId) return;
+        await this.requestListing(imageData, 'generating', { method: 'POST' });
+    }
+
+    async saveListing(imageId) {
+        const imageData = this.images.find(img => img.id === imageId);
+        if (!imageData || !imageData.jobId) return;
+
+        const read = field => document.getElementById(`listing_${field}_${imageId}`)?.value || '';
+        await this.requestListing(imageData, 'saving', {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                title: read('title'),
+                tags: this.parseListingTags(read('tags')),
+                description: read('description'),
+                category: read('category')
+            })
+        });
+    }
+
+    async requestListing(imageData, busy, request) {
+        imageData.listingBusy = busy;
+        imageData.listingError = null;
+        this.renderListing(imageData);
+
+        try {
+            const response = await fetch(`/api/jobs/${imageData.jobId}/listing`, request);
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `Listing request failed! status: ${response.status}`);
+            }
+            imageData.listing = result.listing || null;
+        } catch (error) {
+            console.error('Listing error:', error);
+            imageData.listingError = error.message;
+        } finally {
+            imageData.listingBusy = null;
+            this.renderListing(imageData);
+        }
+    }
+
+    escapeHtml(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    async selectCandidate(imageId, candidateIndex) {
+        const imageData = this.images.find(img => img.id === imageId);
+        if (!imageData || !imageData.jobId) return;
+
+        imageData.status = 'processing';
+        imageData.cancelRequested = false;
         this.updateImageCard(imageData);
+        this.logStatus(imageData, `Enhancing variation ${candidateIndex + 1}...`);
+
+        const events = this.watchJob(imageData);
+        try {
+            const response = await fetch(`/api/jobs/${imageData.jobId}/select`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ candidate: candidateIndex })
+            }).finally(() => events && events.close());
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || `Selection failed! status: ${response.status}`);
+            }
+
+            this.applyProcessingResult(imageData, result);
+        } catch (error) {
+            this.applyProcessingFailure(imageData, error);
+            this.updateImageCard(imageData);
+        }
     }
 
     logStatus(imageData, message) {
@@ -456,13 +1291,74 @@ class ImageProcessor {
         progressFill.style.width = `${percentage}%`;
     }
 
+    // Jobs of the current run that have something to download
+    getArchiveJobs() {
+        return this.images.filter(imageData => imageData.jobId && imageData.batchId === this.batchId
+            && imageData.downloadTokens && (imageData.downloadTokens.final || imageData.downloadTokens.gemini));
+    }
+
+    updateArchiveSection() {
+        const archiveSection = document.getElementById('archiveSection');
+        if (!archiveSection) return;
+        archiveSection.style.display = this.batchId && this.getArchiveJobs().length > 0 ? 'flex' : 'none';
+    }
+
+    // One ZIP (streamed by the server) with every finished output of the run
+    downloadAll() {
+        const jobs = this.getArchiveJobs();
+        if (!this.batchId || jobs.length === 0) return;
+
+        const format = document.getElementById('archiveFormat')?.value || '';
+        const preset = document.getElementById('archivePreset')?.value || '';
+        const includeMockups = document.getElementById('archiveMockups')?.checked;
+        // Separations only exist for jobs run with spot colours
+        const hasSeparations = jobs.some(imageData => imageData.downloadTokens.separations);
+        const outputs = ['final', 'gemini', 'vector']
+            .concat(hasSeparations ? ['separations'] : [])
+            .concat(includeMockups ? ['mockups'] : []);
+        const params = new URLSearchParams({
+            outputs: outputs.join(','),
+            jobs: jobs.map(imageData => imageData.jobId).join(',')
+        });
+        if (format) params.set('format', format);
+        if (preset) params.set('preset', preset);
+
+        const link = document.createElement('a');
+        link.href = `/api/batches/${encodeURIComponent(this.batchId)}/archive?${params.toString()}`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
+    // The SVG comes from the pipeline's vectorize step; it is never converted
+    downloadVector(imageData) {
+        const link = document.createElement('a');
+        if (imageData.imageData && imageData.imageData.vector) {
+            link.href = `data:image/svg+xml;base64,${imageData.imageData.vector.base64}`;
+            link.download = imageData.imageData.vector.filename;
+        } else if (imageData.downloadTokens && imageData.downloadTokens.vector) {
+            const filename = imageData.downloadFilenames.vector;
+            link.href = `/api/download-by-token?token=${encodeURIComponent(imageData.downloadTokens.vector)}&filename=${encodeURIComponent(filename)}`;
+        } else {
+            alert('This design has no SVG. Pick a colour count under "Vector SVG" and process it again.');
+            return;
+        }
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+    }
+
     downloadImage(imageId) {
         const imageData = this.images.find(img => img.id === imageId);
         if (!imageData) return;
 
         const link = document.createElement('a');
-        const formatSelect = document.getElementById(`format_${imageId}`);
-        const requestedFormat = formatSelect ? (formatSelect.value || 'jpg') : 'jpg';
+        const { requestedFormat, preset } = this.getDownloadQuery(imageId);
+        if (requestedFormat === 'svg') {
+            this.downloadVector(imageData);
+            return;
+        }
 
         // Check for base64 image data first (Vercel mode)
         if (imageData.imageData && imageData.imageData.final) {
@@ -475,7 +1371,7 @@ class ImageProcessor {
         } else if (imageData.downloadTokens && imageData.downloadTokens.final) {
             // Fall back to token-based download (local mode)
             const filename = (imageData.downloadFilenames && imageData.downloadFilenames.final) || `enhanced_${(imageData.name || 'image').replace(/\.[^/.]+$/, '')}.${requestedFormat}`;
-            link.href = `/api/download-by-token?token=${encodeURIComponent(imageData.downloadTokens.final)}&format=${encodeURIComponent(requestedFormat)}&filename=${encodeURIComponent(filename)}`;
+            link.href = `/api/download-by-token?token=${encodeURIComponent(imageData.downloadTokens.final)}&format=${encodeURIComponent(requestedFormat)}&filename=${encodeURIComponent(filename)}${preset ? `&preset=${encodeURIComponent(preset)}` : ''}`;
         } else {
             return; // No download available
         }
@@ -490,8 +1386,11 @@ class ImageProcessor {
         if (!imageData) return;
 
         const link = document.createElement('a');
-        const formatSelect = document.getElementById(`format_${imageId}`);
-        const requestedFormat = formatSelect ? (formatSelect.value || 'jpg') : 'jpg';
+        const { requestedFormat, preset } = this.getDownloadQuery(imageId);
+        if (requestedFormat === 'svg') {
+            alert('The SVG is traced from the enhanced design; use "Download Enhanced".');
+            return;
+        }
 
         // Check for base64 image data first (Vercel mode)
         if (imageData.imageData && imageData.imageData.gemini) {
@@ -504,7 +1403,7 @@ class ImageProcessor {
         } else if (imageData.downloadTokens && imageData.downloadTokens.gemini) {
             // Fall back to token-based download (local mode)
             const filename = (imageData.downloadFilenames && imageData.downloadFilenames.gemini) || `ai_only_${(imageData.name || 'image').replace(/\.[^/.]+$/, '')}.${requestedFormat}`;
-            link.href = `/api/download-by-token?token=${encodeURIComponent(imageData.downloadTokens.gemini)}&format=${encodeURIComponent(requestedFormat)}&filename=${encodeURIComponent(filename)}`;
+            link.href = `/api/download-by-token?token=${encodeURIComponent(imageData.downloadTokens.gemini)}&format=${encodeURIComponent(requestedFormat)}&filename=${encodeURIComponent(filename)}${preset ? `&preset=${encodeURIComponent(preset)}` : ''}`;
         } else {
             return; // No download available
         }
@@ -523,6 +1422,8 @@ class ImageProcessor {
 
         // Reset the image status and clear previous results
         imageData.status = 'processing';
+        imageData.jobId = null;
+        imageData.cancelRequested = false;
         imageData.processedUrl = null;
         imageData.geminiUrl = null;
         imageData.downloadTokens = {};
@@ -530,6 +1431,17 @@ class ImageProcessor {
         imageData.imageData = null;
         imageData.error = null;
         imageData.pipelineErrors = [];
+        imageData.candidates = [];
+        imageData.selectedCandidate = null;
+        imageData.textMatch = null;
+        imageData.similarity = null;
+        imageData.generations = null;
+        imageData.listing = null;
+        imageData.listingError = null;
+        imageData.palette = null;
+        imageData.mockups = [];
+        imageData.mockupError = null;
+        imageData.stageTimestamps = {};
 
         // Hide the reprocess button during reprocessing
         const reprocessBtn = document.getElementById(`reprocess_${imageData.id}`);
@@ -549,9 +1461,7 @@ class ImageProcessor {
         try {
             await this.processImage(imageData);
         } catch (error) {
-            console.error('Reprocessing failed:', error);
-            imageData.status = 'error';
-            imageData.error = error.message;
+            this.applyProcessingFailure(imageData, error);
         }
 
         this.updateImageCard(imageData);
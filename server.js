@@ -2,12 +2,11 @@ const express = require('express');
 const multer = require('multer');
 const cors = require('cors');
 const axios = require('axios');
-const FormData = require('form-data');
 const fs = require('fs');
 const path = require('path');
 const sharp = require('sharp');
 const os = require('os');
-const crypto = require('crypto');
+const archiver = require('archiver');
 // Trigger deployment
 // Load environment variables
 // Note: On Vercel, env vars come from dashboard, not .env file
@@ -15,7 +14,23 @@ if (process.env.NODE_ENV !== 'production' && !process.env.VERCEL) {
     require('dotenv').config();
     console.log('Loaded .env file (local development)');
 }
-// Using direct REST call to Gemini API (v1beta) to avoid SDK version mismatches
+const imageProviders = require('./lib/providers');
+const postProcessing = require('./lib/pipeline');
+const exportPresets = require('./lib/export-presets');
+const promptTemplates = require('./lib/prompt-templates');
+const jobStore = require('./lib/job-store');
+const jobQueue = require('./lib/job-queue');
+const retry = require('./lib/retry');
+const textFidelity = require('./lib/text-fidelity');
+const similarity = require('./lib/similarity');
+const listing = require('./lib/listing');
+const mockups = require('./lib/mockups');
+const downloadTokens = require('./lib/download-tokens');
+const accounts = require('./lib/accounts');
+const usage = require('./lib/usage');
+const resultCache = require('./lib/result-cache');
+const ingest = require('./lib/ingest');
+const outputFormats = require('./lib/output-formats');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -24,7 +39,8 @@ const PORT = process.env.PORT || 3000;
 // Support common env names on Vercel
 const GEMINI_API_KEY = process.env.GEMINI_API_KEY || process.env.GOOGLE_API_KEY || process.env.NEXT_PUBLIC_GOOGLE_API_KEY;
 const PICSART_API_KEY = process.env.PICSART_API_KEY;
-const DOWNLOAD_TOKEN_SECRET = process.env.DOWNLOAD_TOKEN_SECRET || 'local-dev-secret';
+// Throws (and so stops startup) in production when no secret is configured
+const DOWNLOAD_TOKEN_SECRET = downloadTokens.getSecret();
 
 // Log startup environment info
 console.log('Server starting with environment:', {
@@ -41,91 +57,124 @@ console.log('Server starting with environment:', {
     }
 });
 
-const STATIC_PROMPT = `Role
-You are an expert conceptual graphic designer. Create a new, original graphic inspired by an uploaded reference image.
-
-Do this silently
-Perform your visual analysis internally and do not output your reasoning.
-
-Internal analysis checklist
-- Subject and key parts
-- Style family and rendering method
-- Composition pattern and silhouette
-- Color relationships and value contrast
-- Mood and era cues
-
-Creative mandate
-Target a novelty range of 32–38 percent. Keep the same subject category, same broad style family, and the same general composition family, but change specific details so the result is clearly new.
-
-Text replication (mandatory)
-- If the reference contains any text, you must include the exact same text string in the output.
-- Preserve wording, spelling, casing, punctuation, numerals, emojis, and line breaks exactly.
-- Do not translate, paraphrase, abbreviate, or add new text.
-- Keep the text region's position and scale within ±5 percent of the reference. You may make minor kerning or tracking adjustments only to maintain legibility on white.
-- Preserve the text's color and basic typographic weight. If legibility on white is poor, add a subtle outline or adjust only value while keeping the same hue family.
-- Do not stylize the text beyond legibility aids. All required variation must be applied to the artwork, not the text.
-
-Required variation
-Make at least 4 meaningful changes across different axes, applied to the image content only:
-1. Subject pose or angle: change camera or subject orientation by at least 20 degrees, or alter limb or head position with a clearly different gesture.
-2. Feature treatment: change line weight or edge quality by at least one step (fine to medium, crisp to slightly textured). Adjust texture density by ±20 percent or more.
-3. Secondary elements: add, remove, or swap at least 2 items and reposition them so that no element sits within 10 percent of the same canvas coordinates as in the reference.
-4. Composition spacing: change scale of the main subject by 12–22 percent, or shift framing so that 2 or more silhouette extremities move by 8–15 percent of canvas size.
-5. Color rewrite for imagery: introduce at least 2 new hues and shift the base imagery hue by ≥30 degrees on the color wheel, or invert the imagery's dominant temperature. Rebuild imagery value grouping so dark to light does not match the reference.
-6. Stylization tweak: apply one visible modifier to the imagery at 100 percent zoom, such as inkier lines, softer grain, light halftone, or gentle stipple.
-
-Similarity guardrails
-- Do not reuse the exact pose or camera angle within ±10 degrees.
-- Do not match the reference primary or secondary imagery hue within ±15 degrees. Text color is exempt per Text replication.
-- Do not replicate the same count and arrangement of secondary elements.
-- Ensure the silhouette differs at 2 or more major contour features.
-
-Hard constraints
-- Do not trace or replicate shapes, contours, or textures one to one.
-- Do not reproduce the exact pose, element count or arrangement, or color codes for the imagery.
-- Text must be preserved exactly when present in the reference.
-- No signatures or watermarks.
-- No brand identifiers or copyrighted marks. If the reference text is clearly a brand name or protected mark, substitute a neutral placeholder of equal length and similar typographic weight while preserving layout.
-
-Target look
-- Same subject type as the reference (bear -> bear, pizza -> pizza).
-- Same composition family, with altered spacing or feature emphasis for freshness.
-- Harmonious, printable palette with clean value separation and large, readable shapes.
-
-Output specs
-- Single, isolated design centered on a pure white background.
-- Clear silhouette suitable for apparel printing.
-- Include preserved text when present in the reference; otherwise no text.
-- High resolution raster suitable for print.
-
-Quality control self-check
-Before finalizing, compare against the reference at 100 percent zoom:
-- Confirm that all reference text appears, with identical characters and line breaks, and is legible on white. If any character is missing or altered, regenerate.
-- If pose or camera angle is within ±10 degrees, or imagery primary hue is within ±15 degrees, or secondary element layout feels near-identical, regenerate with larger adjustments to the imagery.
-- When adjustments are needed, increase the composition spacing delta first, then the pose delta, then the color delta for imagery.
-
-Deliver
-Generate 1 version that meets all rules.`;
-
 // Feature flags
 const ENABLE_BG_REMOVAL = (process.env.ENABLE_BG_REMOVAL || 'true').toLowerCase() !== 'false';
 
-function assertGeminiKey() {
-    if (!GEMINI_API_KEY || GEMINI_API_KEY.trim() === '') {
-        console.error('Missing API key. Checked:', {
-            GEMINI_API_KEY: !!process.env.GEMINI_API_KEY,
-            GOOGLE_API_KEY: !!process.env.GOOGLE_API_KEY,
-            NEXT_PUBLIC_GOOGLE_API_KEY: !!process.env.NEXT_PUBLIC_GOOGLE_API_KEY,
-            allEnvKeys: Object.keys(process.env).filter(k => k.includes('KEY')).sort()
-        });
-        throw new Error('GEMINI_API_KEY (or GOOGLE_API_KEY) environment variable is not set');
-    }
+// Variations: how many candidates a job may request, and the default temperature per candidate
+const MAX_VARIATIONS = parseInt(process.env.MAX_VARIATIONS, 10) || 4;
+const VARIATION_TEMPERATURES = (process.env.VARIATION_TEMPERATURES || '0.3,0.55,0.8,1.0').split(',').map(value => value.trim());
+
+// Text fidelity: OCR the reference and each generated image; a variation whose
+// text doesn't match is regenerated up to MAX_TEXT_REGENERATIONS times.
+// Opt-in: OCR competes with the provider calls for the job's time budget.
+const ENABLE_TEXT_CHECK = (process.env.ENABLE_TEXT_CHECK || 'false').toLowerCase() === 'true';
+const MAX_TEXT_REGENERATIONS = parseRegenerationLimit(process.env.MAX_TEXT_REGENERATIONS, 2);
+
+// Similarity guardrail: score each variation against the reference (see
+// lib/similarity.js); one judged too similar or too different is regenerated
+const ENABLE_SIMILARITY_CHECK = (process.env.ENABLE_SIMILARITY_CHECK || 'true').toLowerCase() !== 'false';
+const MAX_SIMILARITY_REGENERATIONS = parseRegenerationLimit(process.env.MAX_SIMILARITY_REGENERATIONS, 1);
+
+// A regeneration is only started with at least this much of the job's time
+// budget left, and never with less than the previous attempt took
+const REGENERATION_MIN_MS = 10000;
+
+function parseRegenerationLimit(raw, fallback) {
+    const parsed = parseInt(raw, 10);
+    return Number.isNaN(parsed) ? fallback : Math.max(0, parsed);
 }
 
 // Middleware
-app.use(cors());
+// The web UI is same-origin; other origins (scripts in a browser, other
+// front ends) have to be listed in CORS_ORIGINS
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+if (CORS_ORIGINS.length > 0) {
+    app.use(cors({ origin: CORS_ORIGINS, credentials: true }));
+}
 app.use(express.json());
 
+// Every API route needs a user: an API key (Authorization: Bearer nbk_...
+// or X-API-Key) for scripts, or the session cookie set by /api/login
+const SESSION_COOKIE = 'nb_session';
+const PUBLIC_API_PATHS = ['/api/health', '/api/login', '/api/logout', '/api/session'];
+
+accounts.bootstrapAdmin();
+
+function readCookie(req, name) {
+    for (const part of (req.headers.cookie || '').split(';')) {
+        const [key, ...rest] = part.trim().split('=');
+        if (key === name) {
+            return decodeURIComponent(rest.join('='));
+        }
+    }
+    return null;
+}
+
+function identifyUser(req) {
+    const authorization = req.get('authorization') || '';
+    const apiKey = authorization.toLowerCase().startsWith('bearer ')
+        ? authorization.slice(7).trim()
+        : req.get('x-api-key');
+    if (apiKey) {
+        return accounts.authenticateApiKey(apiKey);
+    }
+    return accounts.authenticateSession(readCookie(req, SESSION_COOKIE));
+}
+
+app.use('/api', (req, res, next) => {
+    if (PUBLIC_API_PATHS.includes(req.baseUrl + req.path)) {
+        return next();
+    }
+    const user = identifyUser(req);
+    if (!user) {
+        return res.status(401).json({ error: 'Authentication required' });
+    }
+    req.user = user;
+    next();
+});
+
+function requireAdmin(req, res, next) {
+    if (req.user.role !== 'admin') {
+        return res.status(403).json({ error: 'Admin access required' });
+    }
+    next();
+}
+
+// Starting paid work is refused once the user has used up a daily or monthly quota
+function enforceQuota(req, res, next) {
+    const exceeded = usage.findExceededQuota(req.user.id);
+    if (!exceeded) {
+        return next();
+    }
+    const retryAfterSeconds = Math.max(1, Math.ceil((new Date(exceeded.resetsAt).getTime() - Date.now()) / 1000));
+    res.set('Retry-After', String(retryAfterSeconds));
+    console.log(`[Usage] ${req.user.email} is over the ${exceeded.period} quota ($${exceeded.spentUsd} of $${exceeded.limitUsd})`);
+    return res.status(429).json({
+        error: `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} usage quota reached ($${exceeded.spentUsd.toFixed(2)} of $${exceeded.limitUsd.toFixed(2)}); it resets at ${exceeded.resetsAt}`,
+        quota: exceeded
+    });
+}
+
+// Outbound calls made for a job are metered against its owner
+function meterCalls(job) {
+    return call => usage.recordCall({
+        userId: job.owner,
+        teamId: job.teamId,
+        jobId: job.jobId,
+        provider: call.service,
+        operation: call.operation,
+        attempts: call.attempts,
+        latencyMs: call.latencyMs,
+        success: call.success,
+        error: call.error
+    });
+}
+
+// Prompt template visibility and rights for the requesting user
+function getTemplateAccess(user) {
+    return { teamId: user.teamId, userId: user.id, isAdmin: user.role === 'admin' };
+}
+
 // Serve static site from an absolute path (works in Vercel Node runtime)
 const STATIC_DIR = path.resolve(__dirname, 'public');
 app.use(express.static(STATIC_DIR, {
@@ -170,15 +219,36 @@ const upload = multer({
     storage: storage,
     limits: {
         fileSize: 10 * 1024 * 1024 // 10MB limit
-    },
-    fileFilter: function (req, file, cb) {
-        if (!file.mimetype.startsWith('image/')) {
-            return cb(new Error('Only image files are allowed'));
-        }
-        cb(null, true);
     }
+    // No fileFilter: the browser's MIME type isn't trusted, lib/ingest checks the real format
 });
 
+// Normalizes an upload in place (see lib/ingest); a rejected file is removed
+async function ingestUpload(file) {
+    try {
+        return await ingest.normalizeUpload(file.path);
+    } catch (error) {
+        if (fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+        throw error;
+    }
+}
+
+// Uploads of a rejected request; options are checked before ingest, so
+// nothing else has been written for them yet
+function discardUploads(files) {
+    for (const file of files) {
+        if (file && fs.existsSync(file.path)) {
+            fs.unlinkSync(file.path);
+        }
+    }
+}
+
+function getIngestErrorStatus(error) {
+    return error.code === 'UNSUPPORTED_FORMAT' ? 415 : 422;
+}
+
 // API Routes
 
 // Simple test endpoint
@@ -223,14 +293,14 @@ app.get('/api/test-timeout', async (req, res) => {
     }
 });
 
-// Test Gemini API connectivity
-app.get('/api/test-gemini', async (req, res) => {
+// Test Gemini API connectivity. A real (unmetered) Gemini call, so admins only
+app.get('/api/test-gemini', requireAdmin, async (req, res) => {
     try {
         if (!GEMINI_API_KEY) {
             return res.status(400).json({ error: 'No Gemini API key configured' });
         }
         
-        const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image-preview:generateContent';
+        const url = imageProviders.getProvider('gemini').getEndpointUrl();
         const testBody = {
             contents: [{
                 parts: [{ text: 'Say "API is working" and nothing else.' }]
@@ -261,34 +331,305 @@ app.get('/api/test-gemini', async (req, res) => {
     }
 });
 
-// Health check with debug info
+// Health check. It is public, so configuration (keys, providers, queue)
+// is only reported to a signed-in admin.
 app.get('/api/health', (req, res) => {
-    const hasGeminiKey = !!(GEMINI_API_KEY && GEMINI_API_KEY.trim());
-    const hasPicsartKey = !!(PICSART_API_KEY && PICSART_API_KEY.trim());
-    
-    res.json({ 
-        status: 'ok', 
-        message: 'Server is running',
-        environment: process.env.NODE_ENV || 'development',
-        platform: process.env.VERCEL ? 'vercel' : 'local',
-        keys: {
-            gemini: hasGeminiKey,
-            picsart: hasPicsartKey
-        },
-        // Debug info (remove in production)
-        debug: {
-            geminiKeyLength: GEMINI_API_KEY ? GEMINI_API_KEY.length : 0,
-            picsartKeyLength: PICSART_API_KEY ? PICSART_API_KEY.length : 0,
-            envKeys: Object.keys(process.env).filter(k => k.includes('API_KEY') || k.includes('GOOGLE')).map(k => `${k}: ${process.env[k] ? 'set' : 'unset'}`)
+    const health = {
+        status: 'ok',
+        message: 'Server is running'
+    };
+
+    const user = identifyUser(req);
+    if (user && user.role === 'admin') {
+        Object.assign(health, {
+            environment: process.env.NODE_ENV || 'development',
+            platform: process.env.VERCEL ? 'vercel' : 'local',
+            keys: {
+                gemini: !!(GEMINI_API_KEY && GEMINI_API_KEY.trim()),
+                picsart: !!(PICSART_API_KEY && PICSART_API_KEY.trim())
+            },
+            providers: imageProviders.listProviders(),
+            queue: jobQueue.getStats()
+        });
+    }
+
+    res.json(health);
+});
+
+// Print-on-demand export presets offered next to the format picker
+app.get('/api/export-presets', (req, res) => {
+    res.json({ presets: exportPresets.listExportPresets() });
+});
+
+// Post-processing steps that can be listed in a job's pipeline
+app.get('/api/pipeline-steps', (req, res) => {
+    res.json({ steps: postProcessing.listSteps() });
+});
+
+// Session login for the web UI
+app.post('/api/login', (req, res) => {
+    const { email, password } = req.body || {};
+    const session = accounts.login(email, password);
+    if (!session) {
+        return res.status(401).json({ error: 'Invalid email or password' });
+    }
+
+    const secure = process.env.NODE_ENV === 'production' ? '; Secure' : '';
+    const maxAge = Math.floor((new Date(session.expiresAt).getTime() - Date.now()) / 1000);
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=${encodeURIComponent(session.sessionId)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${maxAge}${secure}`);
+    console.log(`[Accounts] ${session.user.email} signed in`);
+    res.json({ user: session.user });
+});
+
+app.post('/api/logout', (req, res) => {
+    accounts.logout(readCookie(req, SESSION_COOKIE));
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+    res.json({ ok: true });
+});
+
+app.get('/api/session', (req, res) => {
+    const user = identifyUser(req);
+    if (!user) {
+        return res.status(401).json({ error: 'Not signed in' });
+    }
+    res.json({ user });
+});
+
+// Account administration (admins only)
+app.get('/api/admin/teams', requireAdmin, (req, res) => {
+    res.json({ teams: accounts.listTeams() });
+});
+
+app.post('/api/admin/teams', requireAdmin, (req, res) => {
+    try {
+        const team = accounts.createTeam(req.body || {});
+        console.log(`[Accounts] Created team ${team.name}`);
+        res.status(201).json(team);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/users', requireAdmin, (req, res) => {
+    res.json({ users: accounts.listUsers({ teamId: req.query.teamId || undefined }) });
+});
+
+app.post('/api/admin/users', requireAdmin, (req, res) => {
+    try {
+        const user = accounts.createUser(req.body || {});
+        console.log(`[Accounts] Created ${user.role} ${user.email} in ${user.teamName}`);
+        res.status(201).json(user);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// Revoking a user ends their sessions and revokes their API keys
+app.delete('/api/admin/users/:userId', requireAdmin, (req, res) => {
+    if (req.params.userId === req.user.id) {
+        return res.status(409).json({ error: 'You cannot revoke your own account' });
+    }
+    const user = accounts.revokeUser(req.params.userId);
+    if (!user) {
+        return res.status(404).json({ error: 'User not found or already revoked' });
+    }
+    console.log(`[Accounts] Revoked ${user.email}`);
+    res.json(user);
+});
+
+app.get('/api/admin/users/:userId/keys', requireAdmin, (req, res) => {
+    if (!accounts.getUser(req.params.userId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ keys: accounts.listApiKeys(req.params.userId) });
+});
+
+// The key is only returned by this call; store it right away
+app.post('/api/admin/users/:userId/keys', requireAdmin, (req, res) => {
+    try {
+        const { apiKey, key } = accounts.createApiKey(req.params.userId, req.body || {});
+        console.log(`[Accounts] Created API key ${apiKey.id} for ${req.params.userId}`);
+        res.status(201).json({ ...apiKey, key });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.delete('/api/admin/keys/:keyId', requireAdmin, (req, res) => {
+    const apiKey = accounts.revokeApiKey(req.params.keyId);
+    if (!apiKey) {
+        return res.status(404).json({ error: 'API key not found or already revoked' });
+    }
+    console.log(`[Accounts] Revoked API key ${apiKey.id}`);
+    res.json(apiKey);
+});
+
+app.put('/api/admin/users/:userId/quota', requireAdmin, (req, res) => {
+    if (!accounts.getUser(req.params.userId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    try {
+        const quota = usage.setQuota(req.params.userId, req.body || {});
+        console.log(`[Usage] Quota for ${req.params.userId} set to ${JSON.stringify(req.body || {})}`);
+        res.json(quota);
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    res.json(resultCache.getStats());
+});
+
+// Empty the result cache; jobs keep their own copies of every output
+app.delete('/api/admin/cache', requireAdmin, (req, res) => {
+    const removed = resultCache.clear();
+    console.log(`[Cache] Cleared ${removed} entries`);
+    res.json({ removed });
+});
+
+// Metered calls and their estimated cost. Query: from and to (UTC days,
+// YYYY-MM-DD, both inclusive; default the last 30 days), groupBy (any of day,
+// user, provider, operation; default day,user,provider). Members only see
+// their own usage; admins see everyone's and can filter with userId or teamId.
+app.get('/api/usage', (req, res) => {
+    let range;
+    try {
+        range = parseUsageRange(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    const isAdmin = req.user.role === 'admin';
+    try {
+        const report = usage.getReport({
+            ...range,
+            groupBy: req.query.groupBy,
+            userId: isAdmin ? req.query.userId : req.user.id,
+            teamId: isAdmin ? req.query.teamId : undefined
+        });
+        for (const row of report.rows) {
+            if (row.user !== undefined) {
+                row.email = row.user ? (accounts.getUser(row.user) || {}).email || null : null;
+            }
         }
+        res.json({
+            from: range.from.toISOString(),
+            to: range.to.toISOString(),
+            prices: usage.getPriceTable(),
+            ...report
+        });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// The caller's quotas (admins: any user's with ?userId=)
+app.get('/api/usage/quota', (req, res) => {
+    const userId = req.user.role === 'admin' && req.query.userId ? req.query.userId : req.user.id;
+    if (!accounts.getUser(userId)) {
+        return res.status(404).json({ error: 'User not found' });
+    }
+    res.json({ userId, ...usage.getQuota(userId) });
+});
+
+// Product templates that listing mockups can be rendered on
+app.get('/api/mockup-templates', (req, res) => {
+    res.json({ templates: mockups.listTemplates() });
+});
+
+// Image generation providers available for the upload form
+app.get('/api/providers', (req, res) => {
+    res.json({
+        defaultProvider: imageProviders.getDefaultProviderId(),
+        providers: imageProviders.listProviders()
     });
 });
 
-// In-memory job storage (works with Vercel's serverless architecture)
-const processingJobs = new Map();
+// Prompt templates: named, versioned design briefs
+app.get('/api/prompts', (req, res) => {
+    try {
+        const includeArchived = String(req.query.includeArchived || '').toLowerCase() === 'true';
+        res.json({
+            defaultTemplateId: promptTemplates.getDefaultTemplate().id,
+            templates: promptTemplates.listTemplates({ includeArchived }, getTemplateAccess(req.user))
+        });
+    } catch (error) {
+        console.error('[Prompts] List error:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+app.get('/api/prompts/:id', (req, res) => {
+    const template = promptTemplates.getTemplate(req.params.id, getTemplateAccess(req.user));
+    if (!template) {
+        return res.status(404).json({ error: 'Prompt template not found' });
+    }
+    res.json(template);
+});
+
+app.post('/api/prompts', (req, res) => {
+    try {
+        const template = promptTemplates.createTemplate(req.body || {}, getTemplateAccess(req.user));
+        console.log(`[Prompts] Created template ${template.id}`);
+        res.status(201).json(template);
+    } catch (error) {
+        res.status(error.code === 'FORBIDDEN' ? 403 : 400).json({ error: error.message });
+    }
+});
+
+app.put('/api/prompts/:id', (req, res) => {
+    try {
+        const template = promptTemplates.updateTemplate(req.params.id, req.body || {}, getTemplateAccess(req.user));
+        if (!template) {
+            return res.status(404).json({ error: 'Prompt template not found' });
+        }
+        console.log(`[Prompts] Updated template ${template.id} (v${template.version})`);
+        res.json(template);
+    } catch (error) {
+        res.status(error.code === 'FORBIDDEN' ? 403 : 400).json({ error: error.message });
+    }
+});
+
+app.post('/api/prompts/:id/archive', (req, res) => {
+    try {
+        const template = promptTemplates.archiveTemplate(req.params.id, getTemplateAccess(req.user));
+        if (!template) {
+            return res.status(404).json({ error: 'Prompt template not found' });
+        }
+        console.log(`[Prompts] Archived template ${template.id}`);
+        res.json(template);
+    } catch (error) {
+        res.status(error.code === 'FORBIDDEN' ? 403 : 409).json({ error: error.message });
+    }
+});
+
+// Jobs are persisted (SQLite by default) so results survive restarts and can
+// be looked up long after processing; files are removed with their job
+const JOB_RETENTION_DAYS = parseFloat(process.env.JOB_RETENTION_DAYS) || 30;
+
+// Statuses only seen while a request is working on the job
+const IN_FLIGHT_STATES = [
+    'queued', 'processing', 'gemini_processing', 'gemini_complete',
+    ...postProcessing.listSteps().map(step => step.status)
+];
+
+// A restart ends any request that was still processing; don't leave those jobs spinning
+function failInterruptedJobs() {
+    for (const job of jobStore.listJobsByStatus(IN_FLIGHT_STATES)) {
+        console.log(`[${job.jobId}] Marking job interrupted (was ${job.status})`);
+        job.status = 'error';
+        job.error = 'Processing was interrupted by a server restart';
+        job.lastUpdate = new Date();
+        jobStore.saveJob(job);
+    }
+}
+
+failInterruptedJobs();
+resultCache.evict();
 
 // Upload image and create job (returns immediately)
-app.post('/api/upload-image', (req, res) => {
+app.post('/api/upload-image', enforceQuota, (req, res) => {
     upload.single('image')(req, res, async (err) => {
         if (err) {
             console.error('Multer upload error:', err);
@@ -303,35 +644,56 @@ app.post('/api/upload-image', (req, res) => {
                 return res.status(400).json({ error: 'No image file provided (field name must be "image")' });
             }
 
-            const { prompt: incomingPrompt } = req.body;
-            const removeBgRaw = (req.body.removeBg || '').toString().toLowerCase();
-            const removeBg = removeBgRaw === 'true' || (removeBgRaw === '' && ENABLE_BG_REMOVAL);
-            const prompt = (incomingPrompt && incomingPrompt.trim().length > 0)
-                ? incomingPrompt.trim()
-                : STATIC_PROMPT;
+            let jobOptions;
+            try {
+                jobOptions = parseJobOptions(req.body, req.user);
+            } catch (optionsError) {
+                discardUploads([req.file]);
+                return res.status(400).json({ error: optionsError.message });
+            }
+            const { prompt, promptTemplateId, promptTemplateVersion, removeBg, provider, pipeline, temperatures, textCheck, similarityCheck, cacheMode } = jobOptions;
+
+            // The web UI groups the uploads of one run under a batch id of its own
+            const batchId = req.body.batchId ? String(req.body.batchId) : null;
+            if (batchId && !BATCH_ID_PATTERN.test(batchId)) {
+                discardUploads([req.file]);
+                return res.status(400).json({ error: 'Invalid batchId' });
+            }
+
+            let ingested;
+            try {
+                ingested = await ingestUpload(req.file);
+            } catch (ingestError) {
+                if (!ingest.isIngestError(ingestError)) throw ingestError;
+                return res.status(getIngestErrorStatus(ingestError)).json({ error: ingestError.message, code: ingestError.code });
+            }
 
             const jobId = generateJobId();
             const imageData = {
                 jobId,
-                originalPath: req.file.path,
+                batchId,
+                owner: req.user.id,
+                teamId: req.user.teamId,
+                originalPath: ingested.path,
                 originalName: req.file.originalname,
+                ingest: ingested.ingest,
                 prompt,
+                promptTemplateId,
+                promptTemplateVersion,
                 removeBg,
+                provider,
+                pipeline,
+                temperatures,
+                textCheck,
+                similarityCheck,
+                cacheMode,
                 status: 'uploaded',
                 createdAt: new Date(),
                 lastUpdate: new Date()
             };
 
-            // Store job in memory
-            processingJobs.set(jobId, imageData);
-
-            // Clean up old jobs (older than 15 minutes)
-            const fifteenMinutesAgo = Date.now() - (15 * 60 * 1000);
-            for (const [id, job] of processingJobs.entries()) {
-                if (job.createdAt && job.createdAt.getTime() < fifteenMinutesAgo) {
-                    processingJobs.delete(id);
-                }
-            }
+            jobStore.saveJob(imageData);
+            pruneExpiredJobs();
 
             console.log(`[${jobId}] Image uploaded successfully`);
             return res.json({
@@ -348,7 +710,7 @@ app.post('/api/upload-image', (req, res) => {
 });
 
 // Legacy endpoint for backwards compatibility (old clients still using script.js)
-app.post('/api/process-image', (req, res) => {
+app.post('/api/process-image', enforceQuota, (req, res) => {
     upload.single('image')(req, res, async (err) => {
         if (err) {
             console.error('Multer upload error:', err);
@@ -358,49 +720,58 @@ app.post('/api/process-image', (req, res) => {
             return res.status(400).json({ error: err.message || 'Upload failed' });
         }
 
+        let imageData = null;
         try {
             if (!req.file) {
                 return res.status(400).json({ error: 'No image file provided (field name must be "image")' });
             }
 
-            const { prompt: incomingPrompt } = req.body;
-            const removeBgRaw = (req.body.removeBg || '').toString().toLowerCase();
-            const removeBg = removeBgRaw === 'true' || (removeBgRaw === '' && ENABLE_BG_REMOVAL);
-            const prompt = (incomingPrompt && incomingPrompt.trim().length > 0)
-                ? incomingPrompt.trim()
-                : STATIC_PROMPT;
+            let jobOptions;
+            try {
+                jobOptions = parseJobOptions(req.body, req.user);
+            } catch (optionsError) {
+                discardUploads([req.file]);
+                return res.status(400).json({ error: optionsError.message });
+            }
+            const { prompt, promptTemplateId, promptTemplateVersion, removeBg, provider, pipeline, temperatures, textCheck, similarityCheck, cacheMode } = jobOptions;
+
+            let ingested;
+            try {
+                ingested = await ingestUpload(req.file);
+            } catch (ingestError) {
+                if (!ingest.isIngestError(ingestError)) throw ingestError;
+                return res.status(getIngestErrorStatus(ingestError)).json({ error: ingestError.message, code: ingestError.code });
+            }
 
             const jobId = generateJobId();
-            const imageData = {
+            imageData = {
                 jobId,
-                originalPath: req.file.path,
+                owner: req.user.id,
+                teamId: req.user.teamId,
+                originalPath: ingested.path,
                 originalName: req.file.originalname,
+                ingest: ingested.ingest,
                 prompt,
+                promptTemplateId,
+                promptTemplateVersion,
                 removeBg,
-                status: 'processing',
+                provider,
+                pipeline,
+                temperatures,
+                textCheck,
+                similarityCheck,
+                cacheMode,
+                status: 'queued',
                 createdAt: new Date(),
                 lastUpdate: new Date()
             };
 
-            // Store job in memory
-            processingJobs.set(jobId, imageData);
-
             console.log(`[${jobId}] Legacy endpoint: Processing synchronously`);
 
             // Process synchronously (this keeps function alive)
-            const result = await processImageWithNanoBanana(imageData);
-
-            imageData.processedPath = result?.processedPath || imageData.processedPath;
-            imageData.geminiPath = result?.geminiPath;
-            imageData.geminiDownloadPath = result?.geminiDownloadPath;
-            imageData.completedAt = new Date();
-            imageData.lastUpdate = new Date();
-
-            if (!imageData.status || imageData.status === 'processing') {
-                imageData.status = 'complete';
-            }
+            const result = await enqueueJob(imageData, () => processImageWithNanoBanana(imageData));
 
-            processingJobs.set(jobId, imageData);
+            applyProcessingResult(imageData, result);
 
             // Return full result
             const responsePayload = buildJobResponsePayload(imageData);
@@ -408,15 +779,16 @@ app.post('/api/process-image', (req, res) => {
 
         } catch (processingError) {
             console.error('Processing error:', processingError);
+            if (imageData) markJobFailed(imageData, processingError);
             return res.status(500).json({ error: processingError.message || 'Processing failed' });
         }
     });
 });
 
 // Start processing (keeps serverless function alive during processing)
-app.post('/api/start-processing/:jobId', async (req, res) => {
+app.post('/api/start-processing/:jobId', enforceQuota, async (req, res) => {
     const { jobId } = req.params;
-    const imageData = processingJobs.get(jobId);
+    const imageData = getJobForUser(req.user, jobId);
 
     if (!imageData) {
         return res.status(404).json({ error: 'Job not found' });
@@ -428,37 +800,23 @@ app.post('/api/start-processing/:jobId', async (req, res) => {
 
     try {
         console.log(`[${jobId}] Starting processing (serverless function stays alive)`);
-        imageData.status = 'processing';
-        processingJobs.set(jobId, imageData);
 
         // Process synchronously so serverless function stays alive
-        const result = await processImageWithNanoBanana(imageData);
+        const result = await enqueueJob(imageData, () => processImageWithNanoBanana(imageData));
 
-        imageData.processedPath = result?.processedPath || imageData.processedPath;
-        imageData.geminiPath = result?.geminiPath;
-        imageData.geminiDownloadPath = result?.geminiDownloadPath;
-        imageData.completedAt = new Date();
-        imageData.lastUpdate = new Date();
-
-        // Update status based on result
-        if (!imageData.status || imageData.status === 'processing') {
-            imageData.status = 'complete';
-        }
-
-        processingJobs.set(jobId, imageData);
+        applyProcessingResult(imageData, result);
 
         // Return full result
         const responsePayload = buildJobResponsePayload(imageData);
         return res.json(responsePayload);
 
     } catch (processingError) {
-        console.error(`[${jobId}] Processing error:`, processingError);
-        imageData.status = 'error';
-        imageData.error = processingError.message;
-        imageData.completedAt = new Date();
-        imageData.lastUpdate = new Date();
-        processingJobs.set(jobId, imageData);
+        markJobFailed(imageData, processingError);
+        if (imageData.status === 'cancelled') {
+            return res.status(409).json({ error: 'Job was cancelled', jobId, status: 'cancelled' });
+        }
 
+        console.error(`[${jobId}] Processing error:`, processingError);
         return res.status(500).json({
             error: processingError.message || 'Processing failed',
             jobId,
@@ -470,7 +828,7 @@ app.post('/api/start-processing/:jobId', async (req, res) => {
 // Check job status (re-enabled for async processing)
 app.get('/api/job/:jobId', (req, res) => {
     const { jobId } = req.params;
-    const job = processingJobs.get(jobId);
+    const job = getJobForUser(req.user, jobId);
 
     if (!job) {
         return res.status(404).json({ error: 'Job not found' });
@@ -497,122 +855,322 @@ app.get('/api/job/:jobId', (req, res) => {
     return res.json(response);
 });
 
-// Download Gemini-only processed image
-app.get('/api/download-gemini/:jobId', async (req, res) => {
-    return res.status(410).json({ error: 'This endpoint is deprecated. Please use /api/download-by-token.' });
-});
+// Pick one of several generated variations and run it through post-processing
+app.post('/api/jobs/:jobId/select', enforceQuota, async (req, res) => {
+    const { jobId } = req.params;
+    const imageData = getJobForUser(req.user, jobId);
 
-// Download final processed image (with Picsart enhancements if successful)
-app.get('/api/download/:jobId', async (req, res) => {
-    return res.status(410).json({ error: 'This endpoint is deprecated. Please use /api/download-by-token.' });
-});
+    if (!imageData) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const index = parseInt(req.body?.candidate, 10);
+    const candidate = (imageData.candidates || []).find(item => item.index === index);
+    if (!candidate || candidate.status !== 'ok') {
+        return res.status(400).json({ error: 'Unknown or failed variation' });
+    }
+
+    if (!SETTLED_STATES.includes(imageData.status)) {
+        return res.status(409).json({ error: `Job is ${imageData.status}; wait for it to finish before selecting` });
+    }
 
-app.get('/api/download-by-token', async (req, res) => {
     try {
-        const { token } = req.query;
-        if (!token) {
-            return res.status(400).json({ error: 'Missing token' });
-        }
+        console.log(`[${jobId}] Variation ${index + 1} selected`);
+        imageData.error = null;
 
-        const resolvedPath = decodeDownloadToken(token);
-        const requestedFormatRaw = (req.query.format || '').toString().toLowerCase();
-        const requestedFormat = ['jpg', 'jpeg', 'png'].includes(requestedFormatRaw) ? requestedFormatRaw : null;
-        const inline = ['1', 'true', 'yes'].includes((req.query.inline || '').toString().toLowerCase());
-        const fallbackName = req.query.filename || path.basename(resolvedPath);
+        const result = await enqueueJob(imageData, () => processSelectedCandidate(imageData, index));
+        applyProcessingResult(imageData, result);
 
-        // Find the job that has this file path and retrieve the buffer
-        let sourceBuffer = null;
-        for (const [jobId, job] of processingJobs) {
-            // Check if this is the final processed image
-            if (job.processedPath === resolvedPath && job.processedBuffer) {
-                sourceBuffer = job.processedBuffer;
-                break;
-            }
-            // Check if this is the Gemini-only image
-            if (job.geminiDownloadPath === resolvedPath && job.geminiBuffer) {
-                sourceBuffer = job.geminiBuffer;
-                break;
-            }
+        return res.json(buildJobResponsePayload(imageData));
+    } catch (processingError) {
+        markJobFailed(imageData, processingError);
+        if (imageData.status === 'cancelled') {
+            return res.status(409).json({ error: 'Job was cancelled', jobId, status: 'cancelled' });
         }
 
-        await streamImageFile({
-            filePath: resolvedPath,
-            requestedFormat,
-            res,
-            inline,
-            downloadName: fallbackName,
-            sourceBuffer
+        console.error(`[${jobId}] Processing error:`, processingError);
+        return res.status(500).json({
+            error: processingError.message || 'Processing failed',
+            jobId,
+            status: 'error'
         });
-    } catch (error) {
-        console.error('Download-by-token error:', error);
-        return res.status(400).json({ error: error.message || 'Invalid download token' });
     }
 });
 
-// Process multiple images
-app.post('/api/process-batch', (req, res) => {
-    try {
-        console.log('Incoming /api/process-batch', {
-            contentType: req.headers['content-type'],
-            contentLength: req.headers['content-length']
-        });
-    } catch (e) {}
+// Draft Etsy listing copy for a finished design with the configured text model
+app.post('/api/jobs/:jobId/listing', enforceQuota, async (req, res) => {
+    const { jobId } = req.params;
+    const job = getJobForUser(req.user, jobId);
 
-    upload.array('images', 20)(req, res, async (err) => {
-        if (err) {
-            console.error('Multer batch upload error:', err);
-            if (err.code === 'LIMIT_FILE_SIZE') {
-                return res.status(413).json({ error: 'One or more files too large (max 10MB each)' });
-            }
-            return res.status(400).json({ error: err.message || 'Batch upload failed' });
-        }
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-        try {
-            if (!req.files || req.files.length === 0) {
-                return res.status(400).json({ error: 'No image files provided' });
-            }
+    const imagePath = [job.processedPath, job.geminiDownloadPath].find(filePath => filePath && fs.existsSync(filePath));
+    if (!imagePath) {
+        return res.status(409).json({ error: `Job is ${job.status}; a listing needs a finished design` });
+    }
 
-            const { prompt: incomingPrompt } = req.body;
-            const removeBgRaw = (req.body.removeBg || '').toString().toLowerCase();
-            const removeBg = removeBgRaw === 'true' || (removeBgRaw === '' && ENABLE_BG_REMOVAL);
-            const prompt = (incomingPrompt && incomingPrompt.trim().length > 0)
-                ? incomingPrompt.trim()
-                : STATIC_PROMPT;
+    let provider;
+    try {
+        provider = imageProviders.getTextProvider(req.body?.provider);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-            const jobs = req.files.map(file => {
-                const jobId = generateJobId();
-                const imageData = {
-                    jobId,
-                    originalPath: file.path,
-                    originalName: file.originalname,
-                    prompt,
+    try {
+        const timeoutMs = 25000;
+        const calls = retry.createCallContext({ jobId, deadline: Date.now() + 2 * timeoutMs, onCall: meterCalls(job) });
+        const draft = await jobQueue.withResource(provider.id, () => listing.generateListing({
+            provider,
+            imageBuffer: fs.readFileSync(imagePath),
+            mimeType: getMimeType(imagePath),
+            referenceText: job.referenceText || null,
+            timeoutMs,
+            jobId,
+            calls
+        }), calls.signal);
+
+        job.listing = {
+            ...draft,
+            provider: provider.id,
+            model: provider.getTextModel(),
+            generatedAt: new Date(),
+            editedAt: null
+        };
+        job.lastUpdate = new Date();
+        jobStore.saveJob(job);
+        console.log(`[${jobId}] Listing generated with ${provider.label} (${provider.getTextModel()})`);
+
+        return res.json(buildJobResponsePayload(job));
+    } catch (error) {
+        console.error(`[${jobId}] Listing generation failed:`, error.message);
+        return res.status(502).json({ error: error.message || 'Listing generation failed', jobId });
+    }
+});
+
+// Save a hand-edited listing; it has to meet the same constraints as a generated one
+app.put('/api/jobs/:jobId/listing', (req, res) => {
+    const { jobId } = req.params;
+    const job = getJobForUser(req.user, jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const edited = listing.normalizeListing(req.body || {});
+    const errors = listing.validateListing(edited);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), errors });
+    }
+
+    job.listing = {
+        ...(job.listing || { provider: null, model: null, generatedAt: null }),
+        ...edited,
+        editedAt: new Date()
+    };
+    job.lastUpdate = new Date();
+    jobStore.saveJob(job);
+    console.log(`[${jobId}] Listing saved`);
+
+    return res.json(buildJobResponsePayload(job));
+});
+
+// Render listing mockups of a finished design. Body { "template", "color" }
+// renders one; without a template every template is rendered in its default colour.
+app.post('/api/jobs/:jobId/mockups', async (req, res) => {
+    const { jobId } = req.params;
+    const job = getJobForUser(req.user, jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const designPath = [job.processedPath, job.geminiDownloadPath].find(filePath => filePath && fs.existsSync(filePath));
+    if (!designPath) {
+        return res.status(409).json({ error: `Job is ${job.status}; mockups need a finished design` });
+    }
+
+    if (!SETTLED_STATES.includes(job.status)) {
+        return res.status(409).json({ error: `Job is ${job.status}; wait for it to finish before rendering mockups` });
+    }
+
+    let requested;
+    try {
+        const { template: templateId, color } = req.body || {};
+        if (templateId) {
+            const template = mockups.getTemplate(templateId);
+            requested = [{ template: template.id, color: mockups.resolveColor(template, color) }];
+        } else {
+            requested = mockups.listTemplates().map(template => ({ template: template.id, color: template.defaultColor }));
+        }
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+
+    try {
+        const designBuffer = fs.readFileSync(designPath);
+        const rendered = [];
+        for (const { template, color } of requested) {
+            const outputPath = path.join(PROCESSED_DIR, `${jobId}_mockup_${template}_${color}.png`);
+            fs.writeFileSync(outputPath, await mockups.renderMockup(designBuffer, { template, color }));
+            rendered.push({ template, color, path: outputPath, createdAt: new Date() });
+        }
+
+        // A re-render of the same template and colour replaces the earlier one
+        const renderedKeys = rendered.map(item => `${item.template}_${item.color}`);
+        job.mockups = [
+            ...(job.mockups || []).filter(item => !renderedKeys.includes(`${item.template}_${item.color}`)),
+            ...rendered
+        ];
+        job.lastUpdate = new Date();
+        jobStore.saveJob(job);
+        console.log(`[${jobId}] Rendered ${rendered.length} mockup(s): ${renderedKeys.join(', ')}`);
+
+        return res.json(buildJobResponsePayload(job));
+    } catch (error) {
+        console.error(`[${jobId}] Mockup rendering failed:`, error);
+        return res.status(500).json({ error: error.message || 'Mockup rendering failed', jobId });
+    }
+});
+
+// Download Gemini-only processed image
+app.get('/api/download-gemini/:jobId', async (req, res) => {
+    return res.status(410).json({ error: 'This endpoint is deprecated. Please use /api/download-by-token.' });
+});
+
+// Download final processed image (with Picsart enhancements if successful)
+app.get('/api/download/:jobId', async (req, res) => {
+    return res.status(410).json({ error: 'This endpoint is deprecated. Please use /api/download-by-token.' });
+});
+
+app.get('/api/download-by-token', async (req, res) => {
+    try {
+        const { token } = req.query;
+        if (!token) {
+            return res.status(400).json({ error: 'Missing token' });
+        }
+
+        const { path: resolvedPath, variant } = decodeDownloadToken(token, req.user);
+        // The SVG and the separations ZIP are served as they are
+        if (NON_RASTER_VARIANTS.includes(variant) && (req.query.format || req.query.preset)) {
+            return res.status(400).json({ error: `The ${variant} download can't be converted; leave out format and preset` });
+        }
+        const requestedFormat = outputFormats.parseOutputFormat(req.query.format);
+        const formatOptions = requestedFormat ? outputFormats.parseFormatOptions(requestedFormat, req.query) : {};
+        const inline = ['1', 'true', 'yes'].includes((req.query.inline || '').toString().toLowerCase());
+        const preset = req.query.preset ? exportPresets.getExportPreset(req.query.preset.toString()) : null;
+        const fallbackName = req.query.filename || path.basename(resolvedPath);
+
+        await streamImageFile({
+            filePath: resolvedPath,
+            requestedFormat,
+            formatOptions,
+            res,
+            inline,
+            downloadName: fallbackName,
+            preset
+        });
+    } catch (error) {
+        console.error('Download-by-token error:', error.message);
+        const status = error.code === 'INVALID_TOKEN' ? 403 : 400;
+        return res.status(status).json({ error: error.message || 'Invalid download token' });
+    }
+});
+
+// Process multiple images
+app.post('/api/process-batch', enforceQuota, (req, res) => {
+    try {
+        console.log('Incoming /api/process-batch', {
+            contentType: req.headers['content-type'],
+            contentLength: req.headers['content-length']
+        });
+    } catch (e) {}
+
+    upload.array('images', 20)(req, res, async (err) => {
+        if (err) {
+            console.error('Multer batch upload error:', err);
+            if (err.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: 'One or more files too large (max 10MB each)' });
+            }
+            return res.status(400).json({ error: err.message || 'Batch upload failed' });
+        }
+
+        try {
+            if (!req.files || req.files.length === 0) {
+                return res.status(400).json({ error: 'No image files provided' });
+            }
+
+            let jobOptions;
+            try {
+                jobOptions = parseJobOptions(req.body, req.user);
+            } catch (optionsError) {
+                discardUploads(req.files);
+                return res.status(400).json({ error: optionsError.message });
+            }
+            const { prompt, promptTemplateId, promptTemplateVersion, removeBg, provider, pipeline, temperatures, textCheck, similarityCheck, cacheMode } = jobOptions;
+
+            // Files that fail ingest are reported back; the rest of the batch goes ahead
+            const accepted = [];
+            const rejected = [];
+            for (const file of req.files) {
+                try {
+                    accepted.push({ file, ingested: await ingestUpload(file) });
+                } catch (ingestError) {
+                    if (!ingest.isIngestError(ingestError)) throw ingestError;
+                    rejected.push({ originalName: file.originalname, error: ingestError.message, code: ingestError.code });
+                }
+            }
+            if (accepted.length === 0) {
+                return res.status(422).json({ error: 'None of the files could be used', rejected });
+            }
+
+            const batchId = generateBatchId();
+            const jobs = accepted.map(({ file, ingested }) => {
+                const jobId = generateJobId();
+                const imageData = {
+                    jobId,
+                    batchId,
+                    owner: req.user.id,
+                    teamId: req.user.teamId,
+                    originalPath: ingested.path,
+                    originalName: file.originalname,
+                    ingest: ingested.ingest,
+                    prompt,
+                    promptTemplateId,
+                    promptTemplateVersion,
                     removeBg,
-                    status: 'processing',
-                    createdAt: new Date()
+                    provider,
+                    pipeline,
+                    temperatures,
+                    textCheck,
+                    similarityCheck,
+                    cacheMode,
+                    status: 'queued',
+                    createdAt: new Date(),
+                    lastUpdate: new Date()
                 };
 
-                // Start processing in background
-                processImageWithNanoBanana(imageData)
-                    .then(result => {
-                        imageData.status = 'complete';
-                        imageData.processedPath = result.processedPath;
-                        imageData.completedAt = new Date();
-                    })
+                // Start processing in background, in upload order
+                enqueueJob(imageData, () => processImageWithNanoBanana(imageData))
+                    .then(result => applyProcessingResult(imageData, result))
                     .catch(error => {
-                        console.error('Processing error:', error);
-                        imageData.status = 'error';
-                        imageData.error = error.message;
-                        imageData.completedAt = new Date();
+                        if (!retry.isAbortError(error)) {
+                            console.error('Processing error:', error);
+                        }
+                        markJobFailed(imageData, error);
                     });
 
                 return {
                     jobId,
                     originalName: file.originalname,
-                    status: 'processing'
+                    status: imageData.status,
+                    queuePosition: jobQueue.getPosition(jobId)
                 };
             });
 
-            return res.json({ jobs });
+            console.log(`[${batchId}] Batch of ${jobs.length} job(s) queued${rejected.length > 0 ? `, ${rejected.length} file(s) rejected` : ''}`);
+            return res.json({ batchId, jobs, rejected });
         } catch (error) {
             console.error('Batch upload error:', error);
             return res.status(500).json({ error: 'Batch upload failed: ' + (error && error.message ? error.message : String(error)) });
@@ -620,283 +1178,455 @@ app.post('/api/process-batch', (req, res) => {
     });
 });
 
+// Cancel a queued or running job. Outbound calls are aborted and anything it
+// wrote so far is removed; the job ends up "cancelled".
+app.delete('/api/jobs/:jobId', (req, res) => {
+    const { jobId } = req.params;
+    const job = getJobForUser(req.user, jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+    if (!cancelJob(job)) {
+        return res.status(409).json({ error: `Job is ${job.status}; only queued or running jobs can be cancelled` });
+    }
+
+    return res.json(buildJobResponsePayload(job));
+});
+
+// Invalidate every download token and preview URL handed out for a job so
+// far; the returned payload carries fresh ones
+app.delete('/api/jobs/:jobId/tokens', (req, res) => {
+    const { jobId } = req.params;
+    const job = getJobForUser(req.user, jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    // A targeted update: a runner still holding this job saves over the
+    // rest of the row, never over the token version
+    const revoked = jobStore.revokeTokens(jobId);
+    console.log(`[${jobId}] Download tokens revoked (version ${revoked.tokenVersion})`);
+
+    return res.json(buildJobResponsePayload(revoked));
+});
+
+// Cancel every job of a batch that hasn't finished yet
+app.delete('/api/batches/:batchId', (req, res) => {
+    const { batchId } = req.params;
+    const jobs = listBatchJobsForUser(req.user, batchId);
+
+    if (jobs.length === 0) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const cancelled = jobs.filter(cancelJob).length;
+    console.log(`[${batchId}] Cancelled ${cancelled} job(s)`);
+
+    return res.json({
+        ...summarizeBatch(batchId, jobs),
+        cancelled,
+        jobs: jobs.map(buildJobResponsePayload)
+    });
+});
+
+// Batch progress: every job's current payload plus per-status counts
+app.get('/api/batches/:batchId', (req, res) => {
+    const { batchId } = req.params;
+    const jobs = listBatchJobsForUser(req.user, batchId);
+
+    if (jobs.length === 0) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    return res.json({
+        ...summarizeBatch(batchId, jobs),
+        jobs: jobs.map(buildJobResponsePayload)
+    });
+});
+
+// ZIP of a batch's outputs with a manifest of the job metadata, streamed one
+// file at a time. Query: outputs (final, gemini, vector, separations, mockups;
+// default final,gemini,vector), format and preset as for /api/download-by-token
+// (raster outputs only), jobs (a subset of job ids).
+app.get('/api/batches/:batchId/archive', async (req, res) => {
+    const { batchId } = req.params;
+    let jobs = listBatchJobsForUser(req.user, batchId);
+
+    if (jobs.length === 0) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    let options;
+    try {
+        options = parseArchiveOptions(req.query);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
+    if (options.jobIds.length > 0) {
+        jobs = jobs.filter(job => options.jobIds.includes(job.jobId));
+        if (jobs.length === 0) {
+            return res.status(404).json({ error: 'None of the requested jobs belong to this batch' });
+        }
+    }
+
+    const archive = archiver('zip', { zlib: { level: 6 } });
+    let closed = false;
+    archive.on('warning', warning => console.warn(`[${batchId}] Archive warning:`, warning.message));
+    archive.on('error', error => {
+        console.error(`[${batchId}] Archive error:`, error);
+        res.destroy(error);
+    });
+    res.on('close', () => {
+        if (!res.writableFinished) {
+            closed = true;
+            archive.abort();
+        }
+    });
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', buildContentDisposition('attachment', `${batchId}.zip`));
+    archive.pipe(res);
+
+    try {
+        const manifest = [];
+        const folders = new Set();
+        for (const job of jobs) {
+            if (closed) return;
+            manifest.push(await appendJobToArchive(archive, job, options, folders));
+        }
+
+        archive.append(JSON.stringify({ batchId, createdAt: new Date(), options, jobs: manifest }, null, 2), { name: 'manifest.json' });
+        archive.append(buildManifestCsv(manifest), { name: 'manifest.csv' });
+        await archive.finalize();
+        console.log(`[${batchId}] Archive of ${manifest.length} job(s) sent (${archive.pointer()} bytes)`);
+    } catch (error) {
+        console.error(`[${batchId}] Archive failed:`, error);
+        archive.abort();
+        res.destroy(error);
+    }
+});
+
+// Live progress (Server-Sent Events). A "job" event carries the same payload
+// as /api/job/:jobId and is sent on connect and after every stage change.
+app.get('/api/jobs/:jobId/events', (req, res) => {
+    const { jobId } = req.params;
+    const job = getJobForUser(req.user, jobId);
+
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const send = openEventStream(req, res);
+    send('job', buildJobResponsePayload(job));
+
+    const unsubscribe = jobStore.subscribe(saved => {
+        if (saved.jobId === jobId) {
+            send('job', buildJobResponsePayload(saved));
+        }
+    });
+    req.on('close', unsubscribe);
+});
+
+// Per-batch stream: a "job" event per job update, each followed by a "batch" summary
+app.get('/api/batches/:batchId/events', (req, res) => {
+    const { batchId } = req.params;
+    const jobs = listBatchJobsForUser(req.user, batchId);
+
+    if (jobs.length === 0) {
+        return res.status(404).json({ error: 'Batch not found' });
+    }
+
+    const send = openEventStream(req, res);
+    jobs.forEach(job => send('job', buildJobResponsePayload(job)));
+    send('batch', summarizeBatch(batchId, jobs));
+
+    const unsubscribe = jobStore.subscribe(saved => {
+        if (saved.batchId === batchId && canAccessJob(req.user, saved)) {
+            send('job', buildJobResponsePayload(saved));
+            send('batch', summarizeBatch(batchId, listBatchJobsForUser(req.user, batchId)));
+        }
+    });
+    req.on('close', unsubscribe);
+});
+
 // Utility functions
+// Jobs belong to the user who submitted them; team admins can see their
+// team's jobs too. Jobs created before accounts existed have no owner and
+// are visible to nobody.
+function canAccessJob(user, job) {
+    if (!job.owner) {
+        return false;
+    }
+    return job.owner === user.id || (user.role === 'admin' && job.teamId === user.teamId);
+}
+
+// Another user's job is reported as missing rather than forbidden
+function getJobForUser(user, jobId) {
+    const job = jobStore.getJob(jobId);
+    return job && canAccessJob(user, job) ? job : null;
+}
+
+function listBatchJobsForUser(user, batchId) {
+    return jobStore.listJobsByBatch(batchId).filter(job => canAccessJob(user, job));
+}
+
+// States in which a started job has stopped processing; its variations
+// can be (re)selected from any of them
+const SETTLED_STATES = [
+    'awaiting_selection', 'complete', 'pipeline_complete',
+    'partial_pipeline_success', 'picsart_failed_fallback', 'error', 'cancelled'
+];
+
+// AbortControllers of the jobs running in this process, by jobId
+const activeJobs = new Map();
+
+// A job can be cancelled until it settles; false if it already has
+function cancelJob(job) {
+    if (job.status !== 'uploaded' && !IN_FLIGHT_STATES.includes(job.status)) {
+        return false;
+    }
+
+    console.log(`[${job.jobId}] Cancelling job (was ${job.status})`);
+    const reason = retry.createAbortError('Job was cancelled', 'JOB_CANCELLED');
+    jobQueue.cancel(job.jobId, reason);
+    const controller = activeJobs.get(job.jobId);
+    if (controller) {
+        controller.abort(reason);
+    }
+
+    markJobFailed(job, reason);
+    return true;
+}
+
+// Record why processing stopped; a cancellation is not reported as an error
+function markJobFailed(imageData, error) {
+    const cancelled = error && error.code === 'JOB_CANCELLED';
+    imageData.status = cancelled ? 'cancelled' : 'error';
+    imageData.error = cancelled ? null : error.message;
+    imageData.completedAt = new Date();
+    imageData.lastUpdate = new Date();
+    jobStore.saveJob(imageData);
+}
+
+function applyProcessingResult(imageData, result) {
+    imageData.processedPath = result?.processedPath || imageData.processedPath;
+    imageData.geminiPath = result?.geminiPath || imageData.geminiPath;
+    imageData.geminiDownloadPath = result?.geminiDownloadPath || imageData.geminiDownloadPath;
+    imageData.completedAt = new Date();
+    imageData.lastUpdate = new Date();
+
+    // Update status based on result
+    if (!imageData.status || imageData.status === 'processing') {
+        imageData.status = 'complete';
+    }
+
+    jobStore.saveJob(imageData);
+}
+
+// One temperature per variation; explicit values win over the configured spread
+function parseVariationTemperatures(body = {}) {
+    const variations = body.variations === undefined || body.variations === '' ? 1 : parseInt(body.variations, 10);
+    if (!Number.isInteger(variations) || variations < 1 || variations > MAX_VARIATIONS) {
+        throw new Error(`variations must be between 1 and ${MAX_VARIATIONS}`);
+    }
+
+    const explicit = (body.temperatures || '').toString().split(',').map(value => value.trim()).filter(Boolean);
+    const source = explicit.length > 0 ? explicit : VARIATION_TEMPERATURES;
+    return Array.from({ length: variations }, (_, index) => {
+        const temperature = parseFloat(source[Math.min(index, source.length - 1)]);
+        if (!Number.isFinite(temperature) || temperature < 0 || temperature > 2) {
+            throw new Error('temperatures must be numbers between 0 and 2');
+        }
+        return temperature;
+    });
+}
+
+function parseJobOptions(body = {}, user) {
+    const { prompt: incomingPrompt } = body;
+    const removeBgRaw = (body.removeBg || '').toString().toLowerCase();
+    const removeBg = removeBgRaw === 'true' || (removeBgRaw === '' && ENABLE_BG_REMOVAL);
+    // A free-text prompt wins; otherwise the named template (or the default one) is used
+    const customPrompt = incomingPrompt && incomingPrompt.trim().length > 0;
+    const template = customPrompt
+        ? null
+        : promptTemplates.resolveTemplate(body.promptTemplateId || null, body.promptTemplateVersion || undefined, getTemplateAccess(user));
+    const prompt = customPrompt ? incomingPrompt.trim() : template.body;
+    const provider = imageProviders.resolveProviderId(body.provider);
+    // An explicit pipeline wins; otherwise the removeBg flag shapes the default one
+    const pipeline = postProcessing.parsePipelineSpec(body.pipeline)
+        || postProcessing.buildDefaultPipeline({ removeBg });
+    // vectorize=true (or a colour count) adds an SVG of the final design
+    const vectorizeRaw = (body.vectorize || '').toString().trim().toLowerCase();
+    if (vectorizeRaw && vectorizeRaw !== 'false' && !pipeline.some(entry => entry.step === 'vectorize')) {
+        pipeline.push(...postProcessing.parsePipelineSpec(vectorizeRaw === 'true' ? 'vectorize' : `vectorize:${vectorizeRaw}`));
+    }
+    // spotColors=auto (or a count) and/or an inkPalette add screen-print separations
+    const spotColorsRaw = (body.spotColors || '').toString().trim().toLowerCase();
+    const inkPalette = body.inkPalette && body.inkPalette.toString().trim() ? body.inkPalette.toString() : null;
+    if (((spotColorsRaw && spotColorsRaw !== 'false') || inkPalette) && !pipeline.some(entry => entry.step === 'spotColors')) {
+        const options = {};
+        if (spotColorsRaw && spotColorsRaw !== 'true') options.colors = spotColorsRaw;
+        if (inkPalette) options.inks = inkPalette;
+        pipeline.push(...postProcessing.parsePipelineSpec([{ step: 'spotColors', options }]));
+    }
+
+    const temperatures = parseVariationTemperatures(body);
+    // forceRegenerate skips cache lookups; the fresh results still replace the cached ones
+    const forceRegenerate = ['1', 'true', 'yes'].includes((body.forceRegenerate || '').toString().toLowerCase());
+
+    return {
+        prompt,
+        promptTemplateId: template ? template.id : null,
+        promptTemplateVersion: template ? template.version : null,
+        removeBg: pipeline.some(entry => entry.step === 'removeBg'),
+        provider,
+        pipeline,
+        temperatures,
+        textCheck: parseCheckOption(body.textCheck, body.textRegenerations, ENABLE_TEXT_CHECK, MAX_TEXT_REGENERATIONS),
+        similarityCheck: parseCheckOption(body.similarityCheck, body.similarityRegenerations, ENABLE_SIMILARITY_CHECK, MAX_SIMILARITY_REGENERATIONS),
+        cacheMode: forceRegenerate ? 'refresh' : 'use'
+    };
+}
+
+// A post-generation check: null when off, otherwise how often a failing variation may be regenerated
+function parseCheckOption(enabledRaw, regenerationsRaw, enabledByDefault, maxRegenerations) {
+    const flag = (enabledRaw || '').toString().toLowerCase();
+    if (!(flag === 'true' || (flag === '' && enabledByDefault))) {
+        return null;
+    }
+    const requested = parseInt(regenerationsRaw, 10);
+    return {
+        maxRegenerations: Number.isNaN(requested) ? maxRegenerations : Math.min(Math.max(requested, 0), maxRegenerations)
+    };
+}
+
+// Drop jobs past the retention window together with their files
+function pruneExpiredJobs() {
+    const cutoff = Date.now() - (JOB_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    for (const job of jobStore.deleteJobsCreatedBefore(new Date(cutoff))) {
+        const paths = [
+            job.originalPath,
+            job.processedPath,
+            job.vectorPath,
+            job.separationsPath,
+            ...(job.candidates || []).map(candidate => candidate.path),
+            ...(job.mockups || []).map(mockup => mockup.path)
+        ];
+        for (const filePath of new Set(paths.filter(Boolean))) {
+            if (fs.existsSync(filePath)) {
+                fs.unlinkSync(filePath);
+            }
+        }
+    }
+}
+
 function generateJobId() {
     return 'job_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 }
 
-async function processImageWithNanoBanana(imageData) {
+function summarizeBatch(batchId, jobs) {
+    const counts = {};
+    for (const job of jobs) {
+        counts[job.status] = (counts[job.status] || 0) + 1;
+    }
+    const settled = jobs.filter(job => SETTLED_STATES.includes(job.status)).length;
+    return { batchId, total: jobs.length, settled, counts };
+}
+
+// Server-Sent Events response; returns send(event, data). A comment line
+// every 15s keeps proxies from closing an idle stream.
+function openEventStream(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+    req.on('close', () => clearInterval(heartbeat));
+
+    return (event, data) => {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+}
+
+const BATCH_ID_PATTERN = /^batch_[A-Za-z0-9_-]{1,64}$/;
+
+function generateBatchId() {
+    return 'batch_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+}
+
+// Mark the job queued and run work() once the queue gives it a slot
+function enqueueJob(imageData, work) {
+    imageData.status = 'queued';
+    imageData.lastUpdate = new Date();
+    jobStore.saveJob(imageData);
+    return jobQueue.enqueue(imageData.jobId, work);
+}
+
+// Build a stricter prompt wrapper to improve adherence to constraints
+function buildGenerationPrompt(userPrompt) {
+    const instructionPreamble = [
+        'You are an expert apparel graphic designer. Follow ALL constraints strictly:',
+        '- CRITICAL: First check if the reference image contains any text. If it does, that EXACT text MUST appear in your output.',
+        '- Preserve any text from the reference image EXACTLY as shown - same wording, spelling, casing, and approximate placement.',
+        '- Use the uploaded image as inspiration for motif, silhouette, and palette.',
+        '- OUTPUT: a single isolated design suitable for printing on apparel.',
+        '- TRANSPARENT background, no mockups, no garment, no model, no scene.',
+        '- Do NOT add any NEW text, watermarks, brand marks, or logos that were not in the original.',
+        '- Clean contours, large readable shapes; keep style simple and legible.',
+        '- Text from the reference MUST be included if present. Only avoid adding additional text.',
+        '',
+        'If the user asks for a mockup or scene, IGNORE that and produce only the isolated design.'
+    ].join('\n');
+
+    return `${instructionPreamble}\n\nUser instructions:\n${userPrompt}`;
+}
+
+function syncJob(imageData) {
+    // Persist progress so status checks see it
+    jobStore.saveJob(imageData);
+}
+
+// Race a processing stage against the serverless time budget. Timing out or
+// cancelling aborts the stage's outbound calls and remaining steps.
+async function runWithJobTimeout(imageData, work) {
     const jobStartTime = Date.now();
 
     // For Vercel, use 28s timeout (just under 30s limit) to give Gemini more time
     const timeoutMs = process.env.VERCEL ? 28000 : 28000;
+    const controller = new AbortController();
+    activeJobs.set(imageData.jobId, controller);
+    // Outbound calls only retry while they can still finish inside that budget
+    const calls = retry.createCallContext({
+        jobId: imageData.jobId,
+        deadline: jobStartTime + timeoutMs,
+        signal: controller.signal,
+        onCall: meterCalls(imageData)
+    });
 
-    // Create a timeout promise
-    const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => {
-            reject(new Error(`Job ${imageData.jobId} timed out after ${timeoutMs/1000} seconds`));
-        }, timeoutMs);
+    const timer = setTimeout(() => {
+        controller.abort(retry.createAbortError(`Job ${imageData.jobId} timed out after ${timeoutMs/1000} seconds`, 'JOB_TIMEOUT'));
+    }, timeoutMs);
+
+    // Settles as soon as the job is aborted, even while sharp is still busy
+    const abortPromise = new Promise((_, reject) => {
+        controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
     });
 
     // Create the main processing promise
     const processingPromise = (async () => {
         try {
-            console.log(`[${imageData.jobId}] Starting processing: ${imageData.originalName} with prompt: "${imageData.prompt}"`);
-            imageData.status = 'gemini_processing';
             imageData.startTime = jobStartTime;
-
-            // Update job status in memory
-            if (processingJobs.has(imageData.jobId)) {
-                processingJobs.set(imageData.jobId, {...imageData});
-            }
-
-            // Read the image file and convert to base64
-            const imageBuffer = fs.readFileSync(imageData.originalPath);
-            const imageBase64 = imageBuffer.toString('base64');
-            const imageMimeType = getMimeType(imageData.originalPath);
-
-            assertGeminiKey();
-
-            // Build a stricter prompt wrapper to improve adherence to constraints
-            const instructionPreamble = [
-                'You are an expert apparel graphic designer. Follow ALL constraints strictly:',
-                '- CRITICAL: First check if the reference image contains any text. If it does, that EXACT text MUST appear in your output.',
-                '- Preserve any text from the reference image EXACTLY as shown - same wording, spelling, casing, and approximate placement.',
-                '- Use the uploaded image as inspiration for motif, silhouette, and palette.',
-                '- OUTPUT: a single isolated design suitable for printing on apparel.',
-                '- TRANSPARENT background, no mockups, no garment, no model, no scene.',
-                '- Do NOT add any NEW text, watermarks, brand marks, or logos that were not in the original.',
-                '- Clean contours, large readable shapes; keep style simple and legible.',
-                '- Text from the reference MUST be included if present. Only avoid adding additional text.',
-                '',
-                'If the user asks for a mockup or scene, IGNORE that and produce only the isolated design.'
-            ].join('\n');
-
-            const finalPrompt = `${instructionPreamble}\n\nUser instructions:\n${imageData.prompt}`;
-
-            // Direct REST request to v1beta endpoint per official docs
-            const url = 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-flash-image-preview:generateContent';
-            const body = {
-                generationConfig: { temperature: 0.3 },
-                contents: [
-                    {
-                        parts: [
-                            { text: finalPrompt },
-                            { inlineData: { mimeType: imageMimeType, data: imageBase64 } }
-                        ]
-                    }
-                ]
-            };
-            // Add timeout and better error handling
-            const apiTimeout = process.env.VERCEL ? 25000 : 25000; // 25s timeout for Gemini API
-            console.log(`[${imageData.jobId}] Calling Gemini API with timeout ${apiTimeout/1000}s...`);
-            console.log(`[${imageData.jobId}] Image size: ${Math.round(imageBuffer.length / 1024)}KB`);
-            console.log(`[${imageData.jobId}] API URL: ${url}`);
-            console.log(`[${imageData.jobId}] Platform: ${process.env.VERCEL ? 'Vercel' : 'Local'}`);
-
-            const startTime = Date.now();
-            const { data } = await axios.post(url, body, {
-                headers: {
-                    'Content-Type': 'application/json',
-                    'x-goog-api-key': GEMINI_API_KEY
-                },
-                timeout: apiTimeout,
-                maxContentLength: 50 * 1024 * 1024, // 50MB max response
-                maxBodyLength: 50 * 1024 * 1024
-            }).catch(error => {
-                const elapsed = Date.now() - startTime;
-                console.error(`[${imageData.jobId}] Gemini API request failed after ${elapsed}ms:`, {
-                    status: error.response?.status,
-                    statusText: error.response?.statusText,
-                    data: error.response?.data,
-                    code: error.code,
-                    message: error.message
-                });
-                
-                if (error.code === 'ECONNABORTED') {
-                    throw new Error(`Gemini API request timed out after ${apiTimeout/1000} seconds`);
-                } else if (error.response?.status === 401) {
-                    throw new Error('Invalid API key - please check GEMINI_API_KEY in Vercel dashboard');
-                } else if (error.response?.status === 403) {
-                    throw new Error('API key is valid but lacks permissions or quota exceeded');
-                } else if (error.response?.status === 400) {
-                    const detail = error.response?.data?.error?.message || 'Invalid request';
-                    throw new Error(`Gemini API error: ${detail}`);
-                } else if (error.response?.status === 429) {
-                    throw new Error('Gemini API rate limit exceeded - please wait and retry');
-                }
-                throw error;
-            });
-            
-            const elapsed = Date.now() - startTime;
-            console.log(`[${imageData.jobId}] Gemini API response received after ${elapsed}ms`);
-            console.log(`[${imageData.jobId}] Response status: SUCCESS`);
-
-            // Check if the response contains generated image data
-            const candidates = data && data.candidates;
-            if (!candidates || candidates.length === 0) {
-                throw new Error('No candidates returned from Gemini API');
-            }
-            
-            const candidate = candidates[0];
-            const parts = candidate.content && candidate.content.parts ? candidate.content.parts : [];
-        
-        // Look for inline image data in the response
-        const imageParts = parts.filter(part => part.inlineData && part.inlineData.data);
-        
-        if (imageParts.length > 0) {
-            // Extract the generated image data
-            const generatedImageData = imageParts[0].inlineData.data;
-            
-            // Ensure processed directory exists
-            const processedDir = PROCESSED_DIR;
-            if (!fs.existsSync(processedDir)) {
-                fs.mkdirSync(processedDir, { recursive: true });
-            }
-
-            // Save the Gemini-generated image as PNG
-            const geminiFilename = `gemini_${Date.now()}_${path.basename(imageData.originalPath, path.extname(imageData.originalPath))}.png`;
-            const geminiPath = path.join(processedDir, geminiFilename);
-            const outputBuffer = Buffer.from(generatedImageData, 'base64');
-            
-            // Convert to PNG format using sharp to ensure consistency
-            const pngBuffer = await sharp(outputBuffer)
-                .png({ compressionLevel: 9 })
-                .toBuffer();
-            
-            fs.writeFileSync(geminiPath, pngBuffer);
-            console.log(`Gemini image generated and saved: ${geminiPath}`);
-
-            // Update status: Gemini complete, starting Picsart processing
-            imageData.status = 'gemini_complete';
-            imageData.geminiPath = geminiPath;
-            imageData.geminiDownloadPath = geminiPath;
-            // Store buffer in memory for Vercel serverless compatibility
-            imageData.geminiBuffer = pngBuffer;
-
-            // Update job in memory
-            if (processingJobs.has(imageData.jobId)) {
-                processingJobs.set(imageData.jobId, {...imageData});
-            }
-            
-            // Process with Picsart pipeline: Background Removal → Upscaling (background optional per job)
-            let finalProcessedPath = geminiPath;
-            let bgRemovedPath = null;
-            let pipelineErrors = [];
-            
-            // Step 1: Remove background using Picsart (optional)
-            try {
-                if (imageData.removeBg && PICSART_API_KEY) {
-                    imageData.status = 'removing_background';
-                    // Update job in memory
-                    if (processingJobs.has(imageData.jobId)) {
-                        processingJobs.set(imageData.jobId, {...imageData});
-                    }
-
-                    bgRemovedPath = await processPicsartBackgroundRemoval(geminiPath);
-                    finalProcessedPath = bgRemovedPath;
-                    console.log('Background removal successful');
-                } else {
-                    console.log('Background removal disabled or PICSART_API_KEY missing; skipping to upscaling');
-                    bgRemovedPath = geminiPath;
-                    finalProcessedPath = geminiPath;
-                }
-            } catch (bgError) {
-                console.error('Background removal failed:', bgError.message);
-                // Only count as error if background removal was requested
-                if (imageData.removeBg) {
-                    pipelineErrors.push(`Background removal: ${bgError.message}`);
-                }
-                // Continue with original Gemini image
-                bgRemovedPath = geminiPath;
-                finalProcessedPath = geminiPath;
-            }
-            
-            // Step 2: Upscale the image using Picsart (optional)
-            try {
-                if (PICSART_API_KEY) {
-                    console.log(`[${imageData.jobId}] PICSART_API_KEY detected, starting upscaling...`);
-                    imageData.status = 'upscaling_image';
-                    // Update job in memory
-                    if (processingJobs.has(imageData.jobId)) {
-                        processingJobs.set(imageData.jobId, {...imageData});
-                    }
-
-                    const upscaleResult = await processPicsartUpscaling(finalProcessedPath, 2);
-
-                    // Clean up intermediate files only if upscaling succeeded
-                    if (bgRemovedPath && bgRemovedPath !== geminiPath && fs.existsSync(bgRemovedPath)) {
-                        fs.unlinkSync(bgRemovedPath);
-                    }
-                    // Keep the Gemini PNG for AI-only downloads
-
-                    finalProcessedPath = upscaleResult.path;
-                    // Store upscaled buffer immediately for Vercel
-                    if (upscaleResult.buffer) {
-                        imageData.processedBuffer = upscaleResult.buffer;
-                    }
-                    console.log(`[${imageData.jobId}] Upscaling successful`);
-                } else {
-                    console.log(`[${imageData.jobId}] PICSART_API_KEY missing; skipping upscaling`);
-                    console.log(`[${imageData.jobId}] API Key check: PICSART_API_KEY=${PICSART_API_KEY ? 'SET' : 'NOT SET'}`);
-                }
-            } catch (upscaleError) {
-                console.error('Upscaling failed:', upscaleError.message);
-                pipelineErrors.push(`Upscaling: ${upscaleError.message}`);
-                // Keep the current path (either bg-removed or original Gemini)
-            }
-            
-            // Update final status based on what succeeded
-            // Filter errors to only include requested steps
-            const relevantErrors = pipelineErrors.filter(err => {
-                // If background removal wasn't requested, don't count bg removal errors
-                if (err.includes('Background removal') && !imageData.removeBg) {
-                    return false;
-                }
-                return true;
-            });
-
-            if (relevantErrors.length === 0) {
-                console.log(`[${imageData.jobId}] Complete pipeline processing finished: ${finalProcessedPath}`);
-                imageData.status = 'pipeline_complete';
-            } else if (relevantErrors.length === 1) {
-                console.log(`[${imageData.jobId}] Partial pipeline success with fallback: ${finalProcessedPath}`);
-                console.log(`[${imageData.jobId}] Pipeline errors:`, relevantErrors);
-                imageData.status = 'partial_pipeline_success';
-                imageData.pipelineErrors = relevantErrors;
-            } else {
-                console.log(`[${imageData.jobId}] Pipeline failed, using Gemini output: ${finalProcessedPath}`);
-                console.log(`[${imageData.jobId}] Pipeline errors:`, relevantErrors);
-                imageData.status = 'picsart_failed_fallback';
-                imageData.pipelineErrors = relevantErrors;
-            }
-
-            // Store final processed image buffer for Vercel compatibility
-            // Only read from file system if we haven't already stored the buffer from upscaling
-            if (!imageData.processedBuffer && fs.existsSync(finalProcessedPath)) {
-                console.log(`[Pipeline] Reading final buffer from file system: ${finalProcessedPath}`);
-                imageData.processedBuffer = fs.readFileSync(finalProcessedPath);
-            } else if (imageData.processedBuffer) {
-                console.log(`[Pipeline] Using upscaled buffer already in memory (${(imageData.processedBuffer.length / 1024 / 1024).toFixed(2)}MB)`);
-            } else {
-                console.warn(`[Pipeline] WARNING: No buffer available and file does not exist: ${finalProcessedPath}`);
-            }
-
-            return { processedPath: finalProcessedPath };
-            
-        } else {
-            // If no image is generated, check for text response
-            const textParts = parts.filter(part => part.text);
-            if (textParts.length > 0) {
-                const text = textParts.map(part => part.text).join(' ');
-                console.log('Gemini text response:', text);
-                throw new Error(`Image generation failed. Gemini response: ${text.substring(0, 200)}...`);
-            } else {
-                throw new Error('No image or text response received from Gemini API');
-            }
-        }
-        
+            return await work(calls);
         } catch (error) {
+            if (controller.signal.aborted) {
+                throw controller.signal.reason;
+            }
             // Improve error visibility for troubleshooting
             const details = (error && (error.response?.data || error.response || error.cause || error.stack)) || error;
             console.error(`[${imageData.jobId}] Processing error:`, details);
@@ -904,278 +1634,520 @@ async function processImageWithNanoBanana(imageData) {
             throw new Error(`Image processing failed: ${message}`);
         }
     })();
-    
-    // Race between processing and timeout
+
+    // The losing promise must not surface as an unhandled rejection
+    processingPromise.catch(() => {});
+    abortPromise.catch(() => {});
+
+    // Race between processing and cancellation/timeout; callers record the failure
     try {
-        return await Promise.race([processingPromise, timeoutPromise]);
+        return await Promise.race([processingPromise, abortPromise]);
     } catch (error) {
-        // Update job status to error
-        imageData.status = 'error';
-        imageData.error = error.message;
         imageData.endTime = Date.now();
         imageData.duration = Date.now() - jobStartTime;
         throw error;
+    } finally {
+        clearTimeout(timer);
+        activeJobs.delete(imageData.jobId);
+        // Attempts per service, summed over every stage of the job
+        const attempts = { ...(imageData.attempts || {}) };
+        for (const [service, count] of Object.entries(calls.attempts)) {
+            attempts[service] = (attempts[service] || 0) + count;
+        }
+        imageData.attempts = attempts;
     }
 }
 
-function getMimeType(filePath) {
-    const ext = path.extname(filePath).toLowerCase();
-    const mimeTypes = {
-        '.jpg': 'image/jpeg',
-        '.jpeg': 'image/jpeg',
-        '.png': 'image/png',
-        '.gif': 'image/gif',
-        '.webp': 'image/webp',
-        '.bmp': 'image/bmp'
-    };
-    return mimeTypes[ext] || 'image/jpeg';
+async function generateImage({ imageData, provider, referenceBuffer, mimeType, prompt, temperature, calls }) {
+    const apiTimeout = process.env.VERCEL ? 25000 : 25000; // 25s timeout for the provider call
+    const generated = await jobQueue.withResource(provider.id, () => provider.generate({
+        referenceBuffer,
+        mimeType,
+        prompt,
+        temperature,
+        timeoutMs: apiTimeout,
+        jobId: imageData.jobId,
+        calls
+    }), calls?.signal);
+
+    if (generated.images.length === 0) {
+        // If no image is generated, check for text response
+        if (generated.text) {
+            console.log(`${provider.label} text response:`, generated.text);
+            throw new Error(`Image generation failed. ${provider.label} response: ${generated.text.substring(0, 200)}...`);
+        }
+        throw new Error(`No image or text response received from ${provider.label}`);
+    }
+
+    // Convert to PNG format using sharp to ensure consistency
+    const pngBuffer = await sharp(generated.images[0])
+        .png({ compressionLevel: 9 })
+        .toBuffer();
+    retry.throwIfAborted(calls);
+    return pngBuffer;
 }
 
-async function processPicsartBackgroundRemoval(imagePath) {
+// OCR a generated image and compare it with the reference's text
+async function checkTextMatch(imageData, referenceText, pngBuffer, calls) {
     try {
-        console.log(`Removing background from: ${imagePath}`);
-        
-        // Create form data for file upload - minimal parameters to avoid API errors
-        const form = new FormData();
-        form.append('image', fs.createReadStream(imagePath));
-        
-        const response = await axios.post('https://api.picsart.io/tools/1.0/removebg', form, {
-            headers: {
-                'X-Picsart-API-Key': PICSART_API_KEY,
-                'accept': 'application/json',
-                ...form.getHeaders()
-            }
-        });
-        
-        console.log('Picsart background removal response:', response.data);
-        
-        // Save the processed image with background removed
-        const processedDir = PROCESSED_DIR;
-        if (!fs.existsSync(processedDir)) {
-            fs.mkdirSync(processedDir, { recursive: true });
-        }
-        
-        const filename = `bg_removed_${Date.now()}_${path.basename(imagePath)}`;
-        const outputPath = path.join(processedDir, filename);
-        
-        // Check if response contains an image URL instead of raw image data
-        if (response.data && response.data.data && response.data.data.url) {
-            // Download the image from the URL
-            const imageResponse = await axios.get(response.data.data.url, {
-                responseType: 'arraybuffer'
-            });
-            
-            // Convert to PNG using sharp to ensure consistency
-            const pngBuffer = await sharp(Buffer.from(imageResponse.data))
-                .png({ compressionLevel: 9 })
-                .toBuffer();
-                
-            fs.writeFileSync(outputPath, pngBuffer);
-        } else {
-            throw new Error('Unexpected Picsart response format: ' + JSON.stringify(response.data));
-        }
-        
-        console.log(`Background removed successfully: ${outputPath}`);
-        return outputPath;
-        
+        const output = await textFidelity.extractText(pngBuffer);
+        retry.throwIfAborted(calls);
+        return textFidelity.compareText(referenceText, output.text);
     } catch (error) {
-        console.error('Picsart background removal error:', error);
-        
-        // Provide more specific error information for debugging
-        let errorMessage = 'Background removal failed';
-        if (error.response) {
-            // HTTP error response from API
-            errorMessage += ` (HTTP ${error.response.status})`;
-            if (error.response.data) {
-                console.error('API Error Response:', error.response.data);
-                // Decode buffer if it's a buffer
-                if (Buffer.isBuffer(error.response.data)) {
-                    const errorText = error.response.data.toString('utf8');
-                    console.error('Decoded API Error:', errorText);
-                    try {
-                        const errorJson = JSON.parse(errorText);
-                        if (errorJson.detail) {
-                            errorMessage += `: ${errorJson.detail}`;
-                        }
-                    } catch (parseError) {
-                        console.error('Could not parse error JSON:', parseError);
-                    }
-                }
-            }
-        } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-            errorMessage += ': Network connection failed';
-        } else if (error.message) {
-            errorMessage += `: ${error.message}`;
-        }
-        
-        throw new Error(errorMessage);
+        if (retry.isAbortError(error)) throw error;
+        console.error(`[${imageData.jobId}] Text check failed:`, error.message);
+        return { status: 'unavailable', error: error.message };
     }
 }
 
-async function processPicsartUpscaling(imagePath, upscaleFactor = 2) {
+// Score a generated image against the reference's features
+async function checkSimilarity(imageData, referenceFeatures, pngBuffer, calls) {
     try {
-        console.log(`[Upscale] Starting: ${imagePath} with factor ${upscaleFactor}`);
-        console.log(`[Upscale] Platform: ${process.env.VERCEL ? 'Vercel' : 'Local'}, Node: ${process.version}`);
+        const output = await similarity.analyzeImage(pngBuffer);
+        retry.throwIfAborted(calls);
+        return similarity.compareImages(referenceFeatures, output);
+    } catch (error) {
+        if (retry.isAbortError(error)) throw error;
+        console.error(`[${imageData.jobId}] Similarity check failed:`, error.message);
+        return { verdict: 'unavailable', error: error.message };
+    }
+}
 
-        // Create form data for file upload - minimal parameters
-        const form = new FormData();
-        form.append('image', fs.createReadStream(imagePath));
-        form.append('upscale_factor', upscaleFactor.toString());
+async function runOutputChecks(imageData, reference, pngBuffer, calls) {
+    return {
+        textMatch: reference.text ? await checkTextMatch(imageData, reference.text, pngBuffer, calls) : null,
+        similarity: reference.features ? await checkSimilarity(imageData, reference.features, pngBuffer, calls) : null
+    };
+}
 
-        console.log(`[Upscale] Calling Picsart API...`);
-        const apiStartTime = Date.now();
-        const response = await axios.post('https://api.picsart.io/tools/1.0/upscale', form, {
-            headers: {
-                'X-Picsart-API-Key': PICSART_API_KEY,
-                'accept': 'application/json',
-                ...form.getHeaders()
-            },
-            timeout: 30000 // 30 second timeout
-        });
+// Higher is better: a passing check outweighs any partial text similarity
+function rankGeneration({ textMatch, similarity: score }) {
+    const textRank = textMatch && textMatch.status === 'mismatch' ? textMatch.similarity || 0 : 1;
+    const similarityRank = score && (score.verdict === 'too_similar' || score.verdict === 'too_different') ? 0 : 1;
+    return textRank + similarityRank;
+}
 
-        const apiDuration = Date.now() - apiStartTime;
-        console.log(`[Upscale] Picsart API responded in ${apiDuration}ms:`, response.data);
+// Why this generation should be replaced, for checks that still have regenerations left
+function listRegenerationReasons(imageData, { textMatch, similarity: score }, generation) {
+    const reasons = [];
+    if (textMatch && textMatch.status === 'mismatch' && generation <= imageData.textCheck.maxRegenerations) {
+        reasons.push(`text differs (similarity ${textMatch.similarity})`);
+    }
+    if (score && (score.verdict === 'too_similar' || score.verdict === 'too_different')
+        && generation <= imageData.similarityCheck.maxRegenerations) {
+        reasons.push(`${score.verdict.replace('_', ' ')}: ${score.reasons.join(', ')}`);
+    }
+    return reasons;
+}
 
-        // Save the upscaled image
-        const processedDir = PROCESSED_DIR;
-        if (!fs.existsSync(processedDir)) {
-            fs.mkdirSync(processedDir, { recursive: true });
+// Generates one variation and runs the enabled checks on it. While a check
+// fails and may still regenerate (and the job has time left), the variation
+// is generated again; the best attempt is kept. A variation generated before
+// from the same inputs comes from the result cache instead.
+async function generateCandidate({ imageData, provider, referenceBuffer, mimeType, prompt, temperature, index, calls, getReference }) {
+    const cacheKey = resultCache.createKey({
+        kind: 'generation',
+        teamId: imageData.teamId || null,
+        reference: resultCache.hashBuffer(referenceBuffer),
+        prompt,
+        provider: provider.id,
+        model: provider.getModel(),
+        temperature,
+        variation: index,
+        textCheck: imageData.textCheck || null,
+        similarityCheck: imageData.similarityCheck || null
+    });
+    const cached = imageData.cacheMode === 'refresh' ? null : resultCache.get(cacheKey);
+    if (cached) {
+        if (cached.meta.referenceText !== undefined && imageData.referenceText === undefined) {
+            imageData.referenceText = cached.meta.referenceText;
         }
+        console.log(`[${imageData.jobId}] Variation ${index + 1} reused from the result cache`);
+        return {
+            index,
+            temperature,
+            status: 'ok',
+            path: saveCandidate(imageData, provider, index, cached.buffer),
+            textMatch: cached.meta.textMatch || null,
+            similarity: cached.meta.similarity || null,
+            generations: cached.meta.generations || 1,
+            cached: true
+        };
+    }
 
-        const filename = `upscaled_${Date.now()}_${path.basename(imagePath)}`;
-        const outputPath = path.join(processedDir, filename);
-        let finalBuffer; // Declare at function scope so it's available for return
+    // The reference is analysed while the first provider call is in flight
+    const referencePromise = getReference();
+    referencePromise.catch(() => {});
+    let reference = null;
+    let best = null;
+    let generation = 0;
+
+    for (;;) {
+        generation++;
+        const attemptStart = Date.now();
+        const pngBuffer = await generateImage({ imageData, provider, referenceBuffer, mimeType, prompt, temperature, calls });
+        reference = reference || await referencePromise;
+        const checks = await runOutputChecks(imageData, reference, pngBuffer, calls);
+        if (!best || rankGeneration(checks) > rankGeneration(best)) {
+            best = { pngBuffer, ...checks };
+        }
 
-        // Check if response contains an image URL instead of raw image data
-        if (response.data && response.data.data && response.data.data.url) {
-            console.log(`[Upscale] Downloading from URL: ${response.data.data.url}`);
-            const downloadStartTime = Date.now();
+        const reasons = listRegenerationReasons(imageData, checks, generation);
+        if (reasons.length === 0) break;
+        const attemptMs = Date.now() - attemptStart;
+        if (calls.deadline - Date.now() < Math.max(REGENERATION_MIN_MS, attemptMs)) {
+            console.log(`[${imageData.jobId}] Variation ${index + 1}: ${reasons.join('; ')}; no time left to regenerate`);
+            break;
+        }
+        console.log(`[${imageData.jobId}] Variation ${index + 1}: ${reasons.join('; ')}; regenerating`);
+    }
 
-            // Download the image from the URL
-            const imageResponse = await axios.get(response.data.data.url, {
-                responseType: 'arraybuffer',
-                timeout: 30000
-            });
+    const candidatePath = saveCandidate(imageData, provider, index, best.pngBuffer);
+    console.log(`${provider.label} image generated and saved: ${candidatePath}`);
+    resultCache.put(cacheKey, best.pngBuffer, {
+        kind: 'generation',
+        meta: {
+            textMatch: best.textMatch,
+            similarity: best.similarity,
+            generations: generation,
+            referenceText: reference.text
+        }
+    });
 
-            const downloadDuration = Date.now() - downloadStartTime;
-            const downloadSizeMB = (imageResponse.data.length / (1024 * 1024)).toFixed(2);
-            console.log(`[Upscale] Downloaded ${downloadSizeMB}MB in ${downloadDuration}ms`);
+    return {
+        index,
+        temperature,
+        status: 'ok',
+        path: candidatePath,
+        textMatch: best.textMatch,
+        similarity: best.similarity,
+        generations: generation,
+        cached: false
+    };
+}
 
-            // Convert to PNG using sharp to ensure consistency
-            console.log(`[Upscale] Converting to PNG using Sharp...`);
-            const sharpStartTime = Date.now();
-            try {
-                const pngBuffer = await sharp(Buffer.from(imageResponse.data))
-                    .png({ compressionLevel: 9 })
-                    .toBuffer();
-
-                const sharpDuration = Date.now() - sharpStartTime;
-                const outputSizeMB = (pngBuffer.length / (1024 * 1024)).toFixed(2);
-                console.log(`[Upscale] Sharp conversion completed in ${sharpDuration}ms, output: ${outputSizeMB}MB`);
-
-                fs.writeFileSync(outputPath, pngBuffer);
-                finalBuffer = pngBuffer;
-                console.log(`[Upscale] SUCCESS - Image saved to: ${outputPath}`);
-            } catch (sharpError) {
-                console.error(`[Upscale] Sharp conversion failed:`, sharpError);
-                console.error(`[Upscale] Sharp error stack:`, sharpError.stack);
-                console.error(`[Upscale] Attempting fallback: saving raw image data...`);
-
-                // Fallback: save the raw data without Sharp conversion
-                const rawBuffer = Buffer.from(imageResponse.data);
-                fs.writeFileSync(outputPath, rawBuffer);
-                finalBuffer = rawBuffer;
-                console.log(`[Upscale] FALLBACK SUCCESS - Raw image saved to: ${outputPath}`);
-            }
-        } else {
-            throw new Error('Unexpected Picsart response format: ' + JSON.stringify(response.data));
-        }
+function saveCandidate(imageData, provider, index, pngBuffer) {
+    // Ensure processed directory exists
+    const processedDir = PROCESSED_DIR;
+    if (!fs.existsSync(processedDir)) {
+        fs.mkdirSync(processedDir, { recursive: true });
+    }
 
-        return { path: outputPath, buffer: finalBuffer };
+    const baseName = path.basename(imageData.originalPath, path.extname(imageData.originalPath));
+    const candidatePath = path.join(processedDir, `${provider.id}_${Date.now()}_v${index + 1}_${baseName}.png`);
+    fs.writeFileSync(candidatePath, pngBuffer);
+    return candidatePath;
+}
 
+// Text in the reference, or null when the check is off or OCR is unavailable
+async function readReferenceText(imageData, referenceBuffer, calls) {
+    if (!imageData.textCheck) return null;
+    try {
+        const reference = await textFidelity.extractText(referenceBuffer);
+        retry.throwIfAborted(calls);
+        imageData.referenceText = reference.text;
+        if (!reference.text) {
+            imageData.textMatch = textFidelity.compareText('', '');
+        }
+        console.log(`[${imageData.jobId}] Reference text: ${reference.text ? JSON.stringify(reference.text) : 'none'}`);
+        return reference.text;
     } catch (error) {
-        console.error('[Upscale] ERROR occurred:', {
-            message: error.message,
-            code: error.code,
-            stack: error.stack,
-            response: error.response ? {
-                status: error.response.status,
-                statusText: error.response.statusText,
-                data: error.response.data
-            } : undefined
-        });
+        if (retry.isAbortError(error)) throw error;
+        console.error(`[${imageData.jobId}] Reference OCR failed:`, error.message);
+        imageData.textMatch = { status: 'unavailable', error: error.message };
+        return null;
+    }
+}
 
-        // Provide more specific error information for debugging
-        let errorMessage = 'Image upscaling failed';
-        if (error.response) {
-            // HTTP error response from API
-            errorMessage += ` (HTTP ${error.response.status})`;
-            if (error.response.data) {
-                console.error('[Upscale] API Error Response:', error.response.data);
-                // Decode buffer if it's a buffer
-                if (Buffer.isBuffer(error.response.data)) {
-                    const errorText = error.response.data.toString('utf8');
-                    console.error('[Upscale] Decoded API Error:', errorText);
-                    try {
-                        const errorJson = JSON.parse(errorText);
-                        if (errorJson.detail) {
-                            errorMessage += `: ${errorJson.detail}`;
-                        }
-                    } catch (parseError) {
-                        console.error('[Upscale] Could not parse error JSON:', parseError);
-                    }
-                }
-            }
-        } else if (error.code === 'ECONNREFUSED' || error.code === 'ENOTFOUND') {
-            errorMessage += ': Network connection failed';
-        } else if (error.message) {
-            errorMessage += `: ${error.message}`;
+// Features of the reference for the similarity guardrail, or null when the check is off or fails
+async function analyzeReference(imageData, referenceBuffer, calls) {
+    if (!imageData.similarityCheck) return null;
+    try {
+        const features = await similarity.analyzeImage(referenceBuffer);
+        retry.throwIfAborted(calls);
+        return features;
+    } catch (error) {
+        if (retry.isAbortError(error)) throw error;
+        console.error(`[${imageData.jobId}] Reference analysis failed:`, error.message);
+        imageData.similarity = { verdict: 'unavailable', error: error.message };
+        return null;
+    }
+}
+
+// Issue one provider call per variation in parallel and keep every result
+async function generateCandidates(imageData, calls) {
+    const referenceBuffer = fs.readFileSync(imageData.originalPath);
+    const mimeType = getMimeType(imageData.originalPath);
+    const provider = imageProviders.getProvider(imageData.provider);
+    const prompt = buildGenerationPrompt(imageData.prompt);
+    const temperatures = imageData.temperatures || [0.3];
+
+    console.log(`[${imageData.jobId}] Generating ${temperatures.length} variation(s) with provider ${provider.id} (${provider.getModel()})`);
+    console.log(`[${imageData.jobId}] Image size: ${Math.round(referenceBuffer.length / 1024)}KB`);
+    console.log(`[${imageData.jobId}] Platform: ${process.env.VERCEL ? 'Vercel' : 'Local'}`);
+    imageData.model = provider.getModel();
+    // The reference is only analysed once a variation actually has to be generated
+    let referencePromise = null;
+    const getReference = () => {
+        referencePromise = referencePromise || Promise.all([
+            readReferenceText(imageData, referenceBuffer, calls),
+            analyzeReference(imageData, referenceBuffer, calls)
+        ]).then(([text, features]) => ({ text, features }));
+        return referencePromise;
+    };
+
+    const settled = await Promise.allSettled(temperatures.map((temperature, index) => generateCandidate({
+        imageData,
+        provider,
+        referenceBuffer,
+        mimeType,
+        prompt,
+        temperature,
+        index,
+        calls,
+        getReference
+    })));
+
+    // Aborted: drop whatever variations finished in the meantime
+    if (calls.signal && calls.signal.aborted) {
+        settled
+            .filter(result => result.status === 'fulfilled' && fs.existsSync(result.value.path))
+            .forEach(result => fs.unlinkSync(result.value.path));
+        throw calls.signal.reason;
+    }
+
+    imageData.candidates = settled.map((result, index) => result.status === 'fulfilled'
+        ? result.value
+        : { index, temperature: temperatures[index], status: 'error', error: result.reason?.message || String(result.reason) });
+
+    const succeeded = imageData.candidates.filter(candidate => candidate.status === 'ok');
+    if (succeeded.length === 0) {
+        throw settled[0].reason;
+    }
+    return succeeded;
+}
+
+// Run the chosen candidate through the post-processing pipeline
+async function postProcessCandidate(imageData, index, calls) {
+    const candidate = (imageData.candidates || []).find(item => item.index === index && item.status === 'ok');
+    if (!candidate) {
+        throw new Error(`Variation ${index + 1} is not available`);
+    }
+
+    // Re-selecting replaces the previous final output
+    const candidatePaths = imageData.candidates.map(item => item.path);
+    for (const outputPath of [imageData.processedPath, imageData.vectorPath, imageData.separationsPath]) {
+        if (outputPath && !candidatePaths.includes(outputPath) && fs.existsSync(outputPath)) {
+            fs.unlinkSync(outputPath);
+        }
+    }
+    imageData.processedPath = null;
+    imageData.vectorPath = null;
+    imageData.separationsPath = null;
+    imageData.palette = null;
+    imageData.pipelineErrors = [];
+    removeMockups(imageData);
+
+    // Update status: generation complete, starting post-processing
+    imageData.selectedCandidate = index;
+    if (candidate.textMatch) {
+        imageData.textMatch = candidate.textMatch;
+    }
+    if (candidate.similarity) {
+        imageData.similarity = candidate.similarity;
+    }
+    imageData.generations = candidate.generations || 1;
+    imageData.status = 'gemini_complete';
+    imageData.geminiPath = candidate.path;
+    imageData.geminiDownloadPath = candidate.path;
+    syncJob(imageData);
+
+    // Run the post-processing pipeline (background removal, upscaling, ...)
+    const { output, artifacts, results } = await postProcessing.runPipeline({
+        jobId: imageData.jobId,
+        pipeline: imageData.pipeline,
+        input: { buffer: fs.readFileSync(candidate.path), path: candidate.path },
+        outputDir: PROCESSED_DIR,
+        baseName: path.basename(candidate.path, '.png'),
+        calls,
+        cache: imageData.cacheMode || 'use',
+        onStep: (step) => {
+            imageData.status = step.status;
+            syncJob(imageData);
         }
+    });
+
+    const summary = postProcessing.summarizePipeline(results);
+    imageData.pipelineSteps = results;
+    imageData.vectorPath = artifacts.svg || null;
+    imageData.separationsPath = artifacts.zip || null;
+    const spotColors = results.find(result => result.step === 'spotColors' && result.meta);
+    imageData.palette = spotColors ? spotColors.meta.palette : null;
+    imageData.status = summary.status;
+    if (summary.errors.length > 0) {
+        console.log(`[${imageData.jobId}] Pipeline errors:`, summary.errors);
+        imageData.pipelineErrors = summary.errors;
+    }
+    console.log(`[${imageData.jobId}] Pipeline finished with ${summary.status}: ${output.path}`);
 
-        throw new Error(errorMessage);
+    return {
+        processedPath: output.path,
+        geminiPath: candidate.path,
+        geminiDownloadPath: candidate.path
+    };
+}
+
+// Mockups show the previous final design; drop them when it is replaced
+function removeMockups(imageData) {
+    for (const mockup of imageData.mockups || []) {
+        if (mockup.path && fs.existsSync(mockup.path)) {
+            fs.unlinkSync(mockup.path);
+        }
     }
+    imageData.mockups = [];
+}
+
+async function processImageWithNanoBanana(imageData) {
+    return runWithJobTimeout(imageData, async (calls) => {
+        console.log(`[${imageData.jobId}] Starting processing: ${imageData.originalName} with prompt: "${imageData.prompt}"`);
+        imageData.status = 'gemini_processing';
+        syncJob(imageData);
+
+        const succeeded = await generateCandidates(imageData, calls);
+
+        // With several variations the user picks one before post-processing
+        if ((imageData.temperatures || []).length > 1) {
+            imageData.status = 'awaiting_selection';
+            syncJob(imageData);
+            console.log(`[${imageData.jobId}] ${succeeded.length} variation(s) ready for selection`);
+            return { processedPath: null };
+        }
+
+        return postProcessCandidate(imageData, succeeded[0].index, calls);
+    });
+}
+
+async function processSelectedCandidate(imageData, index) {
+    return runWithJobTimeout(imageData, (calls) => postProcessCandidate(imageData, index, calls));
+}
+
+function getMimeType(filePath) {
+    const ext = path.extname(filePath).toLowerCase();
+    const mimeTypes = {
+        '.jpg': 'image/jpeg',
+        '.jpeg': 'image/jpeg',
+        '.png': 'image/png',
+        '.gif': 'image/gif',
+        '.webp': 'image/webp',
+        '.bmp': 'image/bmp',
+        '.svg': 'image/svg+xml',
+        '.zip': 'application/zip'
+    };
+    return mimeTypes[ext] || 'image/jpeg';
+}
+
+function readFileBase64(filePath) {
+    return filePath && fs.existsSync(filePath) ? fs.readFileSync(filePath).toString('base64') : null;
+}
+
+// How much of the job came from the result cache
+function summarizeCacheUse(job) {
+    const candidates = (job.candidates || []).filter(candidate => candidate.status === 'ok');
+    const steps = (job.pipelineSteps || []).filter(step => step.outcome === 'ok' || step.outcome === 'fallback');
+    return {
+        enabled: resultCache.isEnabled(),
+        forceRegenerate: job.cacheMode === 'refresh',
+        generationHits: candidates.filter(candidate => candidate.cached).length,
+        generationMisses: candidates.filter(candidate => !candidate.cached).length,
+        stepHits: steps.filter(step => step.cached).length,
+        stepMisses: steps.filter(step => !step.cached).length
+    };
 }
 
 function buildJobResponsePayload(job) {
     const baseName = path.basename(job.originalName || 'image', path.extname(job.originalName || '')) || 'image';
     const response = {
         jobId: job.jobId,
+        batchId: job.batchId || null,
         status: job.status,
+        queuePosition: job.status === 'queued' ? jobQueue.getPosition(job.jobId) : null,
         originalName: job.originalName,
         pipelineErrors: job.pipelineErrors || [],
+        pipelineSteps: job.pipelineSteps || [],
+        stageTimestamps: job.stageTimestamps || {},
+        attempts: job.attempts || {},
         meta: {
             baseName,
-            removeBg: job.removeBg
-        }
+            removeBg: job.removeBg,
+            pipeline: job.pipeline,
+            provider: job.provider,
+            model: job.model,
+            promptTemplateId: job.promptTemplateId || null,
+            promptTemplateVersion: job.promptTemplateVersion || null,
+            textCheck: job.textCheck || null,
+            similarityCheck: job.similarityCheck || null,
+            ingest: job.ingest || null
+        },
+        referenceText: job.referenceText ?? null,
+        textMatch: job.textMatch || null,
+        similarity: job.similarity || null,
+        generations: job.generations || null,
+        listing: job.listing || null,
+        palette: job.palette || null,
+        cache: summarizeCacheUse(job)
     };
 
     // On Vercel, include base64 image data directly in response
     // since file system persistence doesn't work across serverless invocations
     if (process.env.VERCEL) {
-        if (job.processedBuffer) {
+        const processedBase64 = readFileBase64(job.processedPath);
+        const geminiBase64 = readFileBase64(job.geminiDownloadPath);
+        if (processedBase64) {
             response.imageData = {
                 final: {
-                    base64: job.processedBuffer.toString('base64'),
+                    base64: processedBase64,
                     mimeType: 'image/png',
                     filename: `enhanced_${baseName}.png`
                 }
             };
         }
-        if (job.geminiBuffer) {
+        if (geminiBase64) {
             response.imageData = {
                 ...response.imageData,
                 gemini: {
-                    base64: job.geminiBuffer.toString('base64'),
+                    base64: geminiBase64,
                     mimeType: 'image/png',
                     filename: `ai_only_${baseName}.png`
                 }
             };
         }
+        const vectorBase64 = readFileBase64(job.vectorPath);
+        if (vectorBase64) {
+            response.imageData = {
+                ...response.imageData,
+                vector: {
+                    base64: vectorBase64,
+                    mimeType: 'image/svg+xml',
+                    filename: `vector_${baseName}.svg`
+                }
+            };
+        }
+        const separationsBase64 = readFileBase64(job.separationsPath);
+        if (separationsBase64) {
+            response.imageData = {
+                ...response.imageData,
+                separations: {
+                    base64: separationsBase64,
+                    mimeType: 'application/zip',
+                    filename: `separations_${baseName}.zip`
+                }
+            };
+        }
     } else {
         // Local environment: use file-based downloads
         if (job.processedPath && fs.existsSync(job.processedPath)) {
-            const finalToken = createDownloadToken(job.processedPath);
-            response.previewUrl = buildPreviewUrl(job.processedPath);
+            const finalToken = createDownloadToken(job, 'final', job.processedPath);
+            response.previewUrl = buildPreviewUrl(job, 'final', job.processedPath);
             response.downloadTokens = {
                 ...response.downloadTokens,
                 final: finalToken
@@ -1188,8 +2160,8 @@ function buildJobResponsePayload(job) {
         }
 
         if (job.geminiDownloadPath && fs.existsSync(job.geminiDownloadPath)) {
-            const geminiToken = createDownloadToken(job.geminiDownloadPath);
-            response.geminiPreviewUrl = buildPreviewUrl(job.geminiDownloadPath);
+            const geminiToken = createDownloadToken(job, 'gemini', job.geminiDownloadPath);
+            response.geminiPreviewUrl = buildPreviewUrl(job, 'gemini', job.geminiDownloadPath);
             response.downloadTokens = {
                 ...response.downloadTokens,
                 gemini: geminiToken
@@ -1200,8 +2172,80 @@ function buildJobResponsePayload(job) {
                 gemini: `ai_only_${baseName}${ensureDotExtension(geminiExt)}`
             };
         }
+
+        if (job.vectorPath && fs.existsSync(job.vectorPath)) {
+            response.downloadTokens = {
+                ...response.downloadTokens,
+                vector: createDownloadToken(job, 'vector', job.vectorPath)
+            };
+            response.downloadFilenames = {
+                ...response.downloadFilenames,
+                vector: `vector_${baseName}.svg`
+            };
+        }
+
+        if (job.separationsPath && fs.existsSync(job.separationsPath)) {
+            response.downloadTokens = {
+                ...response.downloadTokens,
+                separations: createDownloadToken(job, 'separations', job.separationsPath)
+            };
+            response.downloadFilenames = {
+                ...response.downloadFilenames,
+                separations: `separations_${baseName}.zip`
+            };
+        }
     }
 
+    // Every generated variation, so the user can pick which one gets post-processed
+    response.variations = (job.temperatures || [0.3]).length;
+    response.selectedCandidate = job.selectedCandidate ?? null;
+    response.candidates = (job.candidates || []).map(candidate => {
+        const item = {
+            index: candidate.index,
+            temperature: candidate.temperature,
+            status: candidate.status,
+            selected: candidate.index === job.selectedCandidate,
+            textMatch: candidate.textMatch || null,
+            similarity: candidate.similarity || null,
+            generations: candidate.generations || null,
+            cached: !!candidate.cached
+        };
+        if (candidate.status !== 'ok') {
+            item.error = candidate.error;
+        } else if (process.env.VERCEL) {
+            const candidateBase64 = readFileBase64(candidate.path);
+            if (candidateBase64) {
+                item.base64 = candidateBase64;
+                item.mimeType = 'image/png';
+            }
+        } else if (candidate.path && fs.existsSync(candidate.path)) {
+            item.previewUrl = buildPreviewUrl(job, 'candidate', candidate.path);
+            item.downloadToken = createDownloadToken(job, 'candidate', candidate.path);
+        }
+        return item;
+    });
+
+    // Listing mockups, downloadable like the design itself
+    response.mockups = (job.mockups || []).map(mockup => {
+        const item = {
+            template: mockup.template,
+            color: mockup.color,
+            label: mockups.getTemplate(mockup.template).label,
+            filename: `mockup_${mockup.template}_${mockup.color}_${baseName}.png`
+        };
+        if (process.env.VERCEL) {
+            const mockupBase64 = readFileBase64(mockup.path);
+            if (mockupBase64) {
+                item.base64 = mockupBase64;
+                item.mimeType = 'image/png';
+            }
+        } else if (mockup.path && fs.existsSync(mockup.path)) {
+            item.previewUrl = buildPreviewUrl(job, 'mockup', mockup.path);
+            item.downloadToken = createDownloadToken(job, 'mockup', mockup.path);
+        }
+        return item;
+    });
+
     if (job.error) {
         response.error = job.error;
     }
@@ -1209,8 +2253,8 @@ function buildJobResponsePayload(job) {
     return response;
 }
 
-function buildPreviewUrl(filePath) {
-    const token = createDownloadToken(filePath);
+function buildPreviewUrl(job, variant, filePath) {
+    const token = createDownloadToken(job, variant, filePath);
     return `/api/download-by-token?token=${encodeURIComponent(token)}&inline=1`;
 }
 
@@ -1219,96 +2263,292 @@ function ensureDotExtension(ext) {
     return ext.startsWith('.') ? ext : `.${ext}`;
 }
 
-function createDownloadToken(filePath) {
+function isInsideProcessedDir(filePath) {
+    return filePath.startsWith(PROCESSED_DIR + path.sep);
+}
+
+// Files a token of each variant may point at; a token only opens the job's current files
+function listVariantPaths(job, variant) {
+    switch (variant) {
+        case 'final':
+            return [job.processedPath];
+        case 'gemini':
+            return [job.geminiDownloadPath];
+        case 'vector':
+            return [job.vectorPath];
+        case 'separations':
+            return [job.separationsPath];
+        case 'candidate':
+            return (job.candidates || []).map(candidate => candidate.path);
+        case 'mockup':
+            return (job.mockups || []).map(mockup => mockup.path);
+        default:
+            return [];
+    }
+}
+
+// Tokens are scoped to one job, variant and file, expire after
+// DOWNLOAD_TOKEN_TTL_SECONDS and die when the job's tokens are revoked
+function createDownloadToken(job, variant, filePath) {
     const absolutePath = path.resolve(filePath);
-    if (!absolutePath.startsWith(PROCESSED_DIR)) {
+    if (!isInsideProcessedDir(absolutePath)) {
         throw new Error('File path is outside of processed directory');
     }
 
-    const payload = JSON.stringify({ path: absolutePath });
-    const signature = crypto
-        .createHmac('sha256', DOWNLOAD_TOKEN_SECRET)
-        .update(payload)
-        .digest('base64url');
-
-    const token = `${Buffer.from(payload).toString('base64url')}.${signature}`;
-    return token;
+    return downloadTokens.createToken(DOWNLOAD_TOKEN_SECRET, {
+        path: absolutePath,
+        job: job.jobId,
+        variant,
+        owner: job.owner || null,
+        v: job.tokenVersion || 0
+    });
 }
 
-function decodeDownloadToken(token) {
-    const parts = token.split('.');
-    if (parts.length !== 2) {
-        throw new Error('Malformed token');
-    }
-
-    const [payloadB64, signature] = parts;
-    const payloadJson = Buffer.from(payloadB64, 'base64url').toString('utf8');
-    const expectedSignature = crypto
-        .createHmac('sha256', DOWNLOAD_TOKEN_SECRET)
-        .update(payloadJson)
-        .digest('base64url');
+// -> { path, variant } of the file the token grants access to
+function decodeDownloadToken(token, user) {
+    const payload = downloadTokens.verifyToken(DOWNLOAD_TOKEN_SECRET, token);
+    const resolvedPath = path.resolve(String(payload.path));
 
-    if (signature !== expectedSignature) {
-        throw new Error('Invalid token signature');
+    if (!isInsideProcessedDir(resolvedPath)) {
+        throw downloadTokens.createInvalidTokenError('Token path not allowed');
     }
 
-    const payload = JSON.parse(payloadJson);
-    const resolvedPath = path.resolve(payload.path);
-
-    if (!resolvedPath.startsWith(PROCESSED_DIR)) {
-        throw new Error('Token path not allowed');
+    const job = payload.job ? jobStore.getJob(payload.job) : null;
+    if (!job) {
+        throw downloadTokens.createInvalidTokenError('Token job not found');
+    }
+    if ((job.tokenVersion || 0) !== payload.v) {
+        throw downloadTokens.createInvalidTokenError('Token has been revoked');
+    }
+    if ((job.owner || null) !== (payload.owner || null)) {
+        throw downloadTokens.createInvalidTokenError('Token owner does not match the job');
+    }
+    if (!canAccessJob(user, job)) {
+        throw downloadTokens.createInvalidTokenError('Token belongs to another user');
+    }
+    if (!listVariantPaths(job, payload.variant).filter(Boolean).map(filePath => path.resolve(filePath)).includes(resolvedPath)) {
+        throw downloadTokens.createInvalidTokenError('Token does not match a current file of the job');
     }
 
     if (!fs.existsSync(resolvedPath)) {
         throw new Error('File not found');
     }
 
-    return resolvedPath;
+    return { path: resolvedPath, variant: payload.variant };
 }
 
-async function streamImageFile({ filePath, requestedFormat, res, inline, downloadName, sourceBuffer }) {
-    // Use provided buffer or read from file
-    let imageBuffer = sourceBuffer;
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
 
-    if (!imageBuffer) {
-        if (!fs.existsSync(filePath)) {
-            res.status(404).json({ error: 'File not found on disk' });
-            return;
+// -> { from, to } as Dates, to being exclusive (the start of the day after the last one)
+function parseUsageRange(query = {}) {
+    const parseDay = (raw, name) => {
+        if (!DAY_PATTERN.test(raw) || Number.isNaN(Date.parse(`${raw}T00:00:00Z`))) {
+            throw new Error(`${name} must be a date as YYYY-MM-DD`);
         }
-        imageBuffer = fs.readFileSync(filePath);
+        return new Date(`${raw}T00:00:00Z`);
+    };
+    const today = new Date(new Date().toISOString().slice(0, 10) + 'T00:00:00Z');
+    const lastDay = query.to ? parseDay(String(query.to), 'to') : today;
+    const from = query.from ? parseDay(String(query.from), 'from') : new Date(lastDay.getTime() - 29 * DAY_MS);
+    if (from > lastDay) {
+        throw new Error('from must not be after to');
     }
+    return { from, to: new Date(lastDay.getTime() + DAY_MS) };
+}
 
-    try {
-        const actualExt = path.extname(filePath) || '.png';
-        let mimeType = getMimeType(filePath);
-        let outputBuffer = imageBuffer;
-        let filename = downloadName || path.basename(filePath);
-
-        if (requestedFormat) {
-            let transformer = sharp(imageBuffer);
-            if (requestedFormat === 'png') {
-                transformer = transformer.png({ compressionLevel: 9 });
-                mimeType = 'image/png';
-            } else {
-                transformer = transformer
-                    .flatten({ background: { r: 255, g: 255, b: 255 } })
-                    .jpeg({ quality: 92, mozjpeg: true });
-                mimeType = 'image/jpeg';
-            }
+const ARCHIVE_OUTPUTS = ['final', 'gemini', 'vector', 'separations', 'mockups'];
+// Token variants whose files are not raster images
+const NON_RASTER_VARIANTS = ['vector', 'separations'];
+
+function parseArchiveOptions(query = {}) {
+    const parseList = raw => (raw || '').toString().split(',').map(value => value.trim()).filter(Boolean);
+    const outputs = query.outputs ? parseList(query.outputs) : ['final', 'gemini', 'vector'];
+    const unknown = outputs.filter(output => !ARCHIVE_OUTPUTS.includes(output));
+    if (unknown.length > 0) {
+        throw new Error(`Unknown archive output(s): ${unknown.join(', ')} (use ${ARCHIVE_OUTPUTS.join(', ')})`);
+    }
+    const format = outputFormats.parseOutputFormat(query.format);
+    return {
+        outputs,
+        format,
+        formatOptions: format ? outputFormats.parseFormatOptions(format, query) : {},
+        preset: query.preset ? exportPresets.getExportPreset(query.preset.toString()).id : null,
+        jobIds: parseList(query.jobs)
+    };
+}
+
+// Resolves once archiver has consumed the entry, so only one converted file
+// is held in memory at a time
+function appendToArchive(archive, source, data) {
+    return new Promise((resolve, reject) => {
+        const onEntry = () => {
+            archive.off('error', onError);
+            resolve();
+        };
+        const onError = (error) => {
+            archive.off('entry', onEntry);
+            reject(error);
+        };
+        archive.once('entry', onEntry);
+        archive.once('error', onError);
+        archive.append(source, data);
+    });
+}
 
-            outputBuffer = await transformer.toBuffer();
+// Add one job's files under a folder named after its upload; returns its manifest entry
+async function appendJobToArchive(archive, job, options, folders) {
+    const baseName = path.basename(job.originalName || 'image', path.extname(job.originalName || '')) || 'image';
+    let folder = baseName;
+    for (let suffix = 2; folders.has(folder); suffix++) {
+        folder = `${baseName}_${suffix}`;
+    }
+    folders.add(folder);
 
-            const normalizedFormat = requestedFormat === 'jpeg' ? 'jpg' : requestedFormat;
-            const baseName = filename ? filename.replace(path.extname(filename), '') : path.basename(filePath, actualExt);
-            filename = `${baseName}.${normalizedFormat}`;
-        } else if (!mimeType.startsWith('image/')) {
-            // Default to png for unknown types during inline preview
-            mimeType = 'image/png';
+    const sources = [];
+    if (options.outputs.includes('final') && job.processedPath) {
+        sources.push({ filePath: job.processedPath, name: `enhanced_${baseName}.png`, preset: options.preset });
+    }
+    if (options.outputs.includes('gemini') && job.geminiDownloadPath) {
+        sources.push({ filePath: job.geminiDownloadPath, name: `ai_only_${baseName}.png`, preset: options.preset });
+    }
+    // The SVG and separations are archived as they are, whatever format the rasters are converted to
+    if (options.outputs.includes('vector') && job.vectorPath) {
+        sources.push({ filePath: job.vectorPath, name: `vector_${baseName}.svg`, preset: null, keepFormat: true });
+    }
+    if (options.outputs.includes('separations') && job.separationsPath) {
+        sources.push({ filePath: job.separationsPath, name: `separations_${baseName}.zip`, preset: null, keepFormat: true });
+    }
+    if (options.outputs.includes('mockups')) {
+        for (const mockup of job.mockups || []) {
+            sources.push({ filePath: mockup.path, name: `mockups/mockup_${mockup.template}_${mockup.color}_${baseName}.png`, preset: null });
+        }
+    }
+
+    const files = [];
+    const missing = [];
+    for (const source of sources) {
+        if (!source.filePath || !fs.existsSync(source.filePath)) {
+            missing.push(source.name);
+            continue;
+        }
+        const preset = source.preset ? exportPresets.getExportPreset(source.preset) : null;
+        let entry;
+        if (!source.keepFormat && (options.format || preset)) {
+            const prepared = await prepareDownload({
+                filePath: source.filePath,
+                requestedFormat: options.format,
+                formatOptions: options.formatOptions,
+                downloadName: source.name,
+                preset
+            });
+            entry = { content: prepared.buffer, name: `${folder}/${prepared.filename}` };
+        } else {
+            entry = { content: fs.createReadStream(source.filePath), name: `${folder}/${source.name}` };
         }
+        // Images are already compressed
+        await appendToArchive(archive, entry.content, { name: entry.name, store: true });
+        files.push(entry.name);
+    }
+
+    return {
+        jobId: job.jobId,
+        originalName: job.originalName,
+        folder,
+        status: job.status,
+        provider: job.provider || null,
+        model: job.model || null,
+        promptTemplateId: job.promptTemplateId || null,
+        promptTemplateVersion: job.promptTemplateVersion || null,
+        selectedCandidate: job.selectedCandidate ?? null,
+        textMatch: job.textMatch ? job.textMatch.status : null,
+        similarity: job.similarity ? { verdict: job.similarity.verdict, novelty: job.similarity.novelty ?? null } : null,
+        palette: job.palette || null,
+        listing: job.listing
+            ? { title: job.listing.title, tags: job.listing.tags, description: job.listing.description, category: job.listing.category }
+            : null,
+        createdAt: job.createdAt || null,
+        completedAt: job.completedAt || null,
+        error: job.error || null,
+        files,
+        missing
+    };
+}
 
+function toCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function buildManifestCsv(manifest) {
+    const columns = ['jobId', 'originalName', 'status', 'provider', 'model', 'textMatch', 'similarity', 'title', 'tags', 'description', 'category', 'files'];
+    const rows = manifest.map(entry => [
+        entry.jobId,
+        entry.originalName,
+        entry.status,
+        entry.provider,
+        entry.model,
+        entry.textMatch,
+        entry.similarity ? entry.similarity.verdict : null,
+        entry.listing ? entry.listing.title : null,
+        entry.listing ? entry.listing.tags.join(', ') : null,
+        entry.listing ? entry.listing.description : null,
+        entry.listing ? entry.listing.category : null,
+        entry.files.join(' ')
+    ]);
+    return [columns, ...rows].map(row => row.map(toCsvField).join(',')).join('\r\n') + '\r\n';
+}
+
+// Apply an export preset and/or format conversion -> { buffer, mimeType, filename }
+async function prepareDownload({ filePath, requestedFormat, formatOptions, downloadName, preset }) {
+    const imageBuffer = fs.readFileSync(filePath);
+    const actualExt = path.extname(filePath) || '.png';
+    let mimeType = getMimeType(filePath);
+    let outputBuffer = imageBuffer;
+    let filename = downloadName || path.basename(filePath);
+
+    if (preset) {
+        outputBuffer = await exportPresets.applyExportPreset(imageBuffer, preset);
+        mimeType = 'image/png';
+        const baseName = filename ? filename.replace(path.extname(filename), '') : path.basename(filePath, actualExt);
+        filename = `${baseName}_${preset.id}.png`;
+    }
+
+    if (requestedFormat) {
+        const converted = await outputFormats.convertImage(outputBuffer, requestedFormat, formatOptions, { dpi: preset ? preset.dpi : null });
+        outputBuffer = converted.buffer;
+        mimeType = converted.mimeType;
+
+        const baseName = filename ? filename.replace(path.extname(filename), '') : path.basename(filePath, actualExt);
+        filename = `${baseName}.${converted.extension}`;
+    }
+
+    return { buffer: outputBuffer, mimeType, filename };
+}
+
+// Download names come from the query string: quotes, backslashes, control
+// characters and path separators are dropped, and non-ASCII names are sent
+// as RFC 5987 filename* with an ASCII fallback
+function buildContentDisposition(type, filename) {
+    const cleaned = String(filename || '')
+        .replace(/[\u0000-\u001f\u007f"\\/]/g, '')
+        .trim() || 'download';
+    const asciiName = cleaned.replace(/[^\x20-\x7e]/g, '_');
+    const encodedName = encodeURIComponent(cleaned).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+    return `${type}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`;
+}
+
+async function streamImageFile({ filePath, requestedFormat, formatOptions, res, inline, downloadName, preset }) {
+    if (!fs.existsSync(filePath)) {
+        res.status(404).json({ error: 'File not found on disk' });
+        return;
+    }
+
+    try {
+        const { buffer, mimeType, filename } = await prepareDownload({ filePath, requestedFormat, formatOptions, downloadName, preset });
         res.setHeader('Content-Type', mimeType);
-        res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${filename}"`);
-        res.send(outputBuffer);
+        res.setHeader('Content-Disposition', buildContentDisposition(inline ? 'inline' : 'attachment', filename));
+        res.send(buffer);
     } catch (error) {
         console.error('streamImageFile error:', error);
         res.status(500).json({ error: 'Could not prepare download' });
@@ -1327,13 +2567,14 @@ app.get('*', (req, res) => {
 // Start server
 app.listen(PORT, () => {
     console.log(`Server running on http://localhost:${PORT}`);
+    console.log(`Default image provider: ${imageProviders.getDefaultProviderId()}`);
     if (!GEMINI_API_KEY) {
         console.warn('Warning: GEMINI_API_KEY/GOOGLE_API_KEY is not set. Requests will fail until it is provided.');
     } else {
         console.log('GEMINI_API_KEY detected. Using Gemini API (REST) for image generation.');
     }
     if (!PICSART_API_KEY) {
-        console.warn('Note: PICSART_API_KEY is not set. Background removal and upscaling will be skipped.');
+        console.warn('Note: PICSART_API_KEY is not set. Background removal and upscaling will use the local engines.');
     } else {
         console.log('PICSART_API_KEY detected. Using Picsart API for background removal and upscaling.');
     }
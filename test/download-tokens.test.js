@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const downloadTokens = require('../lib/download-tokens');
+
+const SECRET = 'test-secret';
+const PAYLOAD = { path: '/processed/final.png', job: 'job_1', variant: 'final', owner: 'user_1', v: 0 };
+
+function assertInvalid(fn, message) {
+    assert.throws(fn, error => error.code === 'INVALID_TOKEN' && message.test(error.message));
+}
+
+test('a signed token verifies and returns its payload with an expiry', () => {
+    const payload = downloadTokens.verifyToken(SECRET, downloadTokens.createToken(SECRET, PAYLOAD, 60));
+    assert.deepStrictEqual({ ...payload, exp: undefined }, { ...PAYLOAD, exp: undefined });
+    const now = Math.floor(Date.now() / 1000);
+    assert.ok(payload.exp > now && payload.exp <= now + 60);
+});
+
+test('an expired token is rejected', () => {
+    const token = downloadTokens.createToken(SECRET, PAYLOAD, -1);
+    assertInvalid(() => downloadTokens.verifyToken(SECRET, token), /expired/);
+});
+
+test('a token signed with another secret is rejected', () => {
+    const token = downloadTokens.createToken('other-secret', PAYLOAD);
+    assertInvalid(() => downloadTokens.verifyToken(SECRET, token), /signature/);
+});
+
+test('a token whose payload was changed is rejected', () => {
+    const [, signature] = downloadTokens.createToken(SECRET, PAYLOAD).split('.');
+    const forged = Buffer.from(JSON.stringify({ ...PAYLOAD, variant: 'gemini', exp: 9999999999 })).toString('base64url');
+    assertInvalid(() => downloadTokens.verifyToken(SECRET, `${forged}.${signature}`), /signature/);
+});
+
+test('a token with a truncated signature is rejected', () => {
+    const token = downloadTokens.createToken(SECRET, PAYLOAD);
+    assertInvalid(() => downloadTokens.verifyToken(SECRET, token.slice(0, -4)), /signature/);
+});
+
+test('malformed tokens are rejected', () => {
+    assertInvalid(() => downloadTokens.verifyToken(SECRET, 'no-dot'), /Malformed/);
+    assertInvalid(() => downloadTokens.verifyToken(SECRET, 'a.b.c'), /Malformed/);
+});
+
+test('the development secret is refused in production', () => {
+    const saved = { secret: process.env.DOWNLOAD_TOKEN_SECRET, env: process.env.NODE_ENV };
+    try {
+        delete process.env.DOWNLOAD_TOKEN_SECRET;
+        process.env.NODE_ENV = 'production';
+        assert.throws(() => downloadTokens.getSecret(), /DOWNLOAD_TOKEN_SECRET must be set/);
+        process.env.DOWNLOAD_TOKEN_SECRET = 'configured';
+        assert.strictEqual(downloadTokens.getSecret(), 'configured');
+    } finally {
+        for (const [name, value] of [['DOWNLOAD_TOKEN_SECRET', saved.secret], ['NODE_ENV', saved.env]]) {
+            if (value === undefined) delete process.env[name];
+            else process.env[name] = value;
+        }
+    }
+});
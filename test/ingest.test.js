@@ -0,0 +1,70 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const bmp = require('bmp-js');
+const ingest = require('../lib/ingest');
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ingest-test-'));
+test.after(() => fs.rmSync(workDir, { recursive: true, force: true }));
+
+// Uploads keep multer's extension-less names, so only the bytes say what they are
+function writeUpload(name, buffer) {
+    const filePath = path.join(workDir, name);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+}
+
+function solidImage(width, height, alpha = 1) {
+    return sharp({ create: { width, height, channels: 4, background: { r: 200, g: 40, b: 40, alpha } } });
+}
+
+test('a JPEG is recognised by its bytes and stays a JPEG', async () => {
+    const upload = writeUpload('photo', await solidImage(40, 30).jpeg().toBuffer());
+    const result = await ingest.normalizeUpload(upload);
+    assert.strictEqual(result.ingest.format, 'jpeg');
+    assert.strictEqual(result.mimeType, 'image/jpeg');
+    assert.strictEqual(path.extname(result.path), '.jpg');
+    assert.strictEqual(fs.existsSync(upload), false);
+});
+
+test('a PNG named .jpg is treated as the PNG it is', async () => {
+    const upload = writeUpload('misnamed.jpg', await solidImage(20, 20, 0.5).png().toBuffer());
+    const result = await ingest.normalizeUpload(upload);
+    assert.strictEqual(result.ingest.format, 'png');
+    assert.strictEqual(result.mimeType, 'image/png');
+    assert.strictEqual(path.extname(result.path), '.png');
+});
+
+test('a BMP is sniffed from its magic bytes and kept lossless', async () => {
+    const width = 4;
+    const height = 3;
+    const data = Buffer.alloc(width * height * 4, 0xff);
+    const upload = writeUpload('scan', bmp.encode({ data, width, height }).data);
+    const result = await ingest.normalizeUpload(upload);
+    assert.strictEqual(result.ingest.format, 'bmp');
+    assert.strictEqual(result.mimeType, 'image/png');
+    assert.deepStrictEqual([result.ingest.width, result.ingest.height], [width, height]);
+});
+
+test('a file that is not an image is rejected as an unsupported format', async () => {
+    const upload = writeUpload('notes', Buffer.from('just some text, not an image'));
+    await assert.rejects(ingest.normalizeUpload(upload), error => ingest.isIngestError(error) && error.code === 'UNSUPPORTED_FORMAT');
+});
+
+test('a truncated image is rejected as invalid', async () => {
+    const png = await solidImage(64, 64).png().toBuffer();
+    const upload = writeUpload('truncated', png.subarray(0, Math.floor(png.length / 2)));
+    await assert.rejects(ingest.normalizeUpload(upload), error => ingest.isIngestError(error));
+});
+
+test('large uploads are scaled down to the maximum edge', async (t) => {
+    process.env.INGEST_MAX_EDGE = '50';
+    t.after(() => delete process.env.INGEST_MAX_EDGE);
+    const upload = writeUpload('large', await solidImage(200, 100).png().toBuffer());
+    const result = await ingest.normalizeUpload(upload);
+    assert.strictEqual(result.ingest.downscaled, true);
+    assert.deepStrictEqual([result.ingest.width, result.ingest.height], [50, 25]);
+});
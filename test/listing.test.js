@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const listing = require('../lib/listing');
+
+const TAGS = [
+    'bear shirt', 'camping tee', 'forest', 'outdoor gift', 'hiking', 'retro bear', 'nature lover',
+    'mountain', 'adventure', 'wildlife', 'camp life', "dad's gift", 'woodland'
+];
+
+function validListing(overrides = {}) {
+    return listing.normalizeListing({
+        title: 'Retro Bear Camping T-Shirt: Vintage Forest Tee',
+        tags: TAGS,
+        description: 'A retro bear for campers.',
+        category: 'Clothing > Shirts & Tees',
+        ...overrides
+    });
+}
+
+test('a listing within Etsy\'s limits has no errors', () => {
+    assert.deepStrictEqual(listing.validateListing(validListing()), []);
+});
+
+test('normalizeListing collapses whitespace and lowercases and dedupes tags', () => {
+    const normalized = listing.normalizeListing({
+        title: '  Retro   Bear\nTee ',
+        tags: 'Bear Shirt, bear shirt ,  Camping   Tee,,',
+        description: 'Line one\r\nLine two  ',
+        category: ' Clothing '
+    });
+    assert.strictEqual(normalized.title, 'Retro Bear Tee');
+    assert.deepStrictEqual(normalized.tags, ['bear shirt', 'camping tee']);
+    assert.strictEqual(normalized.description, 'Line one\nLine two');
+    assert.strictEqual(normalized.category, 'Clothing');
+});
+
+test('validateListing reports missing fields', () => {
+    const errors = listing.validateListing(listing.normalizeListing({}));
+    assert.ok(errors.includes('Title is required'));
+    assert.ok(errors.includes('Description is required'));
+    assert.ok(errors.includes('Category is required'));
+    assert.ok(errors.some(error => error.startsWith(`Exactly ${listing.TAG_COUNT} distinct tags`)));
+});
+
+test('validateListing enforces the title length and single-use characters', () => {
+    const long = listing.validateListing(validListing({ title: 'a'.repeat(listing.TITLE_MAX_LENGTH + 1) }));
+    assert.ok(long.some(error => error.startsWith(`Title must be at most ${listing.TITLE_MAX_LENGTH}`)));
+
+    const repeated = listing.validateListing(validListing({ title: 'Bear & Fox & Owl' }));
+    assert.deepStrictEqual(repeated, ['Title may use "&" only once']);
+});
+
+test('validateListing checks each tag\'s length and characters', () => {
+    const errors = listing.validateListing(validListing({
+        tags: [...TAGS.slice(0, 11), 'a'.repeat(listing.TAG_MAX_LENGTH + 1), 'bears!']
+    }));
+    assert.deepStrictEqual(errors, [
+        `Tag "${'a'.repeat(listing.TAG_MAX_LENGTH + 1)}" is longer than ${listing.TAG_MAX_LENGTH} characters`,
+        'Tag "bears!" may only contain letters, numbers, spaces, hyphens and apostrophes'
+    ]);
+});
+
+test('validateListing counts duplicate tags once', () => {
+    const errors = listing.validateListing(validListing({ tags: [...TAGS.slice(0, 12), 'FOREST'] }));
+    assert.deepStrictEqual(errors, [`Exactly ${listing.TAG_COUNT} distinct tags are required (has 12)`]);
+});
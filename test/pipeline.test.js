@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { parsePipelineSpec } = require('../lib/pipeline');
+
+test('parsePipelineSpec returns null for an empty spec', () => {
+    assert.strictEqual(parsePipelineSpec(undefined), null);
+    assert.strictEqual(parsePipelineSpec(null), null);
+    assert.strictEqual(parsePipelineSpec('   '), null);
+});
+
+test('parsePipelineSpec reads the comma-separated shorthand', () => {
+    const pipeline = parsePipelineSpec('removeBg, upscale:4');
+    assert.deepStrictEqual(pipeline.map(entry => entry.step), ['removeBg', 'upscale']);
+    assert.strictEqual(pipeline[1].options.factor, 4);
+    assert.strictEqual(pipeline[0].onFailure, 'fallback');
+    assert.strictEqual(pipeline[0].fallback, 'removeBgLocal');
+});
+
+test('parsePipelineSpec reads JSON entries with their own failure policy', () => {
+    const pipeline = parsePipelineSpec(JSON.stringify([
+        { step: 'upscale', options: { factor: 2 }, onFailure: 'fail' },
+        'trim'
+    ]));
+    assert.strictEqual(pipeline[0].onFailure, 'fail');
+    assert.strictEqual(pipeline[0].options.factor, 2);
+    assert.strictEqual(pipeline[1].step, 'trim');
+});
+
+test('parsePipelineSpec rejects malformed specs', () => {
+    assert.throws(() => parsePipelineSpec('[not json'), /valid JSON/);
+    assert.throws(() => parsePipelineSpec({ step: 'trim' }), /list of steps/);
+    assert.throws(() => parsePipelineSpec('noSuchStep'), /Unknown pipeline step "noSuchStep"/);
+    assert.throws(() => parsePipelineSpec([{ step: 'trim', onFailure: 'retry' }]), /Unknown failure policy/);
+    assert.throws(() => parsePipelineSpec([{ step: 'trim', onFailure: 'fallback', fallback: 'nope' }]), /Unknown pipeline step "nope"/);
+    assert.throws(() => parsePipelineSpec([42]), /step names or/);
+});
@@ -0,0 +1,77 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const retry = require('../lib/retry');
+
+process.env.RETRY_BASE_DELAY_MS = '1';
+process.env.RETRY_MAX_DELAY_MS = '5';
+process.env.RETRY_MAX_ATTEMPTS = 'flaky:3';
+
+function httpError(status, headers = {}) {
+    const error = new Error(`HTTP ${status}`);
+    error.response = { status, headers };
+    return error;
+}
+
+// Fails with the given errors in turn, then resolves with 'done'
+function failThen(errors) {
+    let calls = 0;
+    const call = async () => {
+        calls++;
+        if (calls <= errors.length) throw errors[calls - 1];
+        return 'done';
+    };
+    return { call, count: () => calls };
+}
+
+test('withRetry retries transient failures and reports the call once', async () => {
+    const reports = [];
+    const context = retry.createCallContext({ deadline: Infinity, onCall: report => reports.push(report) });
+    const { call, count } = failThen([httpError(503), Object.assign(new Error('reset'), { code: 'ECONNRESET' })]);
+
+    assert.strictEqual(await retry.withRetry('flaky', call, context, 'generate'), 'done');
+    assert.strictEqual(count(), 3);
+    assert.strictEqual(context.attempts.flaky, 3);
+    assert.strictEqual(reports.length, 1);
+    assert.strictEqual(reports[0].success, true);
+    assert.strictEqual(reports[0].attempts, 3);
+    assert.strictEqual(reports[0].operation, 'generate');
+});
+
+test('withRetry does not retry permanent failures', async () => {
+    const { call, count } = failThen([httpError(400)]);
+    await assert.rejects(retry.withRetry('flaky', call, retry.createCallContext()), error => error.attempts === 1);
+    assert.strictEqual(count(), 1);
+});
+
+test('withRetry stops after the configured attempts', async () => {
+    const reports = [];
+    const context = retry.createCallContext({ onCall: report => reports.push(report) });
+    const { call, count } = failThen([httpError(502), httpError(502), httpError(502), httpError(502)]);
+    await assert.rejects(retry.withRetry('flaky', call, context), error => error.attempts === 3);
+    assert.strictEqual(count(), 3);
+    assert.strictEqual(reports[0].success, false);
+    assert.strictEqual(reports[0].error, 'HTTP 502');
+});
+
+test('withRetry does not start an attempt that could not finish before the deadline', async () => {
+    const context = retry.createCallContext({ deadline: Date.now() + 1000 });
+    const { call, count } = failThen([httpError(503)]);
+    await assert.rejects(retry.withRetry('flaky', call, context), /HTTP 503/);
+    assert.strictEqual(count(), 1);
+});
+
+test('withRetry gives up when Retry-After is longer than the backoff cap', async () => {
+    const { call, count } = failThen([httpError(429, { 'retry-after': '60' })]);
+    await assert.rejects(retry.withRetry('flaky', call, retry.createCallContext()), /HTTP 429/);
+    assert.strictEqual(count(), 1);
+});
+
+test('withRetry throws the abort reason without calling once aborted', async () => {
+    const controller = new AbortController();
+    const reason = retry.createAbortError('Job was cancelled', 'JOB_CANCELLED');
+    controller.abort(reason);
+    const { call, count } = failThen([]);
+    await assert.rejects(retry.withRetry('flaky', call, retry.createCallContext({ signal: controller.signal })), error => error === reason);
+    assert.strictEqual(count(), 0);
+    assert.ok(retry.isAbortError(reason));
+});
@@ -0,0 +1,73 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const storeDir = fs.mkdtempSync(path.join(os.tmpdir(), 'usage-test-'));
+process.env.USAGE_STORE_PATH = path.join(storeDir, 'usage.sqlite');
+process.env.USAGE_PRICES = 'test.generateImage:1';
+delete process.env.USAGE_DAILY_QUOTA_USD;
+delete process.env.USAGE_MONTHLY_QUOTA_USD;
+
+const usage = require('../lib/usage');
+
+test.after(() => fs.rmSync(storeDir, { recursive: true, force: true }));
+
+function spend(userId, times, success = true) {
+    for (let i = 0; i < times; i++) {
+        usage.recordCall({ userId, provider: 'test', operation: 'generateImage', attempts: 1, latencyMs: 10, success });
+    }
+}
+
+test('no quota is exceeded without limits', () => {
+    spend('free', 5);
+    assert.strictEqual(usage.findExceededQuota('free'), null);
+});
+
+test('the default daily limit applies once reached', (t) => {
+    process.env.USAGE_DAILY_QUOTA_USD = '2';
+    t.after(() => delete process.env.USAGE_DAILY_QUOTA_USD);
+
+    spend('daily', 1);
+    assert.strictEqual(usage.findExceededQuota('daily'), null);
+    spend('daily', 1);
+    const exceeded = usage.findExceededQuota('daily');
+    assert.strictEqual(exceeded.period, 'daily');
+    assert.strictEqual(exceeded.limitUsd, 2);
+    assert.strictEqual(exceeded.spentUsd, 2);
+    assert.ok(Date.parse(exceeded.resetsAt) > Date.now());
+});
+
+test('failed calls cost nothing', () => {
+    usage.setQuota('failing', { dailyUsd: 1 });
+    spend('failing', 3, false);
+    assert.strictEqual(usage.findExceededQuota('failing'), null);
+});
+
+test('a per-user limit overrides the default', (t) => {
+    process.env.USAGE_MONTHLY_QUOTA_USD = '100';
+    t.after(() => delete process.env.USAGE_MONTHLY_QUOTA_USD);
+
+    usage.setQuota('capped', { monthlyUsd: 1 });
+    spend('capped', 1);
+    assert.strictEqual(usage.findExceededQuota('capped').period, 'monthly');
+});
+
+test('"unlimited" lifts the limit while null inherits the default', (t) => {
+    process.env.USAGE_DAILY_QUOTA_USD = '1';
+    t.after(() => delete process.env.USAGE_DAILY_QUOTA_USD);
+
+    spend('vip', 2);
+    usage.setQuota('vip', { dailyUsd: 'unlimited' });
+    assert.strictEqual(usage.findExceededQuota('vip'), null);
+    assert.strictEqual(usage.getQuota('vip').daily.limitUsd, null);
+
+    usage.setQuota('vip', { dailyUsd: null });
+    assert.strictEqual(usage.findExceededQuota('vip').limitUsd, 1);
+});
+
+test('setQuota rejects limits that are not dollar amounts', () => {
+    assert.throws(() => usage.setQuota('bad', { dailyUsd: -5 }), /dailyUsd must be/);
+    assert.throws(() => usage.setQuota('bad', { monthlyUsd: 'lots' }), /monthlyUsd must be/);
+});